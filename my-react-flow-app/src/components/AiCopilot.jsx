@@ -1,23 +1,85 @@
-import { useState } from 'react';
-import { ASK_AI_ENDPOINT, BACKEND_URL } from '../constants/appConstants.js';
-import { getNodeTypeId } from '../utils/graphUtils.js';
+import { useEffect, useRef, useState } from 'react';
+import { AGENT_CONTEXT_HOPS, ASK_AI_ENDPOINT, BACKEND_URL, CHAT_TURNS_SENT } from '../constants/appConstants.js';
+import { readApiError } from '../utils/apiErrors.js';
+import { buildAgentContext } from '../utils/agentContext.js';
+import { requestGraphOperations } from '../utils/graphOps.js';
 
-export default function AiCopilot({ selectedNodes, onApplySuggestions }) {
+const describeGraphEdit = (summary, outcome) => {
+  const applied = outcome?.applied ?? 0;
+  const counts = applied ? `Applied ${applied} change(s) (undo reverts them all).` : 'No changes to apply.';
+  const skipped = outcome?.skipped ? ` ${outcome.skipped} no longer matched the graph and were skipped.` : '';
+  return `${summary ? `${summary} ` : ''}${counts}${skipped}`;
+};
+
+const createTurn = (role, content, links = {}) => ({
+  id: `turn-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+  role,
+  content,
+  nodeIds: links.nodeIds ?? [],
+  edgeIds: links.edgeIds ?? [],
+  createdAt: new Date().toISOString(),
+});
+
+// Prior turns as /api/ask-ai expects them; the backend trims them to its budget.
+const toHistoryPayload = (history) =>
+  history.slice(-CHAT_TURNS_SENT).map(({ role, content, nodeIds, edgeIds }) => ({
+    role,
+    content,
+    ...(nodeIds?.length ? { nodeIds } : {}),
+    ...(edgeIds?.length ? { edgeIds } : {}),
+  }));
+
+export default function AiCopilot({
+  selectedNodes,
+  projectId,
+  customNodeTypes,
+  nodes,
+  edges,
+  history = [],
+  onAppendTurns,
+  onClearHistory,
+  onFocusElements,
+  getNodeLabel,
+  onProposeSuggestions,
+  onApplyOperations,
+}) {
   const [isOpen, setIsOpen] = useState(false);
   const [input, setInput] = useState('');
+  const [editGraph, setEditGraph] = useState(false);
+  const [contextHops, setContextHops] = useState(AGENT_CONTEXT_HOPS);
   const [isLoading, setIsLoading] = useState(false);
+  const [pendingPrompt, setPendingPrompt] = useState(null);
   const [error, setError] = useState(null);
-  const [answer, setAnswer] = useState(null);
+  const abortRef = useRef(null);
+  const threadEndRef = useRef(null);
+  const nodeIds = new Set((nodes ?? []).map((node) => node.id));
+  const edgeIds = new Set((edges ?? []).map((edge) => edge.id));
 
+  // Cancels a pending reply on unmount and when the open project changes: a
+  // reply is only valid for the graph it was asked about.
+  useEffect(() => () => abortRef.current?.abort(), [projectId]);
+
+  useEffect(() => {
+    if (isOpen) threadEndRef.current?.scrollIntoView({ block: 'end' });
+  }, [history.length, isOpen, pendingPrompt]);
+
+  // The thread lives in the project; the draft and any error survive reopening.
   const handleOpen = () => {
     setIsOpen(true);
-    setInput('');
-    setAnswer(null);
-    setError(null);
-    setIsLoading(false);
+  };
+
+  const handleCancel = () => {
+    abortRef.current?.abort();
   };
 
   const handleClose = () => {
+    handleCancel();
+    setIsOpen(false);
+  };
+
+  // Hides the dialog (without cancelling a pending reply) so the canvas shows the linked elements.
+  const handleShowLinks = (links) => {
+    onFocusElements?.(links);
     setIsOpen(false);
   };
 
@@ -28,46 +90,65 @@ export default function AiCopilot({ selectedNodes, onApplySuggestions }) {
 
     setIsLoading(true);
     setError(null);
-    setAnswer(null);
-
-    const selectedNodesPayload = (selectedNodes ?? [])
-      .map((node) => {
-        if (!node?.id) return null;
-        const label = typeof node?.data?.label === 'string' ? node.data.label : '';
-        const nodeType = getNodeTypeId(node);
-        const isDescriptive = nodeType === 'descriptive';
-        return {
-          id: node.id,
-          label: label.trim().length ? label : node.id,
-          notes: node?.data?.notes ?? undefined,
-          nodeType,
-          type: nodeType,
-          isDescriptive,
-        };
-      })
-      .filter(Boolean);
-
-    const body = { prompt };
-    if (selectedNodesPayload.length) {
-      body.selectedNodes = selectedNodesPayload;
+    setPendingPrompt(prompt);
+
+    const context = buildAgentContext(nodes ?? [], edges ?? [], selectedNodes ?? [], {
+      hops: contextHops,
+      customTypes: customNodeTypes,
+    });
+
+    const body = { prompt, graphSummary: context.graphSummary };
+    if (projectId) {
+      body.projectId = projectId;
+    }
+    if (context.selectedNodes.length) {
+      body.selectedNodes = context.selectedNodes;
+    }
+    if (context.neighborNodes.length) {
+      body.neighborNodes = context.neighborNodes;
+    }
+    if (context.edges.length) {
+      body.edges = context.edges;
+    }
+    if (customNodeTypes?.length) {
+      body.nodeTypes = customNodeTypes;
+    }
+    if (history.length) {
+      body.history = toHistoryPayload(history);
     }
+    // Replies are saved to the project the prompt was sent from.
+    const turnProjectId = projectId;
+
+    const controller = new AbortController();
+    abortRef.current = controller;
 
     try {
+      if (editGraph) {
+        const result = await requestGraphOperations(
+          { prompt, nodes, edges, projectId, nodeTypes: customNodeTypes },
+          { signal: controller.signal },
+        );
+        const outcome = onApplyOperations?.(Array.isArray(result?.operations) ? result.operations : [], {
+          projectId: turnProjectId,
+        });
+        if (outcome === null) return;
+        onAppendTurns?.(turnProjectId, [
+          createTurn('user', prompt),
+          createTurn('assistant', describeGraphEdit(result?.summary, outcome), outcome),
+        ]);
+        setInput('');
+        return;
+      }
+
       const response = await fetch(`${BACKEND_URL}${ASK_AI_ENDPOINT}`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify(body),
+        signal: controller.signal,
       });
 
       if (!response.ok) {
-        let message = 'Request failed.';
-        try {
-          const errorData = await response.json();
-          message = errorData?.error || message;
-        } catch (_) {
-          // ignore parse errors
-        }
-        throw new Error(message);
+        throw new Error(await readApiError(response, 'Request failed.'));
       }
 
       const data = await response.json();
@@ -78,17 +159,26 @@ export default function AiCopilot({ selectedNodes, onApplySuggestions }) {
         suggestedConnections: Array.isArray(data?.suggestedConnections)
           ? data.suggestedConnections
           : [],
+        removedNodes: Array.isArray(data?.removedNodes) ? data.removedNodes : [],
+        removedConnections: Array.isArray(data?.removedConnections) ? data.removedConnections : [],
       };
 
-      setAnswer(payload.reply || 'Agent responded but did not include a reply.');
-      if (onApplySuggestions) {
-        onApplySuggestions(payload);
-      }
+      const assistantTurn = createTurn('assistant', payload.reply || 'Agent responded but did not include a reply.');
+      onAppendTurns?.(turnProjectId, [createTurn('user', prompt), assistantTurn]);
+      setInput('');
+      // Suggestions wait for review on the canvas; the turn is linked to whatever gets applied.
+      const proposed = onProposeSuggestions?.(payload, { projectId: turnProjectId, turnId: assistantTurn.id }) ?? 0;
+      if (proposed) setIsOpen(false);
     } catch (err) {
+      if (err?.name === 'AbortError') return;
       console.error('Ask AI error', err);
       setError(err?.message || 'Something went wrong talking to the Agent. Please try again.');
     } finally {
-      setIsLoading(false);
+      if (abortRef.current === controller) {
+        abortRef.current = null;
+        setIsLoading(false);
+        setPendingPrompt(null);
+      }
     }
   };
 
@@ -104,26 +194,102 @@ export default function AiCopilot({ selectedNodes, onApplySuggestions }) {
           <div className="ai-dialog" role="dialog" aria-modal="true">
             <div className="ai-dialog-title">Ask Agent</div>
             <p className="ai-dialog-helper">
-              Ask for ideas, reword nodes, or auto-connect concepts. The Agent will use the currently selected nodes as
-              context.
+              Ask for ideas, reword nodes, or auto-connect concepts. The Agent will use the currently selected nodes, the
+              nodes around them and this project&apos;s earlier conversation as context.
             </p>
+            {history.length || pendingPrompt ? (
+              <div className="ai-thread">
+                {history.map((turn) => (
+                  <div className={`ai-turn ${turn.role}`} key={turn.id}>
+                    <div className="ai-turn-content">{turn.content}</div>
+                    {turn.note ? <div className="ai-turn-note">{turn.note}</div> : null}
+                    {turn.nodeIds?.length || turn.edgeIds?.length ? (
+                      <div className="ai-turn-links">
+                        {turn.nodeIds.map((id) => (
+                          <button
+                            type="button"
+                            className="ai-turn-link"
+                            key={id}
+                            disabled={!nodeIds.has(id)}
+                            title={nodeIds.has(id) ? 'Show on canvas' : 'This node no longer exists'}
+                            onClick={() => handleShowLinks({ nodeIds: [id] })}
+                          >
+                            {getNodeLabel ? getNodeLabel(id) : id}
+                          </button>
+                        ))}
+                        {turn.edgeIds?.length ? (
+                          <button
+                            type="button"
+                            className="ai-turn-link"
+                            disabled={!turn.edgeIds.some((id) => edgeIds.has(id))}
+                            title="Show on canvas"
+                            onClick={() => handleShowLinks({ edgeIds: turn.edgeIds })}
+                          >
+                            {turn.edgeIds.length} connection(s)
+                          </button>
+                        ) : null}
+                      </div>
+                    ) : null}
+                  </div>
+                ))}
+                {pendingPrompt ? (
+                  <div className="ai-turn user pending">
+                    <div className="ai-turn-content">{pendingPrompt}</div>
+                  </div>
+                ) : null}
+                <div ref={threadEndRef} />
+              </div>
+            ) : null}
             <form className="ai-dialog-form" onSubmit={handleSubmit}>
               <textarea
                 value={input}
                 onChange={(event) => setInput(event.target.value)}
-                placeholder="Describe what you'd like help with..."
+                placeholder={history.length ? 'Ask a follow-up...' : "Describe what you'd like help with..."}
                 rows="4"
               ></textarea>
+              <label className="checkbox-label">
+                <input
+                  type="checkbox"
+                  checked={editGraph}
+                  onChange={(event) => setEditGraph(event.target.checked)}
+                  disabled={isLoading || !onApplyOperations}
+                />
+                Edit the whole graph (add, remove, rewire, move and retype nodes)
+              </label>
+              {!editGraph ? (
+                <label>
+                  Context
+                  <select
+                    value={contextHops}
+                    onChange={(event) => setContextHops(Number(event.target.value))}
+                    disabled={isLoading}
+                  >
+                    <option value={0}>Selected nodes only</option>
+                    <option value={1}>Selection and direct connections</option>
+                    <option value={2}>Selection and 2 hops</option>
+                    <option value={3}>Selection and 3 hops</option>
+                  </select>
+                </label>
+              ) : null}
 
               <div className="ai-dialog-status">
                 {isLoading ? <span className="ai-dialog-thinking">Thinking...</span> : null}
               </div>
 
               {error ? <div className="ai-dialog-error">{error}</div> : null}
-              {answer ? <div className="ai-dialog-answer">{answer}</div> : null}
 
               <div className="ai-dialog-actions">
-                <button type="button" className="ghost" onClick={handleClose} disabled={isLoading}>
+                {history.length && !isLoading ? (
+                  <button type="button" className="ghost" onClick={() => onClearHistory?.(projectId)}>
+                    Clear chat
+                  </button>
+                ) : null}
+                {isLoading ? (
+                  <button type="button" className="ghost" onClick={handleCancel}>
+                    Cancel
+                  </button>
+                ) : null}
+                <button type="button" className="ghost" onClick={handleClose}>
                   Close
                 </button>
                 <button type="submit" className="primary" disabled={isLoading || !input.trim()}>
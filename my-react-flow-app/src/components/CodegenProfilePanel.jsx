@@ -0,0 +1,71 @@
+import { CODEGEN_LANGUAGES, CODEGEN_MODULE_STYLES } from '../constants/codegenProfiles.js';
+
+export default function CodegenProfilePanel({ profile, onChange, disabled }) {
+  const handleLanguageChange = (event) => {
+    const language = CODEGEN_LANGUAGES.find((item) => item.id === event.target.value);
+    if (!language) return;
+    onChange({ language: language.id, runtime: language.defaultRuntime });
+  };
+
+  return (
+    <div className="panel">
+      <div className="panel-header">Code Generation</div>
+      <div className="panel-subheader">Target used for every sync of this project.</div>
+      <div className="inspector">
+        <label>
+          Language
+          <select value={profile.language} onChange={handleLanguageChange} disabled={disabled}>
+            {CODEGEN_LANGUAGES.map((option) => (
+              <option value={option.id} key={option.id}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label>
+          Runtime
+          <input
+            type="text"
+            value={profile.runtime}
+            placeholder="e.g. node, browser, python3"
+            onChange={(event) => onChange({ runtime: event.target.value })}
+            disabled={disabled}
+          />
+        </label>
+        <label>
+          Framework
+          <input
+            type="text"
+            value={profile.framework}
+            placeholder="Optional, e.g. express, react, flask"
+            onChange={(event) => onChange({ framework: event.target.value })}
+            disabled={disabled}
+          />
+        </label>
+        <label>
+          Module style
+          <select
+            value={profile.moduleStyle}
+            onChange={(event) => onChange({ moduleStyle: event.target.value })}
+            disabled={disabled}
+          >
+            {CODEGEN_MODULE_STYLES.map((option) => (
+              <option value={option.id} key={option.id}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="checkbox-label">
+          <input
+            type="checkbox"
+            checked={Boolean(profile.generateTests)}
+            onChange={(event) => onChange({ generateTests: event.target.checked })}
+            disabled={disabled}
+          />
+          Generate and run tests for condition/output nodes on sync
+        </label>
+      </div>
+    </div>
+  );
+}
@@ -13,20 +13,37 @@ import binIcon from '../assets/bin.png';
 import {
   BACKEND_URL,
   DEFAULT_NODE_STYLE,
+  ESTIMATE_DEBOUNCE_MS,
   EXPANDED_BOTTOM_HEIGHT,
   HISTORY_LIMIT,
   MAX_BOTTOM_HEIGHT_RATIO,
   MAX_SIDEBAR_WIDTH,
   MIN_BOTTOM_HEIGHT,
   MIN_SIDEBAR_WIDTH,
-  SYNC_ENDPOINT,
+  RUN_ENDPOINT,
+  SYNC_STREAM_ENDPOINT,
 } from '../constants/appConstants.js';
+import { normalizeCodegenProfile } from '../constants/codegenProfiles.js';
 import { exampleTemplates, buildTemplatePlacement } from '../data/exampleTemplates.js';
 import { initialEdges, seededInitialNodes } from '../data/initialGraph.js';
 import { nodeImplementations } from '../nodes/nodeImplementations.js';
-import { ALL_NODE_TYPES, DEFAULT_NODE_TYPE, getNodeTypeDefinition, normalizeNodeType } from '../nodeTypes.js';
+import {
+  DEFAULT_NODE_TYPE,
+  NODE_ROLE_OPTIONS,
+  getAllNodeTypes,
+  getNodeTypeDefinition,
+  normalizeCustomNodeTypes,
+  normalizeNodeRole,
+  normalizeNodeType,
+} from '../nodeTypes.js';
 import { useProject } from '../context/ProjectContext.jsx';
+import { CodegenStatusContext } from '../context/CodegenStatusContext.js';
+import { NodeTypesContext } from '../context/NodeTypesContext.js';
+import { EdgeReasonContext } from '../context/EdgeReasonContext.js';
 import VersionControlPanel from './VersionControlPanel.jsx';
+import CodegenProfilePanel from './CodegenProfilePanel.jsx';
+import NodeTypesPanel from './NodeTypesPanel.jsx';
+import ProposalPanel from './ProposalPanel.jsx';
 import ProjectNameModal from './ProjectNameModal.jsx';
 import {
   attachNodeType,
@@ -34,17 +51,61 @@ import {
   cloneGraphState,
   computePendingChanges,
   areGraphsEqual,
+  getNodeRole,
   getNodeTypeId,
+  groupWarningsByNode,
+  indexTestResultsByNode,
   isEditableElement,
+  withNodeRole,
 } from '../utils/graphUtils.js';
+import { readSyncResponse, upsertGeneratedFile } from '../utils/syncStream.js';
+import { readApiError } from '../utils/apiErrors.js';
+import { fetchWorkspaceFiles } from '../utils/workspace.js';
+import { fetchCodegenEstimate } from '../utils/codegenEstimate.js';
+import { applyGraphOperations } from '../utils/graphOps.js';
+import {
+  buildSuggestionProposal,
+  findOrphanedNodes,
+  previewProposal,
+  proposalItemNodeIds,
+  proposalToOperations,
+} from '../utils/proposals.js';
 import AiCopilot from './AiCopilot.jsx';
 import GeneratedFilesModal from './GeneratedFilesModal.jsx';
 import NoteNode from './NoteNode.jsx';
+import ReasonEdge from './ReasonEdge.jsx';
 
+// Every plain edge shows and edits its connection reason.
+const edgeTypes = { default: ReasonEdge };
 
 function FlowCanvas() {
   // Project context
-  const { projects, currentProjectId, createProject, getCurrentProject, selectProject, updateCurrentProject, updateProjectVersionControl, deleteProject, isLoaded } = useProject();
+  const {
+    projects,
+    currentProjectId,
+    createProject,
+    getCurrentProject,
+    selectProject,
+    updateCurrentProject,
+    updateProjectVersionControl,
+    updateProjectCodegenProfile,
+    updateProjectNodeTypes,
+    appendChatTurns,
+    updateChatTurn,
+    clearChatHistory,
+    deleteProject,
+    isLoaded,
+  } = useProject();
+  const codegenProfile = useMemo(
+    () => normalizeCodegenProfile(getCurrentProject()?.codegenProfile),
+    [getCurrentProject],
+  );
+  // Passed to every node type helper (and to nodes via NodeTypesContext) so
+  // the project's custom types are honored.
+  const customNodeTypes = useMemo(
+    () => normalizeCustomNodeTypes(getCurrentProject()?.customNodeTypes),
+    [getCurrentProject],
+  );
 
   // Modal state
   const [showProjectNameModal, setShowProjectNameModal] = useState(false);
@@ -62,11 +123,21 @@ function FlowCanvas() {
   const [isSyncing, setIsSyncing] = useState(false);
   const [syncError, setSyncError] = useState(null);
   const [generatedFiles, setGeneratedFiles] = useState([]);
+  const [codegenWarnings, setCodegenWarnings] = useState([]);
+  const [scopeViolations, setScopeViolations] = useState([]);
+  const [runResult, setRunResult] = useState(null);
+  const [isRunning, setIsRunning] = useState(false);
+  const [syncRepair, setSyncRepair] = useState(null);
+  const [isSyncTesting, setIsSyncTesting] = useState(false);
+  const [testResults, setTestResults] = useState(null);
+  const [promptEstimate, setPromptEstimate] = useState(null);
+  const [proposal, setProposal] = useState(null);
   const [selectedNodeId, setSelectedNodeId] = useState(firstNode?.id ?? null);
   const [selectedNodeIds, setSelectedNodeIds] = useState(firstNode ? [firstNode.id] : []);
   const [inspectorLabel, setInspectorLabel] = useState(firstNode?.data.label ?? '');
   const [inspectorNotes, setInspectorNotes] = useState(firstNode?.data.notes ?? '');
   const [inspectorType, setInspectorType] = useState(getNodeTypeId(firstNode));
+  const [inspectorRole, setInspectorRole] = useState(getNodeRole(firstNode) ?? '');
   const [collapsedNodes, setCollapsedNodes] = useState(() => new Set());
   const [searchTerm, setSearchTerm] = useState('');
   const [leftSidebarWidth, setLeftSidebarWidth] = useState(260);
@@ -75,6 +146,8 @@ function FlowCanvas() {
   const [isBottomDragging, setIsBottomDragging] = useState(false);
   const nodesRef = useRef(nodes);
   const edgesRef = useRef(edges);
+  // The open project, for replies that arrive after an await.
+  const currentProjectIdRef = useRef(currentProjectId);
   const isDraggingRef = useRef(false);
   const dragStartSnapshotRef = useRef(null);
   const skipHistoryOnceRef = useRef(false);
@@ -86,6 +159,7 @@ function FlowCanvas() {
   const isRestoringRef = useRef(false);
   const prevGraphRef = useRef(cloneGraphState(seededInitialNodes, initialEdges));
   const seenChangeIdsRef = useRef(new Set());
+  const syncAbortRef = useRef(null);
   const dragStateRef = useRef({ active: null, startX: 0, startY: 0, startWidth: 0, startHeight: 0 });
   const { screenToFlowPosition, setCenter, fitView } = useReactFlow();
   const nodeImplementationMap = useMemo(() => nodeImplementations, []);
@@ -104,6 +178,10 @@ function FlowCanvas() {
     edgesRef.current = edges;
   }, [edges]);
 
+  useEffect(() => {
+    currentProjectIdRef.current = currentProjectId;
+  }, [currentProjectId]);
+
   useEffect(() => {
     if (isRestoringRef.current) {
       prevGraphRef.current = cloneGraphState(nodes, edges);
@@ -196,7 +274,7 @@ function FlowCanvas() {
 
       const entries = selectedNodes.map((node) => ({
         id: node.id,
-        nodeType: getNodeTypeId(node),
+        nodeType: getNodeTypeId(node, customNodeTypes),
         data: JSON.parse(JSON.stringify(node.data ?? {})),
         style: JSON.parse(JSON.stringify(node.style ?? {})),
         offset: {
@@ -208,7 +286,7 @@ function FlowCanvas() {
       const clonedEdges = selectedEdges.map((edge) => JSON.parse(JSON.stringify(edge)));
       return { entries, edges: clonedEdges, center };
     },
-    [computeCanvasCenter],
+    [computeCanvasCenter, customNodeTypes],
   );
 
   const copyNodes = useCallback(() => {
@@ -267,6 +345,7 @@ function FlowCanvas() {
             style: { ...DEFAULT_NODE_STYLE, ...(entry.style ?? {}) },
           },
           nodeType,
+          customNodeTypes,
         );
         newNodes.push(newNode);
       });
@@ -311,10 +390,10 @@ function FlowCanvas() {
       if (primaryId) {
         setInspectorLabel(newNodes[0]?.data?.label ?? '');
         setInspectorNotes(newNodes[0]?.data?.notes ?? '');
-        setInspectorType(getNodeTypeId(newNodes[0]));
+        setInspectorType(getNodeTypeId(newNodes[0], customNodeTypes));
       }
     },
-    [setEdges],
+    [customNodeTypes, setEdges],
   );
 
   const duplicateSelectedNode = useCallback(() => {
@@ -373,13 +452,15 @@ function FlowCanvas() {
     if (selectedNode) {
       setInspectorLabel(selectedNode.data.label ?? '');
       setInspectorNotes(selectedNode.data.notes ?? '');
-      setInspectorType(getNodeTypeId(selectedNode));
+      setInspectorType(getNodeTypeId(selectedNode, customNodeTypes));
+      setInspectorRole(getNodeRole(selectedNode) ?? '');
     } else {
       setInspectorLabel('');
       setInspectorNotes('');
       setInspectorType(DEFAULT_NODE_TYPE);
+      setInspectorRole('');
     }
-  }, [selectedNode]);
+  }, [customNodeTypes, selectedNode]);
 
   useEffect(() => {
     const pendingIds = pendingChanges.map((change) => change.id);
@@ -488,6 +569,17 @@ function FlowCanvas() {
     (params) => setEdges((edgesSnapshot) => addEdge(params, edgesSnapshot)),
     [],
   );
+  // An empty reason removes it from edge.data.
+  const handleEdgeReasonChange = useCallback((edgeId, reason) => {
+    setEdges((edgesSnapshot) =>
+      edgesSnapshot.map((edge) => {
+        if (edge.id !== edgeId || (edge.data?.reason ?? '') === reason) return edge;
+        const data = { ...(edge.data ?? {}), reason };
+        if (!reason) delete data.reason;
+        return { ...edge, data };
+      }),
+    );
+  }, []);
 
   const onNodeClick = useCallback((_, node) => {
     setSelectedNodeId(node.id);
@@ -579,6 +671,24 @@ function FlowCanvas() {
     [nodesById, setCenter],
   );
 
+  // Selects and frames the given nodes plus the endpoints of the given edges.
+  const handleFocusElements = useCallback(
+    ({ nodeIds = [], edgeIds = [] }) => {
+      const ids = new Set(nodeIds);
+      edgesRef.current.forEach((edge) => {
+        if (!edgeIds.includes(edge.id)) return;
+        ids.add(edge.source);
+        ids.add(edge.target);
+      });
+      const targets = nodesRef.current.filter((node) => ids.has(node.id));
+      if (!targets.length) return;
+      setSelectedNodeId(targets[0].id);
+      setSelectedNodeIds(targets.map((node) => node.id));
+      fitView({ nodes: targets.map((node) => ({ id: node.id })), padding: 0.3, maxZoom: 1.2, duration: 400 });
+    },
+    [fitView],
+  );
+
   const searchTermValue = searchTerm.trim().toLowerCase();
   const matchesSearch = useCallback(
     (node) => {
@@ -688,7 +798,7 @@ function FlowCanvas() {
       event.preventDefault();
       if (!selectedNodeId) return;
 
-      const nodeType = normalizeNodeType(inspectorType);
+      const nodeType = normalizeNodeType(inspectorType, customNodeTypes);
       setNodes((snapshot) =>
         snapshot.map((node) =>
           node.id === selectedNodeId
@@ -696,19 +806,23 @@ function FlowCanvas() {
                 {
                   ...node,
                   type: nodeType,
-                  data: {
-                    ...node.data,
-                    label: inspectorLabel,
-                    notes: inspectorNotes,
-                  },
+                  data: withNodeRole(
+                    {
+                      ...node.data,
+                      label: inspectorLabel,
+                      notes: inspectorNotes,
+                    },
+                    inspectorRole,
+                  ),
                 },
                 nodeType,
+                customNodeTypes,
               )
             : node,
         ),
       );
     },
-    [inspectorLabel, inspectorNotes, inspectorType, selectedNodeId],
+    [customNodeTypes, inspectorLabel, inspectorNotes, inspectorRole, inspectorType, selectedNodeId],
   );
 
   const handleToggleStage = useCallback((changeId) => {
@@ -740,10 +854,10 @@ function FlowCanvas() {
           }
           if (change.changeType === 'removed' && change.previousNode) {
             if (current.find((node) => node.id === change.nodeId)) return current;
-            return [...current, attachNodeType(change.previousNode)];
+            return [...current, attachNodeType(change.previousNode, undefined, customNodeTypes)];
           }
           if (change.changeType === 'modified' && change.previousNode) {
-            const restored = attachNodeType(change.previousNode);
+            const restored = attachNodeType(change.previousNode, undefined, customNodeTypes);
             return current.map((node) => (node.id === change.nodeId ? restored : node));
           }
           return current;
@@ -766,51 +880,103 @@ function FlowCanvas() {
       setStagedChangeIds((prev) => prev.filter((id) => id !== changeId));
       setPendingChanges((prev) => prev.filter((item) => item.id !== changeId));
     },
-    [pendingChanges],
+    [customNodeTypes, pendingChanges],
   );
 
+  // Request body shared by the sync and the prompt-size estimate.
+  const syncPayload = useMemo(() => {
+    const stagedSet = new Set(stagedChangeIds);
+    return {
+      nodes: nodes.map((node) => {
+        const nodeType = getNodeTypeId(node, customNodeTypes);
+        const codegenRole = getNodeTypeDefinition(nodeType, customNodeTypes).codegenRole ?? nodeType;
+        const isDescriptive = codegenRole === 'descriptive'; // Descriptive nodes feed context only; no direct code unless referenced.
+        return {
+          ...node,
+          type: nodeType,
+          nodeType,
+          data: { ...(node.data ?? {}), nodeType },
+          isDescriptive,
+        };
+      }),
+      edges,
+      changes: pendingChanges.filter((change) => stagedSet.has(change.id)),
+      intent: 'sync',
+      projectId: currentProjectId,
+      profile: codegenProfile,
+      generateTests: Boolean(codegenProfile.generateTests),
+      nodeTypes: customNodeTypes,
+    };
+  }, [codegenProfile, currentProjectId, customNodeTypes, edges, nodes, pendingChanges, stagedChangeIds]);
+
+  useEffect(() => {
+    if (!syncPayload.changes.length) {
+      setPromptEstimate(null);
+      return undefined;
+    }
+    const controller = new AbortController();
+    const timer = setTimeout(() => {
+      fetchCodegenEstimate(syncPayload, { signal: controller.signal })
+        .then(setPromptEstimate)
+        .catch((err) => {
+          if (err.name !== 'AbortError') {
+            console.error('Failed to estimate prompt size', err);
+            setPromptEstimate(null);
+          }
+        });
+    }, ESTIMATE_DEBOUNCE_MS);
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [syncPayload]);
+
   const handleSync = useCallback(async () => {
     if (!stagedChangeIds.length) return;
 
-    const stagedSet = new Set(stagedChangeIds);
-    const stagedChanges = pendingChanges.filter((change) => stagedSet.has(change.id));
-    const nodesForSync = nodes.map((node) => {
-      const nodeType = getNodeTypeId(node);
-      const isDescriptive = nodeType === 'descriptive'; // Descriptive nodes feed context only; no direct code unless referenced.
-      return {
-        ...node,
-        type: nodeType,
-        nodeType,
-        data: { ...(node.data ?? {}), nodeType },
-        isDescriptive,
-      };
-    });
+    const stagedChanges = syncPayload.changes;
+    const filesBeforeSync = generatedFiles;
+    const runResultBeforeSync = runResult;
+    const controller = new AbortController();
+    syncAbortRef.current = controller;
 
     setIsSyncing(true);
     setSyncError(null);
+    setSyncRepair(null);
+    setIsSyncTesting(false);
 
     try {
-      const response = await fetch(`${BACKEND_URL}${SYNC_ENDPOINT}`, {
+      const response = await fetch(`${BACKEND_URL}${SYNC_STREAM_ENDPOINT}`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          nodes: nodesForSync,
-          edges,
-          changes: stagedChanges,
-          intent: 'sync',
-        }),
+        body: JSON.stringify(syncPayload),
+        signal: controller.signal,
       });
 
       if (!response.ok) {
-        throw new Error(`Sync failed: ${response.status} ${response.statusText}`);
+        throw new Error(await readApiError(response, `Sync failed: ${response.status} ${response.statusText}`));
       }
 
-      const data = await response.json();
+      const data = await readSyncResponse(response, {
+        onStart: () => {
+          setGeneratedFiles([]);
+          setRunResult(null);
+        },
+        onRetry: ({ attempt, reason }) => setSyncRepair({ attempt, reason }),
+        onTesting: () => setIsSyncTesting(true),
+        onFile: (file) => {
+          setGeneratedFiles((previous) => upsertGeneratedFile(previous, file));
+          animateBottomPanelHeight(EXPANDED_BOTTOM_HEIGHT);
+        },
+      });
       if (Array.isArray(data.files)) {
         setGeneratedFiles(data.files);
       } else {
         setGeneratedFiles([]);
       }
+      setCodegenWarnings(Array.isArray(data.warnings) ? data.warnings : []);
+      setScopeViolations(Array.isArray(data.scopeViolations) ? data.scopeViolations : []);
+      setTestResults(data.tests ?? null);
       animateBottomPanelHeight(EXPANDED_BOTTOM_HEIGHT);
 
       const now = new Date();
@@ -854,16 +1020,61 @@ function FlowCanvas() {
 
       setStagedChangeIds([]);
     } catch (err) {
+      // Abandoned by a project switch: the state now belongs to the other project.
+      if (syncAbortRef.current !== controller) return;
+      // Failed or cancelled: staged changes, the last-synced graph and the
+      // previous output stay as they were.
+      setGeneratedFiles(filesBeforeSync);
+      setRunResult(runResultBeforeSync);
+      if (err.name === 'AbortError') return;
       console.error('Sync error', err);
       setSyncError(err.message || 'Sync failed');
     } finally {
+      if (syncAbortRef.current === controller) syncAbortRef.current = null;
       setIsSyncing(false);
+      setIsSyncTesting(false);
     }
-  }, [animateBottomPanelHeight, edges, nodes, pendingChanges, stagedChangeIds]);
+  }, [animateBottomPanelHeight, generatedFiles, runResult, stagedChangeIds, syncPayload]);
+
+  const handleCancelSync = useCallback(() => {
+    syncAbortRef.current?.abort();
+  }, []);
+
+  // Aborts a running sync without restoring anything, for when another
+  // project is opened while it runs.
+  const abandonSync = useCallback(() => {
+    const controller = syncAbortRef.current;
+    syncAbortRef.current = null;
+    controller?.abort();
+  }, []);
+
+  const handleRun = useCallback(async () => {
+    if (!generatedFiles.length) return;
+    setIsRunning(true);
+    try {
+      const response = await fetch(`${BACKEND_URL}${RUN_ENDPOINT}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        // The backend runs the project's stored workspace from the last sync.
+        body: JSON.stringify({ projectId: currentProjectId }),
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || `Run failed: ${response.status} ${response.statusText}`);
+      }
+      setRunResult(data);
+    } catch (err) {
+      console.error('Run error', err);
+      setRunResult({ ok: false, output: [], error: { name: 'Error', message: err.message || 'Run failed' } });
+    } finally {
+      setIsRunning(false);
+    }
+  }, [currentProjectId, generatedFiles]);
 
   const handleLabelChange = (event) => setInspectorLabel(event.target.value);
   const handleNotesChange = (event) => setInspectorNotes(event.target.value);
-  const handleTypeChange = (event) => setInspectorType(normalizeNodeType(event.target.value));
+  const handleTypeChange = (event) => setInspectorType(normalizeNodeType(event.target.value, customNodeTypes));
+  const handleRoleChange = (event) => setInspectorRole(normalizeNodeRole(event.target.value) ?? '');
   const nodeTypes = useMemo(
     () => ({
       logic: NoteNode,
@@ -877,124 +1088,133 @@ function FlowCanvas() {
       default: NoteNode,
       input: NoteNode,
       modifier: NoteNode,
+      ...Object.fromEntries(customNodeTypes.map((type) => [type.id, NoteNode])),
     }),
-    [],
+    [customNodeTypes],
+  );
+  const inspectorDefinition = useMemo(
+    () => getNodeTypeDefinition(inspectorType, customNodeTypes),
+    [customNodeTypes, inspectorType],
   );
-  const inspectorDefinition = useMemo(() => getNodeTypeDefinition(inspectorType), [inspectorType]);
   const getNodeLabel = useCallback((id) => nodesById.get(id)?.data?.label ?? id, [nodesById]);
   const versionLabel = lastSyncedVersion != null ? `v${lastSyncedVersion}` : 'Unsynced';
+  const codegenStatus = useMemo(
+    () => ({
+      warningsByNode: groupWarningsByNode(codegenWarnings),
+      testsByNode: indexTestResultsByNode(testResults?.results),
+    }),
+    [codegenWarnings, testResults],
+  );
 
-  const applyAiSuggestions = useCallback(
-    (result) => {
-      if (!result) return;
-      const { newNodes = [], updatedNodes = [], suggestedConnections = [] } = result;
-      const idMap = new Map();
-
-      setNodes((currentNodes) => {
-        const currentIds = new Set(currentNodes.map((node) => node.id));
-
-        const updated = currentNodes.map((node) => {
-          const next = updatedNodes.find((item) => item?.id === node.id);
-          if (!next) return node;
-          const label = typeof next.label === 'string' && next.label.trim().length ? next.label : node.data?.label;
-          const notes = typeof next.notes === 'string' ? next.notes : node.data?.notes;
-          const nodeType = normalizeNodeType(next.nodeType ?? next.type ?? node.data?.nodeType ?? node.type);
-          return attachNodeType(
-            {
-              ...node,
-              type: nodeType,
-              data: {
-                ...node.data,
-                label: label ?? node.data?.label,
-                notes: notes ?? node.data?.notes,
-              },
-            },
-            nodeType,
-          );
-        });
-
-        const center = computeCanvasCenter(updated);
-        const randomOffset = () => (Math.random() - 0.5) * 240;
-        const ensureId = (baseId) => {
-          const safeBase = baseId && baseId.trim().length ? baseId.trim() : 'ai-node';
-          let candidate = safeBase;
-          let suffix = 1;
-          while (currentIds.has(candidate)) {
-            candidate = `${safeBase}-${suffix}`;
-            suffix += 1;
-          }
-          currentIds.add(candidate);
-          return candidate;
-        };
-
-        const additions = (Array.isArray(newNodes) ? newNodes : []).map((spec, index) => {
-          const finalId = ensureId(spec?.id || `ai-node-${index}`);
-          idMap.set(spec?.id || finalId, finalId);
-          const label =
-            typeof spec?.label === 'string' && spec.label.trim().length ? spec.label.trim() : finalId;
-          const notes = typeof spec?.notes === 'string' ? spec.notes : undefined;
-          const nodeType = normalizeNodeType(spec?.nodeType ?? spec?.type ?? DEFAULT_NODE_TYPE);
-          currentIds.add(finalId);
-          return attachNodeType(
-            {
-              id: finalId,
-              type: nodeType,
-              position: {
-                x: center.x + randomOffset(),
-                y: center.y + randomOffset(),
-              },
-              data: { label, notes },
-              style: { ...DEFAULT_NODE_STYLE },
-            },
-            nodeType,
-          );
-        });
-
-        return [...updated, ...additions];
+  // Applies an operation list from the Agent as a single undo step. Returns
+  // null without touching the graph when `projectId` (the project the
+  // operations were computed for) is no longer the open one.
+  const applyGraphOperationList = useCallback(
+    (operations, { projectId = currentProjectIdRef.current } = {}) => {
+      if (projectId !== currentProjectIdRef.current) return null;
+      const before = cloneGraphState(nodesRef.current, edgesRef.current);
+      const result = applyGraphOperations(nodesRef.current, edgesRef.current, operations, {
+        fallbackPosition: computeCanvasCenter(nodesRef.current),
+        customTypes: customNodeTypes,
       });
+      if (!result.applied) return result;
 
-      setEdges((currentEdges) => {
-        const existingIds = new Set(currentEdges.map((edge) => edge.id));
-        const existingPairs = new Set(currentEdges.map((edge) => `${edge.source}->${edge.target}`));
-        const additions = [];
-
-        (Array.isArray(suggestedConnections) ? suggestedConnections : []).forEach((conn, index) => {
-          const source = idMap.get(conn?.source) || conn?.source;
-          const target = idMap.get(conn?.target) || conn?.target;
-          if (!source || !target) return;
-          const pairKey = `${source}->${target}`;
-          if (existingPairs.has(pairKey)) return;
-          let edgeId =
-            (conn && typeof conn.id === 'string' && conn.id.trim().length && conn.id.trim()) ||
-            `${source}-${target}`;
-          let suffix = 1;
-          while (existingIds.has(edgeId)) {
-            edgeId = `${source}-${target}-${suffix}`;
-            suffix += 1;
-          }
-          existingIds.add(edgeId);
-          existingPairs.add(pairKey);
-          additions.push({
-            id: edgeId,
-            source,
-            target,
-            animated: false,
-          });
-        });
-
-        return [...currentEdges, ...additions];
-      });
+      historyRef.current = [...historyRef.current, before].slice(-HISTORY_LIMIT);
+      futureRef.current = [];
+      prevGraphRef.current = cloneGraphState(result.nodes, result.edges);
+      skipHistoryOnceRef.current = true;
+      setNodes(result.nodes);
+      setEdges(result.edges);
 
+      const remainingIds = new Set(result.nodes.map((node) => node.id));
+      setSelectedNodeId((current) => (remainingIds.has(current) ? current : null));
+      setSelectedNodeIds((currentIds) => currentIds.filter((id) => remainingIds.has(id)));
       setTimeout(() => {
         try {
           fitView({ padding: 0.2, duration: 600 });
-        } catch (err) {
-          const center = computeCanvasCenter(nodes);
+        } catch {
+          const center = computeCanvasCenter(result.nodes);
           setCenter(center.x, center.y, { zoom: 1, duration: 400 });
         }
       }, 50);
+      return result;
     },
-    [computeCanvasCenter, fitView, nodes, setCenter],
+    [computeCanvasCenter, customNodeTypes, fitView, setCenter],
+  );
+
+  // Agent suggestions are previewed on the canvas and only applied once reviewed.
+  // Returns how many items need review; replies for a project that is no
+  // longer open are dropped.
+  const proposeAiSuggestions = useCallback(
+    (result, { projectId, turnId } = {}) => {
+      if (!result || projectId !== currentProjectIdRef.current) return 0;
+      const items = buildSuggestionProposal(result, nodesRef.current, edgesRef.current, {
+        center: computeCanvasCenter(nodesRef.current),
+        customTypes: customNodeTypes,
+      });
+      setProposal(items.length ? { projectId, turnId, items } : null);
+      return items.length;
+    },
+    [computeCanvasCenter, customNodeTypes],
+  );
+
+  const setProposalStatus = useCallback((status, itemId) => {
+    setProposal((current) =>
+      current
+        ? {
+            ...current,
+            items: current.items.map((item) => (itemId == null || item.id === itemId ? { ...item, status } : item)),
+          }
+        : current,
+    );
+  }, []);
+
+  const handleFocusProposalItem = useCallback(
+    (item) => {
+      const ids = proposalItemNodeIds(item);
+      fitView({ nodes: ids.map((id) => ({ id })), padding: 0.4, maxZoom: 1.2, duration: 400 });
+    },
+    [fitView],
+  );
+
+  // Nodes the accepted removals would leave without incoming connections.
+  const proposalOrphanedIds = useMemo(
+    () =>
+      proposal ? findOrphanedNodes(nodes, edges, proposal.items.filter((item) => item.status === 'accepted')) : [],
+    [edges, nodes, proposal],
+  );
+
+  // Accepted items go through applyGraphOperationList, so they undo together.
+  const handleApplyProposal = useCallback(() => {
+    if (!proposal) return;
+    const result = applyGraphOperationList(proposalToOperations(proposal.items), {
+      projectId: proposal.projectId,
+    });
+    if (!result) {
+      setProposal(null);
+      return;
+    }
+    const orphanNote = proposalOrphanedIds.length
+      ? ` Left without incoming connections: ${proposalOrphanedIds.map(getNodeLabel).join(', ')}.`
+      : '';
+    updateChatTurn(proposal.projectId, proposal.turnId, {
+      nodeIds: result.nodeIds,
+      edgeIds: result.edgeIds,
+      note: `Applied ${result.applied} of ${proposal.items.length} suggestion(s).${orphanNote}`,
+    });
+    setProposal(null);
+  }, [applyGraphOperationList, getNodeLabel, proposal, proposalOrphanedIds, updateChatTurn]);
+
+  const handleDiscardProposal = useCallback(() => {
+    if (!proposal) return;
+    updateChatTurn(proposal.projectId, proposal.turnId, { note: 'Suggestions discarded.' });
+    setProposal(null);
+  }, [proposal, updateChatTurn]);
+
+  // What React Flow renders: the graph plus the proposal preview, if any.
+  const { nodes: displayNodes, edges: displayEdges } = useMemo(
+    () => (proposal ? previewProposal(nodes, edges, proposal.items, customNodeTypes) : { nodes, edges }),
+    [customNodeTypes, edges, nodes, proposal],
   );
 
   const handleInsertExample = useCallback(
@@ -1049,6 +1269,7 @@ function FlowCanvas() {
 
   const handleNewProject = useCallback(
     (projectName) => {
+      abandonSync();
       const newProject = createProject(projectName);
       // Load the new project's graph
       setNodes(JSON.parse(JSON.stringify(newProject.nodes)));
@@ -1059,6 +1280,7 @@ function FlowCanvas() {
       setLastSyncedVersion(newProject.lastSyncedVersion);
       setPendingChanges([]);
       setStagedChangeIds([]);
+      setProposal(null);
       setShowProjectNameModal(false);
       // Reset history and UI state
       historyRef.current = [];
@@ -1070,11 +1292,12 @@ function FlowCanvas() {
       setInspectorNotes(firstNode?.data.notes ?? '');
       setInspectorType(getNodeTypeId(firstNode));
     },
-    [createProject]
+    [abandonSync, createProject]
   );
 
   const handleSelectProject = useCallback(
     (projectId) => {
+      if (projectId !== currentProjectIdRef.current) abandonSync();
       selectProject(projectId);
       const project = projects.find((p) => p.id === projectId);
       if (project) {
@@ -1087,6 +1310,12 @@ function FlowCanvas() {
         setLastSyncedVersion(project.lastSyncedVersion);
         setPendingChanges([]);
         setStagedChangeIds([]);
+        setGeneratedFiles([]);
+        setCodegenWarnings([]);
+        setScopeViolations([]);
+        setTestResults(null);
+        setRunResult(null);
+        setProposal(null);
         // Reset history and UI state
         historyRef.current = [];
         futureRef.current = [];
@@ -1095,10 +1324,10 @@ function FlowCanvas() {
         setSelectedNodeIds(firstNode ? [firstNode.id] : []);
         setInspectorLabel(firstNode?.data.label ?? '');
         setInspectorNotes(firstNode?.data.notes ?? '');
-        setInspectorType(getNodeTypeId(firstNode));
+        setInspectorType(getNodeTypeId(firstNode, normalizeCustomNodeTypes(project.customNodeTypes)));
       }
     },
-    [selectProject, projects]
+    [abandonSync, selectProject, projects]
   );
 
   const handleDeleteProject = useCallback(
@@ -1123,6 +1352,24 @@ function FlowCanvas() {
     }
   }, [lastSyncedNodes, lastSyncedEdges, lastSyncedAt, lastSyncedVersion, currentProjectId, isLoaded, updateProjectVersionControl]);
 
+  // Restore the last generated output from the backend workspace
+  useEffect(() => {
+    if (!currentProjectId) return undefined;
+    const controller = new AbortController();
+    fetchWorkspaceFiles(currentProjectId, { signal: controller.signal })
+      .then((files) => {
+        if (files.length) {
+          setGeneratedFiles((previous) => (previous.length ? previous : files));
+        }
+      })
+      .catch((err) => {
+        if (err.name !== 'AbortError') {
+          console.error('Failed to load workspace files', err);
+        }
+      });
+    return () => controller.abort();
+  }, [currentProjectId]);
+
   // Load project on startup
   useEffect(() => {
     if (isLoaded && projects.length > 0 && !currentProjectId) {
@@ -1136,6 +1383,11 @@ function FlowCanvas() {
         <div className="brand">AI Node Generator</div>
         <div className="top-actions">
           <button className="ghost" onClick={() => setShowProjectNameModal(true)}>New Project</button>
+          {isSyncing ? (
+            <button className="ghost" onClick={handleCancelSync}>
+              Cancel
+            </button>
+          ) : null}
           <button className="primary" onClick={handleSync} disabled={!stagedChangeIds.length || isSyncing}>
             {isSyncing ? 'Syncing...' : 'Sync'}
           </button>
@@ -1204,7 +1456,20 @@ function FlowCanvas() {
           </div>
           <div className="panel">
             <div className="panel-header">Agent</div>
-            <AiCopilot selectedNodes={selectedNodesForContext} onApplySuggestions={applyAiSuggestions} />
+            <AiCopilot
+              selectedNodes={selectedNodesForContext}
+              projectId={currentProjectId}
+              customNodeTypes={customNodeTypes}
+              onProposeSuggestions={proposeAiSuggestions}
+              nodes={nodes}
+              edges={edges}
+              history={getCurrentProject()?.chatHistory ?? []}
+              onAppendTurns={appendChatTurns}
+              onClearHistory={clearChatHistory}
+              onFocusElements={handleFocusElements}
+              getNodeLabel={getNodeLabel}
+              onApplyOperations={applyGraphOperationList}
+            />
           </div>
           <div className="panel">
             <div className="panel-header-row">
@@ -1251,28 +1516,35 @@ function FlowCanvas() {
             </div>
           </div>
           <div className="canvas-wrapper">
-            <ReactFlow
-              nodes={nodes}
-              edges={edges}
-              onNodesChange={onNodesChange}
-              onEdgesChange={onEdgesChange}
-              onConnect={onConnect}
-              onNodeClick={onNodeClick}
-              onNodeDragStart={onNodeDragStart}
-              onNodeDragStop={onNodeDragStop}
-              onNodeMouseEnter={onNodeMouseEnter}
-              onNodeMouseLeave={onNodeMouseLeave}
-              onPaneMouseMove={onPaneMouseMove}
-              onSelectionChange={onSelectionChange}
-              onPaneContextMenu={onPaneContextMenu}
-              deleteKeyCode={['Delete', 'Backspace']}
-              nodeTypes={nodeTypes}
-              fitView
-            >
-              <Controls />
-              <MiniMap />
-              <Background variant="dots" gap={12} size={1} />
-            </ReactFlow>
+            <CodegenStatusContext.Provider value={codegenStatus}>
+              <NodeTypesContext.Provider value={customNodeTypes}>
+                <EdgeReasonContext.Provider value={handleEdgeReasonChange}>
+                  <ReactFlow
+                    nodes={displayNodes}
+                    edges={displayEdges}
+                    onNodesChange={onNodesChange}
+                    onEdgesChange={onEdgesChange}
+                    onConnect={onConnect}
+                    onNodeClick={onNodeClick}
+                    onNodeDragStart={onNodeDragStart}
+                    onNodeDragStop={onNodeDragStop}
+                    onNodeMouseEnter={onNodeMouseEnter}
+                    onNodeMouseLeave={onNodeMouseLeave}
+                    onPaneMouseMove={onPaneMouseMove}
+                    onSelectionChange={onSelectionChange}
+                    onPaneContextMenu={onPaneContextMenu}
+                    deleteKeyCode={['Delete', 'Backspace']}
+                    nodeTypes={nodeTypes}
+                    edgeTypes={edgeTypes}
+                    fitView
+                  >
+                    <Controls />
+                    <MiniMap />
+                    <Background variant="dots" gap={12} size={1} />
+                  </ReactFlow>
+                </EdgeReasonContext.Provider>
+              </NodeTypesContext.Provider>
+            </CodegenStatusContext.Provider>
           </div>
         </section>
 
@@ -1285,6 +1557,18 @@ function FlowCanvas() {
         />
 
         <aside className="sidebar right" style={{ width: rightSidebarWidth, minWidth: MIN_SIDEBAR_WIDTH }}>
+          {proposal ? (
+            <ProposalPanel
+              items={proposal.items}
+              orphanedIds={proposalOrphanedIds}
+              getNodeLabel={getNodeLabel}
+              customTypes={customNodeTypes}
+              onSetStatus={setProposalStatus}
+              onFocusItem={handleFocusProposalItem}
+              onApply={handleApplyProposal}
+              onDiscard={handleDiscardProposal}
+            />
+          ) : null}
           <VersionControlPanel
             pendingChanges={pendingChanges}
             stagedChangeIds={stagedChangeIds}
@@ -1293,9 +1577,12 @@ function FlowCanvas() {
             onStageAll={handleStageAll}
             onUnstageAll={handleUnstageAll}
             onSync={handleSync}
+            onCancelSync={handleCancelSync}
+            isSyncing={isSyncing}
             lastSyncedAt={lastSyncedAt}
             lastSyncedVersion={lastSyncedVersion != null ? `v${lastSyncedVersion}` : null}
             getNodeLabel={getNodeLabel}
+            promptEstimate={promptEstimate}
           />
           {syncError ? <div className="panel error">Sync error: {syncError}</div> : null}
           <div className="panel">
@@ -1309,13 +1596,23 @@ function FlowCanvas() {
                 <label>
                   Node type
                   <select value={inspectorType} onChange={handleTypeChange}>
-                    {ALL_NODE_TYPES.map((option) => (
+                    {getAllNodeTypes(customNodeTypes).map((option) => (
                       <option value={option.id} key={option.id} title={option.description}>
                         {option.label}
                       </option>
                     ))}
                   </select>
                 </label>
+                <label>
+                  Role
+                  <select value={inspectorRole} onChange={handleRoleChange}>
+                    {NODE_ROLE_OPTIONS.map((option) => (
+                      <option value={option.id} key={option.id || 'standard'} title={option.description}>
+                        {option.label}
+                      </option>
+                    ))}
+                  </select>
+                </label>
                 <label>
                   Notes
                   <textarea
@@ -1335,6 +1632,16 @@ function FlowCanvas() {
               </div>
             )}
           </div>
+          <CodegenProfilePanel
+            profile={codegenProfile}
+            onChange={updateProjectCodegenProfile}
+            disabled={!currentProjectId}
+          />
+          <NodeTypesPanel
+            types={customNodeTypes}
+            onChange={updateProjectNodeTypes}
+            disabled={!currentProjectId}
+          />
         </aside>
       </div>
 
@@ -1355,7 +1662,16 @@ function FlowCanvas() {
           onMouseDown={(event) => startResize('bottom', event)}
         />
         <footer className="status-bar">
-          <div>Status: {isSyncing ? 'Syncing...' : 'Connected'}</div>
+          <div>
+            Status:{' '}
+            {isSyncing
+              ? isSyncTesting
+                ? 'Syncing... (running tests)'
+                : syncRepair
+                ? `Syncing... (repairing ${syncRepair.reason === 'schema' ? 'invalid output' : 'markers'}, attempt ${syncRepair.attempt})`
+                : 'Syncing...'
+              : 'Connected'}
+          </div>
           <div>Nodes: {nodes.length} | Connections: {edges.length}</div>
           <div>Draft autosaved 2m ago</div>
           <div>© 2025 Encryptic. Proprietary technology. Not for redistribution.</div>
@@ -1384,6 +1700,12 @@ function FlowCanvas() {
           }}
           isSyncing={isSyncing}
           syncError={syncError}
+          warnings={codegenWarnings}
+          scopeViolations={scopeViolations}
+          tests={testResults}
+          runResult={runResult}
+          isRunning={isRunning}
+          onRun={handleRun}
         />
         {showProjectNameModal && (
           <ProjectNameModal
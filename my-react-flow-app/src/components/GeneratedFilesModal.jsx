@@ -1,9 +1,38 @@
 import { useState } from 'react';
+import { describeTestResult } from '../utils/graphUtils.js';
 
-export default function GeneratedFilesModal({ files, onClose, isSyncing, syncError }) {
+const formatRunSummary = (runResult) => {
+  if (runResult.timedOut) return runResult.error?.message ?? 'Timed out';
+  if (runResult.error) return `${runResult.error.name}: ${runResult.error.message}`;
+  if (!runResult.calledRun) return `Loaded ${runResult.entry} (no run export) in ${runResult.durationMs} ms`;
+  return `run() returned ${runResult.result} in ${runResult.durationMs} ms`;
+};
+
+export default function GeneratedFilesModal({
+  files,
+  onClose,
+  isSyncing,
+  syncError,
+  warnings,
+  scopeViolations,
+  tests,
+  runResult,
+  isRunning,
+  onRun,
+}) {
   const [selectedIndex, setSelectedIndex] = useState(0);
+  const [showConsole, setShowConsole] = useState(false);
 
-  if (!files || !files.length) return null;
+  if (!files || !files.length) {
+    if (!isSyncing) return null;
+    return (
+      <div className="modal-backdrop">
+        <div className="modal">
+          <div className="modal-footer">Generating files...</div>
+        </div>
+      </div>
+    );
+  }
 
   const downloadFile = (file) => {
     if (!file) return;
@@ -39,14 +68,99 @@ export default function GeneratedFilesModal({ files, onClose, isSyncing, syncErr
                     return;
                   }
                   setSelectedIndex(index);
+                  setShowConsole(false);
                 }}
               >
                 {file.path}
               </button>
             ))}
+            {isSyncing ? <div className="file-tab pending">Generating...</div> : null}
+            <button
+              type="button"
+              className={`file-tab console-tab ${showConsole ? 'active' : ''}`}
+              onClick={() => setShowConsole(true)}
+            >
+              Console
+            </button>
+            {onRun ? (
+              <button
+                type="button"
+                className="file-tab run-tab"
+                disabled={isRunning || isSyncing}
+                onClick={() => {
+                  setShowConsole(true);
+                  onRun();
+                }}
+              >
+                {isRunning ? 'Running...' : 'Run'}
+              </button>
+            ) : null}
           </div>
-          <pre className="file-contents">{selected?.contents ?? ''}</pre>
+          {showConsole ? (
+            <pre className="file-contents console-output">
+              {runResult ? (
+                <>
+                  {runResult.output?.map((line, index) => (
+                    <div key={index} className={`console-line ${line.stream}`}>
+                      {line.text}
+                    </div>
+                  ))}
+                  <div className={`console-line ${runResult.ok ? 'result' : 'stderr'}`}>
+                    {formatRunSummary(runResult)}
+                  </div>
+                  {runResult.error?.stack ? (
+                    <div className="console-line stderr">{runResult.error.stack}</div>
+                  ) : null}
+                </>
+              ) : (
+                <div className="console-line muted">
+                  {isRunning ? 'Running...' : 'Press Run to execute the generated entry point.'}
+                </div>
+              )}
+            </pre>
+          ) : (
+            <pre className="file-contents">{selected?.contents ?? ''}</pre>
+          )}
         </div>
+        {warnings?.length ? (
+          <div className="modal-footer warning">
+            Marker warnings ({warnings.length}):
+            <ul>
+              {warnings.map((warning, index) => (
+                <li key={`${warning.type}-${warning.nodeId}-${index}`}>{warning.message}</li>
+              ))}
+            </ul>
+          </div>
+        ) : null}
+        {scopeViolations?.length ? (
+          <div className="modal-footer warning">
+            Modifier changes outside their targets were reverted ({scopeViolations.length}):
+            <ul>
+              {scopeViolations.map((violation, index) => (
+                <li key={`${violation.path}-${violation.nodeId}-${index}`}>{violation.message}</li>
+              ))}
+            </ul>
+          </div>
+        ) : null}
+        {tests ? (
+          <div className={`modal-footer${tests.status === 'passed' ? '' : ' warning'}`}>
+            {tests.status === 'skipped'
+              ? `Tests skipped: ${tests.error}`
+              : `Tests ${tests.status}: ${tests.results.filter((result) => result.status === 'passed').length}/${tests.results.length} nodes passing`}
+            {tests.status !== 'skipped' && tests.error ? ` (${tests.error})` : null}
+            {tests.results.some((result) => result.status !== 'passed') ? (
+              <ul>
+                {tests.results
+                  .filter((result) => result.status !== 'passed')
+                  .map((result) => (
+                    <li key={result.nodeId}>
+                      {result.path}: {describeTestResult(result)}
+                    </li>
+                  ))}
+              </ul>
+            ) : null}
+          </div>
+        ) : null}
         {syncError ? <div className="modal-footer error">Sync error: {syncError}</div> : null}
       </div>
     </div>
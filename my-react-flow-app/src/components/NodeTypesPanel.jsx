@@ -0,0 +1,160 @@
+import { useState } from 'react';
+import {
+  ALL_NODE_TYPES,
+  DEFAULT_CUSTOM_ACCENT,
+  DEFAULT_NODE_TYPE,
+  MAX_CUSTOM_NODE_TYPES,
+  isAvailableNodeTypeId,
+  toNodeTypeId,
+} from '../nodeTypes.js';
+
+const emptyDraft = () => ({
+  label: '',
+  accent: DEFAULT_CUSTOM_ACCENT,
+  codegenRole: DEFAULT_NODE_TYPE,
+  defaultNotesPlaceholder: '',
+  description: '',
+});
+
+const roleLabel = (roleId) => ALL_NODE_TYPES.find((type) => type.id === roleId)?.label ?? roleId;
+
+export default function NodeTypesPanel({ types, onChange, disabled }) {
+  const [draft, setDraft] = useState(emptyDraft);
+  const [editingId, setEditingId] = useState(null);
+
+  const draftId = editingId ?? toNodeTypeId(draft.label);
+  const clashes = !editingId && types.some((type) => type.id === draftId);
+  const draftError = !draft.label.trim()
+    ? null
+    : !isAvailableNodeTypeId(draftId)
+      ? 'Pick a label that is not a built-in type name.'
+      : clashes
+        ? 'A custom type with this name already exists.'
+        : null;
+  const isFull = !editingId && types.length >= MAX_CUSTOM_NODE_TYPES;
+  const canSubmit = !disabled && draft.label.trim() && !draftError && !isFull;
+
+  const updateDraft = (patch) => setDraft((prev) => ({ ...prev, ...patch }));
+
+  const resetDraft = () => {
+    setDraft(emptyDraft());
+    setEditingId(null);
+  };
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    if (!canSubmit) return;
+    const next = { ...draft, id: draftId };
+    onChange(editingId ? types.map((type) => (type.id === editingId ? next : type)) : [...types, next]);
+    resetDraft();
+  };
+
+  const handleEdit = (type) => {
+    setEditingId(type.id);
+    setDraft({
+      label: type.label,
+      accent: type.accent,
+      codegenRole: type.codegenRole,
+      defaultNotesPlaceholder: type.defaultNotesPlaceholder,
+      description: type.description,
+    });
+  };
+
+  // Nodes already using a removed type fall back to logic when rendered and synced.
+  const handleRemove = (typeId) => {
+    onChange(types.filter((type) => type.id !== typeId));
+    if (editingId === typeId) resetDraft();
+  };
+
+  return (
+    <div className="panel">
+      <div className="panel-header">Node Types</div>
+      <div className="panel-subheader">Custom types for this project, generated as a built-in type.</div>
+      {types.length ? (
+        <ul className="list node-type-list">
+          {types.map((type) => (
+            <li className="node-type-item" key={type.id}>
+              <span className="node-type-swatch" style={{ background: type.accent }} aria-hidden="true" />
+              <div className="node-type-meta">
+                <span className="node-type-label">{type.label}</span>
+                <span className="node-type-role">as {roleLabel(type.codegenRole)}</span>
+              </div>
+              <button type="button" className="ghost" onClick={() => handleEdit(type)} disabled={disabled}>
+                Edit
+              </button>
+              <button type="button" className="ghost" onClick={() => handleRemove(type.id)} disabled={disabled}>
+                Remove
+              </button>
+            </li>
+          ))}
+        </ul>
+      ) : null}
+      <form className="inspector node-type-form" onSubmit={handleSubmit}>
+        <label>
+          Label
+          <input
+            type="text"
+            value={draft.label}
+            placeholder="e.g. API Call, Requirement"
+            onChange={(event) => updateDraft({ label: event.target.value })}
+            disabled={disabled}
+          />
+        </label>
+        <label>
+          Generated as
+          <select
+            value={draft.codegenRole}
+            onChange={(event) => updateDraft({ codegenRole: event.target.value })}
+            disabled={disabled}
+          >
+            {ALL_NODE_TYPES.map((option) => (
+              <option value={option.id} key={option.id} title={option.description}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label>
+          Accent
+          <input
+            type="color"
+            value={draft.accent}
+            onChange={(event) => updateDraft({ accent: event.target.value })}
+            disabled={disabled}
+          />
+        </label>
+        <label>
+          Notes placeholder
+          <input
+            type="text"
+            value={draft.defaultNotesPlaceholder}
+            placeholder="Shown in empty notes fields"
+            onChange={(event) => updateDraft({ defaultNotesPlaceholder: event.target.value })}
+            disabled={disabled}
+          />
+        </label>
+        <label>
+          Description
+          <textarea
+            rows="2"
+            value={draft.description}
+            placeholder="What nodes of this type represent; sent to the model."
+            onChange={(event) => updateDraft({ description: event.target.value })}
+            disabled={disabled}
+          ></textarea>
+        </label>
+        {draftError ? <div className="node-type-error">{draftError}</div> : null}
+        <div className="node-type-actions">
+          <button type="submit" className="ghost full" disabled={!canSubmit}>
+            {editingId ? 'Save Type' : 'Add Type'}
+          </button>
+          {editingId ? (
+            <button type="button" className="ghost" onClick={resetDraft}>
+              Cancel
+            </button>
+          ) : null}
+        </div>
+      </form>
+    </div>
+  );
+}
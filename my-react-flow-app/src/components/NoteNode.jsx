@@ -1,16 +1,22 @@
 import { Handle, Position } from '@xyflow/react';
-import { getNodeTypeDefinition, normalizeNodeType } from '../nodeTypes.js';
+import { MODIFIER_ROLE, getNodeTypeDefinition, normalizeNodeRole, normalizeNodeType } from '../nodeTypes.js';
+import { useNodeCodegenStatus } from '../context/CodegenStatusContext.js';
+import { useCustomNodeTypes } from '../context/NodeTypesContext.js';
+import { describeTestResult } from '../utils/graphUtils.js';
 
-export default function NoteNode({ data, type }) {
-  const nodeType = normalizeNodeType(data?.nodeType ?? type);
-  const definition = getNodeTypeDefinition(nodeType);
+export default function NoteNode({ id, data, type }) {
+  const customTypes = useCustomNodeTypes();
+  const nodeType = normalizeNodeType(data?.nodeType ?? type, customTypes);
+  const definition = getNodeTypeDefinition(nodeType, customTypes);
   const label = data?.label ?? 'Untitled Node';
   const notes = data?.notes;
   const hasNotes = typeof notes === 'string' && notes.trim().length > 0;
+  const { warnings, testResult } = useNodeCodegenStatus(id);
+  const isModifier = normalizeNodeRole(data?.role) === MODIFIER_ROLE;
 
   return (
     <div
-      className={`note-node node-${nodeType}`}
+      className={`note-node node-${nodeType}${isModifier ? ' note-node--modifier' : ''}`}
       style={{ '--node-accent': definition.accent }}
       onContextMenu={(event) => {
         event.stopPropagation();
@@ -23,6 +29,24 @@ export default function NoteNode({ data, type }) {
         title={definition.label}
       >
         <div className="note-title">{label}</div>
+        {isModifier ? (
+          <span className="note-badge note-badge--modifier" title="Modifier: only changes the nodes it connects to">
+            MOD
+          </span>
+        ) : null}
+        {testResult ? (
+          <span
+            className={`note-badge note-badge--test-${testResult.status === 'passed' ? 'pass' : 'fail'}`}
+            title={describeTestResult(testResult)}
+          >
+            {testResult.status === 'passed' ? 'PASS' : testResult.status === 'missing' ? 'NO TEST' : 'FAIL'}
+          </span>
+        ) : null}
+        {warnings.length ? (
+          <span className="note-badge note-badge--warning" title={warnings.map((item) => item.message).join('\n')}>
+            {warnings.length}
+          </span>
+        ) : null}
       </div>
       {hasNotes ? (
         <div className="note-body">
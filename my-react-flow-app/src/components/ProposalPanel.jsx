@@ -0,0 +1,88 @@
+import { describeProposalItem } from '../utils/proposals.js';
+
+const STATUS_LABELS = { pending: 'Pending', accepted: 'Accepted', rejected: 'Rejected' };
+const KIND_LABELS = { node: 'new', update: 'update', edge: 'connect', removeNode: 'remove', removeEdge: 'disconnect' };
+
+const listLabels = (ids, getNodeLabel) => ids.map((id) => `"${getNodeLabel(id)}"`).join(', ');
+
+export default function ProposalPanel({
+  items,
+  orphanedIds = [],
+  getNodeLabel,
+  customTypes = [],
+  onSetStatus,
+  onFocusItem,
+  onApply,
+  onDiscard,
+}) {
+  const acceptedCount = items.filter((item) => item.status === 'accepted').length;
+
+  return (
+    <div className="panel proposal-panel">
+      <div className="panel-header">Agent Suggestions</div>
+      <div className="panel-subheader">
+        Previewed on the canvas. Accept the ones you want, then apply them as a single undo step.
+      </div>
+      <ul className="list proposal-list">
+        {items.map((item) => (
+          <li className={`proposal-item ${item.status}`} key={item.id}>
+            <button
+              type="button"
+              className="proposal-item-text"
+              onClick={() => onFocusItem(item)}
+              title={item.reason ?? 'Show on canvas'}
+            >
+              <span className={`proposal-kind ${item.kind}`}>{KIND_LABELS[item.kind]}</span>
+              {describeProposalItem(item, getNodeLabel, customTypes)}
+            </button>
+            {item.orphans?.length ? (
+              <div className="proposal-warning">
+                Leaves {listLabels(item.orphans, getNodeLabel)} with no incoming connection.
+              </div>
+            ) : null}
+            <div className="proposal-item-actions">
+              <span className="proposal-status">{STATUS_LABELS[item.status]}</span>
+              <button
+                type="button"
+                className="ghost tiny"
+                onClick={() => onSetStatus('accepted', item.id)}
+                disabled={item.status === 'accepted'}
+              >
+                Accept
+              </button>
+              <button
+                type="button"
+                className="ghost tiny"
+                onClick={() => onSetStatus('rejected', item.id)}
+                disabled={item.status === 'rejected'}
+              >
+                Reject
+              </button>
+            </div>
+          </li>
+        ))}
+      </ul>
+      <div className="proposal-actions">
+        <button type="button" className="ghost tiny" onClick={() => onSetStatus('accepted')}>
+          Accept all
+        </button>
+        <button type="button" className="ghost tiny" onClick={() => onSetStatus('rejected')}>
+          Reject all
+        </button>
+      </div>
+      {orphanedIds.length ? (
+        <div className="proposal-warning">
+          Applying the accepted changes leaves {listLabels(orphanedIds, getNodeLabel)} with no incoming connection.
+        </div>
+      ) : null}
+      <div className="proposal-actions">
+        <button type="button" className="ghost" onClick={onDiscard}>
+          Discard
+        </button>
+        <button type="button" className="primary" onClick={onApply} disabled={!acceptedCount}>
+          Apply {acceptedCount} accepted
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,96 @@
+import { BaseEdge, EdgeLabelRenderer, getBezierPath } from '@xyflow/react';
+import { useState } from 'react';
+import { useEdgeReasonEditor } from '../context/EdgeReasonContext.js';
+
+const MAX_REASON_LENGTH = 200;
+
+// Default edge with the connection's reason (edge.data.reason) as its label.
+// Double-click the label to edit it; a selected edge without one offers "+ Reason".
+export default function ReasonEdge({
+  id,
+  sourceX,
+  sourceY,
+  targetX,
+  targetY,
+  sourcePosition,
+  targetPosition,
+  label,
+  data,
+  selected,
+  selectable,
+  style,
+  markerStart,
+  markerEnd,
+  interactionWidth,
+}) {
+  const onReasonChange = useEdgeReasonEditor();
+  const [draft, setDraft] = useState(null);
+  const [path, labelX, labelY] = getBezierPath({
+    sourceX,
+    sourceY,
+    sourcePosition,
+    targetX,
+    targetY,
+    targetPosition,
+  });
+  const reason = typeof data?.reason === 'string' ? data.reason : '';
+  const text = reason || (typeof label === 'string' ? label : '');
+  const canEdit = Boolean(onReasonChange) && selectable !== false;
+  const isEditing = draft !== null;
+
+  const startEditing = () => {
+    if (canEdit) setDraft(reason);
+  };
+
+  const commit = () => {
+    if (draft === null) return;
+    if (draft.trim() !== reason) onReasonChange(id, draft.trim());
+    setDraft(null);
+  };
+
+  return (
+    <>
+      <BaseEdge
+        id={id}
+        path={path}
+        style={style}
+        markerStart={markerStart}
+        markerEnd={markerEnd}
+        interactionWidth={interactionWidth}
+      />
+      {text || isEditing || (selected && canEdit) ? (
+        <EdgeLabelRenderer>
+          <div
+            className={`edge-reason nodrag nopan${selected ? ' selected' : ''}`}
+            style={{ transform: `translate(-50%, -50%) translate(${labelX}px, ${labelY}px)` }}
+          >
+            {isEditing ? (
+              <input
+                autoFocus
+                value={draft}
+                maxLength={MAX_REASON_LENGTH}
+                placeholder="Why are these connected?"
+                onChange={(event) => setDraft(event.target.value)}
+                onBlur={commit}
+                onKeyDown={(event) => {
+                  if (event.key === 'Enter') commit();
+                  if (event.key === 'Escape') setDraft(null);
+                }}
+              />
+            ) : (
+              <button
+                type="button"
+                className={`edge-reason-label${text ? '' : ' empty'}`}
+                title={canEdit ? `${text ? `${text}\n` : ''}Double-click to edit` : text}
+                onClick={text ? undefined : startEditing}
+                onDoubleClick={startEditing}
+              >
+                {text || '+ Reason'}
+              </button>
+            )}
+          </div>
+        </EdgeLabelRenderer>
+      ) : null}
+    </>
+  );
+}
@@ -1,3 +1,5 @@
+import { describeCodegenEstimate } from '../utils/codegenEstimate.js';
+
 const formatLastSync = (lastSyncedAt, lastSyncedVersion) => {
   if (!lastSyncedAt) return 'Last sync: Never';
   const time = new Intl.DateTimeFormat(undefined, {
@@ -36,9 +38,12 @@ export default function VersionControlPanel({
   onStageAll,
   onUnstageAll,
   onSync,
+  onCancelSync,
+  isSyncing = false,
   lastSyncedAt,
   lastSyncedVersion,
   getNodeLabel,
+  promptEstimate,
 }) {
   const lastSyncLabel = formatLastSync(lastSyncedAt, lastSyncedVersion);
   return (
@@ -107,9 +112,24 @@ export default function VersionControlPanel({
       </div>
 
       <div className="vc-footer">
-        <button className="primary full" type="button" onClick={onSync} disabled={!stagedChangeIds.length}>
-          Sync
+        <button
+          className="primary full"
+          type="button"
+          onClick={onSync}
+          disabled={!stagedChangeIds.length || isSyncing}
+        >
+          {isSyncing ? 'Syncing...' : 'Sync'}
         </button>
+        {isSyncing ? (
+          <button className="ghost full" type="button" onClick={onCancelSync}>
+            Cancel
+          </button>
+        ) : null}
+        {promptEstimate ? (
+          <div className={`vc-estimate${promptEstimate.overBudget ? ' over-budget' : ''}`}>
+            {describeCodegenEstimate(promptEstimate)}
+          </div>
+        ) : null}
         <div className="vc-last-sync">{lastSyncLabel}</div>
       </div>
     </div>
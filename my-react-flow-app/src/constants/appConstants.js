@@ -1,10 +1,20 @@
 export const BACKEND_URL = import.meta.env.VITE_BACKEND_URL || 'http://localhost:3001';
 export const DEFAULT_NODE_STYLE = { width: 220, minHeight: 80 };
 export const SYNC_ENDPOINT = '/api/generate-code'; // Switch to /api/generate-code when ready for real calls or /api/generate-code-fake for testing
+export const SYNC_STREAM_ENDPOINT = '/api/generate-code-stream'; // NDJSON variant of SYNC_ENDPOINT that reports files as they are generated (plain JSON routes still work here)
+export const CODEGEN_ESTIMATE_ENDPOINT = '/api/codegen-estimate'; // Prompt size for a sync body, without calling the model
 export const ASK_AI_ENDPOINT = '/api/ask-ai';
+export const GRAPH_OPS_ENDPOINT = '/api/generate-nodes'; // Graph edits as a list of operations validated against the current graph
+export const RUN_ENDPOINT = '/api/run'; // Runs the generated entry point in the backend sandbox
+export const WORKSPACE_ENDPOINT = '/api/workspaces'; // Files from the last sync, persisted per project by the backend
 export const MIN_SIDEBAR_WIDTH = 200;
 export const MAX_SIDEBAR_WIDTH = 520;
 export const MIN_BOTTOM_HEIGHT = 30;
 export const MAX_BOTTOM_HEIGHT_RATIO = 0.5;
 export const EXPANDED_BOTTOM_HEIGHT = 200;
 export const HISTORY_LIMIT = 50;
+export const CHAT_HISTORY_LIMIT = 100; // Agent turns kept per project
+export const CHAT_TURNS_SENT = 20; // Latest turns sent with each Agent prompt; the backend trims them further to its token budget
+export const AGENT_CONTEXT_HOPS = 1; // Default number of connections around the selection sent with an Agent prompt
+export const AGENT_CONTEXT_MAX_NEIGHBORS = 40; // Nearest neighbours sent; the rest of the graph is only summarized
+export const ESTIMATE_DEBOUNCE_MS = 500;
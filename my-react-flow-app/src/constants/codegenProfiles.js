@@ -0,0 +1,30 @@
+export const CODEGEN_LANGUAGES = [
+  { id: 'javascript', label: 'JavaScript', defaultRuntime: 'node' },
+  { id: 'typescript', label: 'TypeScript', defaultRuntime: 'node' },
+  { id: 'python', label: 'Python', defaultRuntime: 'python3' },
+  { id: 'html', label: 'HTML / CSS / JS', defaultRuntime: 'browser' },
+  { id: 'java', label: 'Java', defaultRuntime: 'jvm' },
+  { id: 'csharp', label: 'C#', defaultRuntime: 'dotnet' },
+  { id: 'go', label: 'Go', defaultRuntime: 'go' },
+  { id: 'rust', label: 'Rust', defaultRuntime: 'cargo' },
+];
+
+export const CODEGEN_MODULE_STYLES = [
+  { id: 'esm', label: 'ES modules' },
+  { id: 'commonjs', label: 'CommonJS' },
+  { id: 'none', label: 'None / language default' },
+];
+
+export const DEFAULT_CODEGEN_PROFILE = {
+  language: 'javascript',
+  runtime: 'node',
+  framework: '',
+  moduleStyle: 'esm',
+  generateTests: false,
+};
+
+/** Fills in defaults for projects saved before codegen profiles existed. */
+export const normalizeCodegenProfile = (profile) => ({
+  ...DEFAULT_CODEGEN_PROFILE,
+  ...(profile && typeof profile === 'object' ? profile : {}),
+});
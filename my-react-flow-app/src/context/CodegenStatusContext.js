@@ -0,0 +1,13 @@
+import { createContext, useContext } from 'react';
+
+// Per-node results of the last sync (marker warnings, test results), keyed by
+// node id. Kept out of node.data so it never shows up as a pending change.
+export const CodegenStatusContext = createContext({ warningsByNode: new Map(), testsByNode: new Map() });
+
+export function useNodeCodegenStatus(nodeId) {
+  const { warningsByNode, testsByNode } = useContext(CodegenStatusContext);
+  return {
+    warnings: warningsByNode.get(nodeId) ?? [],
+    testResult: testsByNode?.get(nodeId) ?? null,
+  };
+}
@@ -0,0 +1,7 @@
+import { createContext, useContext } from 'react';
+
+// Saves an edited connection reason, (edgeId, reason) => void. Edges are
+// rendered by React Flow, so they reach FlowCanvas's state through this.
+export const EdgeReasonContext = createContext(null);
+
+export const useEdgeReasonEditor = () => useContext(EdgeReasonContext);
@@ -0,0 +1,7 @@
+import { createContext, useContext } from 'react';
+
+// Custom node types of the open project, so nodes re-render with the right
+// label and accent when a type is edited.
+export const NodeTypesContext = createContext([]);
+
+export const useCustomNodeTypes = () => useContext(NodeTypesContext);
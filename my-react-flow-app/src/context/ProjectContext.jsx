@@ -1,5 +1,8 @@
 import { createContext, useContext, useState, useCallback, useEffect } from 'react';
 import { seededInitialNodes, initialEdges } from '../data/initialGraph.js';
+import { DEFAULT_CODEGEN_PROFILE, normalizeCodegenProfile } from '../constants/codegenProfiles.js';
+import { normalizeCustomNodeTypes } from '../nodeTypes.js';
+import { CHAT_HISTORY_LIMIT } from '../constants/appConstants.js';
 
 // Create the context
 const ProjectContext = createContext(null);
@@ -55,6 +58,9 @@ export function ProjectProvider({ children }) {
       lastSyncedEdges: JSON.parse(JSON.stringify(initialEdges)),
       lastSyncedAt: null,
       lastSyncedVersion: null,
+      codegenProfile: { ...DEFAULT_CODEGEN_PROFILE },
+      customNodeTypes: [],
+      chatHistory: [],
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString(),
     };
@@ -113,6 +119,81 @@ export function ProjectProvider({ children }) {
     [currentProjectId]
   );
 
+  // Update current project's code generation target
+  const updateProjectCodegenProfile = useCallback(
+    (profile) => {
+      setProjects((prev) =>
+        prev.map((p) =>
+          p.id === currentProjectId
+            ? {
+                ...p,
+                codegenProfile: normalizeCodegenProfile({ ...p.codegenProfile, ...profile }),
+                updatedAt: new Date().toISOString(),
+              }
+            : p
+        )
+      );
+    },
+    [currentProjectId]
+  );
+
+  // Replace current project's custom node types
+  const updateProjectNodeTypes = useCallback(
+    (types) => {
+      setProjects((prev) =>
+        prev.map((p) =>
+          p.id === currentProjectId
+            ? {
+                ...p,
+                customNodeTypes: normalizeCustomNodeTypes(types),
+                updatedAt: new Date().toISOString(),
+              }
+            : p
+        )
+      );
+    },
+    [currentProjectId]
+  );
+
+  // Append Agent conversation turns to a project. Takes the id explicitly since
+  // a reply can arrive after the user has switched projects.
+  const appendChatTurns = useCallback((projectId, turns) => {
+    setProjects((prev) =>
+      prev.map((p) =>
+        p.id === projectId
+          ? {
+              ...p,
+              chatHistory: [...(p.chatHistory ?? []), ...turns].slice(-CHAT_HISTORY_LIMIT),
+              updatedAt: new Date().toISOString(),
+            }
+          : p
+      )
+    );
+  }, []);
+
+  // Patches one turn, e.g. to record what was applied from an Agent proposal.
+  const updateChatTurn = useCallback((projectId, turnId, patch) => {
+    setProjects((prev) =>
+      prev.map((p) =>
+        p.id === projectId
+          ? {
+              ...p,
+              chatHistory: (p.chatHistory ?? []).map((turn) => (turn.id === turnId ? { ...turn, ...patch } : turn)),
+              updatedAt: new Date().toISOString(),
+            }
+          : p
+      )
+    );
+  }, []);
+
+  const clearChatHistory = useCallback((projectId) => {
+    setProjects((prev) =>
+      prev.map((p) =>
+        p.id === projectId ? { ...p, chatHistory: [], updatedAt: new Date().toISOString() } : p
+      )
+    );
+  }, []);
+
   // Delete a project
   const deleteProject = useCallback((projectId) => {
     setProjects((prev) => prev.filter((p) => p.id !== projectId));
@@ -129,6 +210,11 @@ export function ProjectProvider({ children }) {
     selectProject,
     updateCurrentProject,
     updateProjectVersionControl,
+    updateProjectCodegenProfile,
+    updateProjectNodeTypes,
+    appendChatTurns,
+    updateChatTurn,
+    clearChatHistory,
     deleteProject,
     isLoaded,
   };
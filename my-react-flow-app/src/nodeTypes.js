@@ -66,6 +66,17 @@ export const NODE_TYPE_DEFINITIONS = {
 export const ALL_NODE_TYPE_IDS = ['logic', 'descriptive', 'event', 'condition', 'data', 'output'];
 export const ALL_NODE_TYPES = ALL_NODE_TYPE_IDS.map((id) => NODE_TYPE_DEFINITIONS[id]);
 
+/**
+ * A project-defined node type. `codegenRole` is the built-in type its nodes are
+ * generated (and tested) as; the backend applies the same rules.
+ * @typedef {{ id: string; label: string; description: string; defaultNotesPlaceholder: string; accent: string; codegenRole: NodeTypeId; custom: true }} CustomNodeTypeDefinition
+ */
+
+export const DEFAULT_CUSTOM_ACCENT = '#94a3b8';
+export const MAX_CUSTOM_NODE_TYPES = 32;
+const CUSTOM_TYPE_ID_PATTERN = /^[a-z][a-z0-9-]{0,39}$/;
+const HEX_COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
 const LEGACY_TYPE_MAP = {
   note: 'logic',
   default: 'logic',
@@ -74,17 +85,74 @@ const LEGACY_TYPE_MAP = {
   modifier: 'logic',
 };
 
+const cleanText = (value, maxLength) => (typeof value === 'string' ? value.trim().slice(0, maxLength) : '');
+
+/**
+ * Turns a label into a custom type id, e.g. "API Call" -> "api-call".
+ * @param {string} label
+ */
+export const toNodeTypeId = (label) =>
+  cleanText(label, 80)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^[^a-z]+|-+$/g, '')
+    .slice(0, 40);
+
+/**
+ * True when `id` may name a new custom type: well-formed and not a built-in or legacy name.
+ * @param {string} id
+ */
+export const isAvailableNodeTypeId = (id) =>
+  CUSTOM_TYPE_ID_PATTERN.test(id) && !NODE_TYPE_DEFINITIONS[id] && !LEGACY_TYPE_MAP[id];
+
+/**
+ * Drops malformed entries, duplicates and ids that clash with built-in or legacy types.
+ * @param {unknown} raw
+ * @returns {CustomNodeTypeDefinition[]}
+ */
+export function normalizeCustomNodeTypes(raw) {
+  if (!Array.isArray(raw)) return [];
+  const seen = new Set();
+  const types = [];
+  raw.forEach((item) => {
+    const id = cleanText(item?.id, 40).toLowerCase();
+    if (!isAvailableNodeTypeId(id) || seen.has(id) || types.length >= MAX_CUSTOM_NODE_TYPES) return;
+    seen.add(id);
+    const codegenRole = cleanText(item.codegenRole, 20).toLowerCase();
+    types.push({
+      id,
+      label: cleanText(item.label, 40) || id,
+      description: cleanText(item.description, 500),
+      defaultNotesPlaceholder: cleanText(item.defaultNotesPlaceholder, 200),
+      accent: HEX_COLOR_PATTERN.test(item.accent) ? item.accent : DEFAULT_CUSTOM_ACCENT,
+      codegenRole: NODE_TYPE_DEFINITIONS[codegenRole] ? codegenRole : DEFAULT_NODE_TYPE,
+      custom: true,
+    });
+  });
+  return types;
+}
+
 /**
- * Ensures we always return one of the supported node type ids.
+ * Built-in types followed by the custom ones, e.g. for the inspector dropdown.
+ * @param {CustomNodeTypeDefinition[]} [customTypes]
+ */
+export const getAllNodeTypes = (customTypes = []) => [...ALL_NODE_TYPES, ...customTypes];
+
+/**
+ * Ensures we always return one of the supported node type ids, built-in or custom.
  * Unknown or legacy values are mapped to logic by default.
  * @param {unknown} raw
- * @returns {NodeTypeId}
+ * @param {CustomNodeTypeDefinition[]} [customTypes]
+ * @returns {string}
  */
-export function normalizeNodeType(raw) {
+export function normalizeNodeType(raw, customTypes = []) {
   const value = typeof raw === 'string' ? raw.trim().toLowerCase() : '';
   if (value && NODE_TYPE_DEFINITIONS[value]) {
     return /** @type {NodeTypeId} */ (value);
   }
+  if (value && customTypes.some((type) => type.id === value)) {
+    return value;
+  }
   if (value && LEGACY_TYPE_MAP[value]) {
     return LEGACY_TYPE_MAP[value];
   }
@@ -93,9 +161,36 @@ export function normalizeNodeType(raw) {
 
 /**
  * @param {unknown} raw
- * @returns {{ id: NodeTypeId; label: string; description: string; defaultNotesPlaceholder: string; accent: string; iconName?: string }}
+ * @param {CustomNodeTypeDefinition[]} [customTypes]
+ * @returns {{ id: string; label: string; description: string; defaultNotesPlaceholder: string; accent: string; iconName?: string; codegenRole?: NodeTypeId }}
+ */
+export function getNodeTypeDefinition(raw, customTypes = []) {
+  const nodeType = normalizeNodeType(raw, customTypes);
+  return NODE_TYPE_DEFINITIONS[nodeType] ?? customTypes.find((type) => type.id === nodeType);
+}
+
+/**
+ * Node roles are orthogonal to node types. A modifier does not emit code of its own;
+ * it changes the code of the nodes it connects to, and only those.
+ * @typedef {'modifier'} NodeRoleId
+ */
+
+export const MODIFIER_ROLE = 'modifier';
+
+export const NODE_ROLE_OPTIONS = [
+  { id: '', label: 'Standard', description: 'Generates its own code block.' },
+  {
+    id: MODIFIER_ROLE,
+    label: 'Modifier',
+    description: 'Changes only the nodes it connects to, e.g. "Add logging" or "Make this async".',
+  },
+];
+
+/**
+ * @param {unknown} raw
+ * @returns {NodeRoleId | undefined}
  */
-export function getNodeTypeDefinition(raw) {
-  const nodeType = normalizeNodeType(raw);
-  return NODE_TYPE_DEFINITIONS[nodeType];
+export function normalizeNodeRole(raw) {
+  const value = typeof raw === 'string' ? raw.trim().toLowerCase() : '';
+  return value === MODIFIER_ROLE ? MODIFIER_ROLE : undefined;
 }
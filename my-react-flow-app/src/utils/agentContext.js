@@ -0,0 +1,95 @@
+import { AGENT_CONTEXT_HOPS, AGENT_CONTEXT_MAX_NEIGHBORS } from '../constants/appConstants.js';
+import { getNodeTypeId } from './graphUtils.js';
+
+const SUMMARY_LABEL_LIMIT = 20;
+const NEIGHBOR_NOTES_LENGTH = 200;
+
+const truncate = (text, length) => {
+  const value = String(text ?? '').replace(/\s+/g, ' ').trim();
+  return value.length > length ? `${value.slice(0, length - 1)}…` : value;
+};
+
+const describeNode = (node, customTypes) => {
+  const label = typeof node?.data?.label === 'string' ? node.data.label : '';
+  const nodeType = getNodeTypeId(node, customTypes);
+  return {
+    id: node.id,
+    label: label.trim().length ? label : node.id,
+    notes: node?.data?.notes ?? undefined,
+    nodeType,
+    type: nodeType,
+    isDescriptive: nodeType === 'descriptive',
+  };
+};
+
+/**
+ * Graph context for an /api/ask-ai request: the selected nodes, every node
+ * within `hops` connections of them (in either direction, at most
+ * `maxNeighbors`, nearest first), the edges between all of those, and a
+ * compact summary of the nodes left out.
+ * @returns {{ selectedNodes: object[]; neighborNodes: object[]; edges: object[]; graphSummary: object }}
+ */
+export function buildAgentContext(
+  nodes,
+  edges,
+  selectedNodes,
+  { hops = AGENT_CONTEXT_HOPS, maxNeighbors = AGENT_CONTEXT_MAX_NEIGHBORS, customTypes = [] } = {},
+) {
+  const nodesById = new Map(nodes.map((node) => [node.id, node]));
+  const selected = selectedNodes.filter((node) => node?.id && nodesById.has(node.id));
+  const distances = new Map(selected.map((node) => [node.id, 0]));
+  const adjacency = new Map();
+  edges.forEach(({ source, target }) => {
+    adjacency.set(source, [...(adjacency.get(source) ?? []), target]);
+    adjacency.set(target, [...(adjacency.get(target) ?? []), source]);
+  });
+
+  let frontier = selected.map((node) => node.id);
+  for (let hop = 1; hop <= hops && frontier.length; hop += 1) {
+    const next = [];
+    frontier.forEach((id) => {
+      (adjacency.get(id) ?? []).forEach((neighborId) => {
+        if (distances.has(neighborId) || !nodesById.has(neighborId)) return;
+        distances.set(neighborId, hop);
+        next.push(neighborId);
+      });
+    });
+    frontier = next;
+  }
+
+  const neighborIds = [...distances.keys()].filter((id) => distances.get(id) > 0).slice(0, maxNeighbors);
+  const includedIds = new Set([...selected.map((node) => node.id), ...neighborIds]);
+  const rest = nodes.filter((node) => !includedIds.has(node.id));
+  const nodeTypes = {};
+  rest.forEach((node) => {
+    const nodeType = getNodeTypeId(node, customTypes);
+    nodeTypes[nodeType] = (nodeTypes[nodeType] ?? 0) + 1;
+  });
+
+  return {
+    selectedNodes: selected.map((node) => describeNode(node, customTypes)),
+    neighborNodes: neighborIds.map((id) => {
+      const node = describeNode(nodesById.get(id), customTypes);
+      return {
+        ...node,
+        notes: node.notes ? truncate(node.notes, NEIGHBOR_NOTES_LENGTH) : undefined,
+        hops: distances.get(id),
+      };
+    }),
+    edges: edges
+      .filter((edge) => includedIds.has(edge.source) && includedIds.has(edge.target))
+      .map((edge) => ({
+        id: edge.id,
+        source: edge.source,
+        target: edge.target,
+        ...(typeof edge.label === 'string' && edge.label.trim() ? { label: edge.label } : {}),
+      })),
+    graphSummary: {
+      totalNodes: nodes.length,
+      totalEdges: edges.length,
+      otherNodes: rest.length,
+      otherNodeTypes: nodeTypes,
+      otherLabels: rest.slice(0, SUMMARY_LABEL_LIMIT).map((node) => truncate(node.data?.label || node.id, 60)),
+    },
+  };
+}
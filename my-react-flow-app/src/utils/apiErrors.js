@@ -0,0 +1,26 @@
+const MAX_LISTED_DETAILS = 5;
+
+/**
+ * Turns a backend error body ({ error, details? }) into one message. `details`
+ * lists the fields that failed validation as { path, message }.
+ */
+export const describeApiError = (data, fallback = 'Request failed.') => {
+  const message = typeof data?.error === 'string' && data.error ? data.error : fallback;
+  const details = Array.isArray(data?.details) ? data.details : [];
+  if (!details.length) return message;
+  const listed = details
+    .slice(0, MAX_LISTED_DETAILS)
+    .map((detail) => `${detail.path} ${detail.message}`)
+    .join('; ');
+  const more = details.length > MAX_LISTED_DETAILS ? ` (+${details.length - MAX_LISTED_DETAILS} more)` : '';
+  return `${message} ${listed}${more}`;
+};
+
+/** Reads an error response body, falling back when it is not JSON. */
+export const readApiError = async (response, fallback) => {
+  try {
+    return describeApiError(await response.json(), fallback);
+  } catch {
+    return fallback;
+  }
+};
@@ -0,0 +1,32 @@
+import { BACKEND_URL, CODEGEN_ESTIMATE_ENDPOINT } from '../constants/appConstants.js';
+import { readApiError } from './apiErrors.js';
+
+/**
+ * Asks the backend how large the codegen prompt for a sync body would be.
+ * Resolves with { estimatedTokens, budget, overBudget, summarizedNodes, droppedEdges }.
+ */
+export const fetchCodegenEstimate = async (payload, { signal } = {}) => {
+  const response = await fetch(`${BACKEND_URL}${CODEGEN_ESTIMATE_ENDPOINT}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(payload),
+    signal,
+  });
+  if (!response.ok) {
+    throw new Error(await readApiError(response, `Estimate request failed (${response.status})`));
+  }
+  return response.json();
+};
+
+const formatTokenCount = (count) => (count >= 1000 ? `${(count / 1000).toFixed(1)}k` : String(count));
+
+/** One line for the sync footer, e.g. "Prompt ~3.2k / 12.0k tokens". */
+export const describeCodegenEstimate = (estimate) => {
+  if (!estimate) return '';
+  const size = `Prompt ~${formatTokenCount(estimate.estimatedTokens)}${estimate.budget ? ` / ${formatTokenCount(estimate.budget)}` : ''} tokens`;
+  const compressed = [
+    estimate.summarizedNodes ? `${estimate.summarizedNodes} distant node(s) summarized` : null,
+    estimate.droppedEdges ? `${estimate.droppedEdges} edge(s) left out` : null,
+  ].filter(Boolean);
+  return compressed.length ? `${size} (${compressed.join(', ')})` : size;
+};
@@ -0,0 +1,170 @@
+import { BACKEND_URL, DEFAULT_NODE_STYLE, GRAPH_OPS_ENDPOINT } from '../constants/appConstants.js';
+import { DEFAULT_NODE_TYPE } from '../nodeTypes.js';
+import { readApiError } from './apiErrors.js';
+import { attachNodeType } from './graphUtils.js';
+import { placeNewNodes } from './layout.js';
+
+/**
+ * Asks the backend to turn `prompt` into graph operations for the current graph.
+ * Resolves with { summary, operations, meta }; the operations have already been
+ * checked against the graph that was sent.
+ */
+export const requestGraphOperations = async ({ prompt, nodes, edges, projectId, nodeTypes }, { signal } = {}) => {
+  const response = await fetch(`${BACKEND_URL}${GRAPH_OPS_ENDPOINT}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      prompt,
+      graph: { nodes, edges },
+      ...(projectId ? { projectId } : {}),
+      ...(nodeTypes?.length ? { nodeTypes } : {}),
+    }),
+    signal,
+  });
+  if (!response.ok) {
+    throw new Error(await readApiError(response, `Graph edit request failed (${response.status})`));
+  }
+  return response.json();
+};
+
+const uniqueEdgeId = (source, target, existingIds) => {
+  let edgeId = `${source}-${target}`;
+  let suffix = 1;
+  while (existingIds.has(edgeId)) {
+    edgeId = `${source}-${target}-${suffix}`;
+    suffix += 1;
+  }
+  existingIds.add(edgeId);
+  return edgeId;
+};
+
+/**
+ * Applies operations from /api/generate-nodes to a graph and returns the new
+ * { nodes, edges, applied, skipped, nodeIds, edgeIds }, where the ids are the
+ * nodes and edges the operations created or changed and that still exist.
+ * A `connect` may also carry a `reason` (Agent suggestions do), kept in the
+ * new edge's data. Pure, so the caller can commit the whole list as one
+ * history entry. Operations that no longer fit the graph (it may have
+ * changed while the request was in flight) are skipped, not thrown.
+ * @param {{ fallbackPosition?: { x: number; y: number }; customTypes?: import('../nodeTypes.js').CustomNodeTypeDefinition[] }} [options]
+ *   `fallbackPosition` is where new nodes without a position go when no
+ *   `connect` in the list ties them to another node; `customTypes` are the
+ *   project's custom node types, which `addNode` and `setType` may name
+ */
+export function applyGraphOperations(
+  nodes,
+  edges,
+  operations = [],
+  { fallbackPosition = { x: 0, y: 0 }, customTypes = [] } = {},
+) {
+  let nextNodes = [...nodes];
+  let nextEdges = [...edges];
+  const usedEdgeIds = new Set(nextEdges.map((edge) => edge.id));
+  const touchedNodeIds = new Set();
+  const touchedEdgeIds = new Set();
+  let applied = 0;
+  let skipped = 0;
+
+  const hasNode = (id) => nextNodes.some((node) => node.id === id);
+  const findEdge = (source, target) => nextEdges.find((edge) => edge.source === source && edge.target === target);
+  const updateNode = (id, update) => {
+    nextNodes = nextNodes.map((node) => (node.id === id ? update(node) : node));
+  };
+  // New nodes without a position are laid out next to what they connect to.
+  const addNodes = operations.filter((operation) => operation?.op === 'addNode' && operation.id);
+  const placements = placeNewNodes(
+    [
+      ...nodes,
+      ...addNodes.filter((operation) => operation.position).map(({ id, position }) => ({ id, position })),
+    ],
+    addNodes.filter((operation) => !operation.position).map((operation) => operation.id),
+    operations.filter((operation) => operation?.op === 'connect'),
+    { center: fallbackPosition },
+  );
+
+  operations.forEach((operation) => {
+    switch (operation?.op) {
+      case 'addNode': {
+        if (!operation.id || hasNode(operation.id)) break;
+        const nodeType = operation.nodeType ?? DEFAULT_NODE_TYPE;
+        nextNodes.push(
+          attachNodeType(
+            {
+              id: operation.id,
+              type: nodeType,
+              position: operation.position ?? placements.get(operation.id) ?? { ...fallbackPosition },
+              data: { label: operation.label, notes: operation.notes },
+              style: { ...DEFAULT_NODE_STYLE },
+            },
+            nodeType,
+            customTypes,
+          ),
+        );
+        touchedNodeIds.add(operation.id);
+        applied += 1;
+        return;
+      }
+      case 'updateNode':
+        if (!hasNode(operation.id)) break;
+        touchedNodeIds.add(operation.id);
+        updateNode(operation.id, (node) => ({
+          ...node,
+          data: {
+            ...node.data,
+            ...(operation.label !== undefined ? { label: operation.label } : {}),
+            ...(operation.notes !== undefined ? { notes: operation.notes } : {}),
+          },
+        }));
+        applied += 1;
+        return;
+      case 'removeNode':
+        if (!hasNode(operation.id)) break;
+        nextNodes = nextNodes.filter((node) => node.id !== operation.id);
+        nextEdges = nextEdges.filter((edge) => edge.source !== operation.id && edge.target !== operation.id);
+        applied += 1;
+        return;
+      case 'connect': {
+        const { source, target } = operation;
+        if (!hasNode(source) || !hasNode(target) || source === target || findEdge(source, target)) break;
+        const edgeId = uniqueEdgeId(source, target, usedEdgeIds);
+        nextEdges.push({
+          id: edgeId,
+          source,
+          target,
+          ...(operation.label ? { label: operation.label } : {}),
+          ...(operation.reason ? { data: { reason: operation.reason } } : {}),
+          animated: false,
+        });
+        touchedEdgeIds.add(edgeId);
+        applied += 1;
+        return;
+      }
+      case 'disconnect': {
+        const edge = findEdge(operation.source, operation.target);
+        if (!edge) break;
+        nextEdges = nextEdges.filter((item) => item !== edge);
+        applied += 1;
+        return;
+      }
+      case 'moveNode':
+        if (!hasNode(operation.id) || !operation.position) break;
+        touchedNodeIds.add(operation.id);
+        updateNode(operation.id, (node) => ({ ...node, position: { ...operation.position } }));
+        applied += 1;
+        return;
+      case 'setType':
+        if (!hasNode(operation.id)) break;
+        touchedNodeIds.add(operation.id);
+        updateNode(operation.id, (node) => attachNodeType(node, operation.nodeType, customTypes));
+        applied += 1;
+        return;
+      default:
+        break;
+    }
+    skipped += 1;
+  });
+
+  const nodeIds = nextNodes.map((node) => node.id).filter((id) => touchedNodeIds.has(id));
+  const edgeIds = nextEdges.map((edge) => edge.id).filter((id) => touchedEdgeIds.has(id));
+  return { nodes: nextNodes, edges: nextEdges, applied, skipped, nodeIds, edgeIds };
+}
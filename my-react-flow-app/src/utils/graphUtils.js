@@ -1,4 +1,4 @@
-import { DEFAULT_NODE_TYPE, normalizeNodeType } from '../nodeTypes.js';
+import { DEFAULT_NODE_TYPE, normalizeNodeRole, normalizeNodeType } from '../nodeTypes.js';
 
 export const isEditableElement = (element) => {
   if (!element) return false;
@@ -155,11 +155,15 @@ export const computePendingChanges = (nodes, edges, lastSyncedNodes, lastSyncedE
   });
 };
 
-export const getNodeTypeId = (node, fallback = DEFAULT_NODE_TYPE) =>
-  normalizeNodeType(node?.data?.nodeType ?? node?.nodeType ?? node?.type ?? fallback);
+// `customTypes` are the open project's custom node types; types not listed
+// there (or built in) fall back to logic.
+export const getNodeTypeId = (node, customTypes = [], fallback = DEFAULT_NODE_TYPE) =>
+  normalizeNodeType(node?.data?.nodeType ?? node?.nodeType ?? node?.type ?? fallback, customTypes);
 
-export const attachNodeType = (node, preferredType) => {
-  const nodeType = preferredType ? normalizeNodeType(preferredType) : getNodeTypeId(node, DEFAULT_NODE_TYPE);
+export const attachNodeType = (node, preferredType, customTypes = []) => {
+  const nodeType = preferredType
+    ? normalizeNodeType(preferredType, customTypes)
+    : getNodeTypeId(node, customTypes, DEFAULT_NODE_TYPE);
   return {
     ...node,
     type: nodeType,
@@ -170,3 +174,37 @@ export const attachNodeType = (node, preferredType) => {
     },
   };
 };
+
+export const groupWarningsByNode = (warnings = []) => {
+  const map = new Map();
+  (Array.isArray(warnings) ? warnings : []).forEach((warning) => {
+    if (!warning?.nodeId) return;
+    const list = map.get(warning.nodeId) ?? [];
+    list.push(warning);
+    map.set(warning.nodeId, list);
+  });
+  return map;
+};
+
+export const indexTestResultsByNode = (results = []) =>
+  new Map((Array.isArray(results) ? results : []).filter((result) => result?.nodeId).map((result) => [result.nodeId, result]));
+
+/** One line per failing case, for tooltips and the output panel. */
+export const describeTestResult = (result) => {
+  if (!result) return '';
+  if (result.error) return result.error;
+  if (result.status === 'missing') return 'No tests were generated for this node.';
+  return (result.cases ?? [])
+    .map((item) => `${item.ok ? 'PASS' : 'FAIL'} ${item.name}${item.error ? `: ${item.error}` : ''}`)
+    .join('\n');
+};
+
+export const getNodeRole = (node) => normalizeNodeRole(node?.data?.role ?? node?.role);
+
+// Sets or clears data.role without leaving an undefined key behind, which would
+// otherwise register as a pending change.
+export const withNodeRole = (data = {}, role) => {
+  const { role: _previousRole, ...rest } = data;
+  const normalized = normalizeNodeRole(role);
+  return normalized ? { ...rest, role: normalized } : rest;
+};
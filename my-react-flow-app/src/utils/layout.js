@@ -0,0 +1,99 @@
+import { DEFAULT_NODE_STYLE } from '../constants/appConstants.js';
+
+// Nodes have their target handle on top and source handle at the bottom, so
+// the flow runs downwards: a node goes below what feeds it and above what it feeds.
+const GAP_X = 40;
+const GAP_Y = 80;
+const MAX_COLUMN_STEPS = 6;
+const MAX_ROW_STEPS = 8;
+
+const sizeOf = (node) => ({
+  width: node?.measured?.width ?? node?.width ?? node?.style?.width ?? DEFAULT_NODE_STYLE.width,
+  height:
+    node?.measured?.height ?? node?.height ?? node?.style?.height ?? node?.style?.minHeight ?? DEFAULT_NODE_STYLE.minHeight,
+});
+
+const overlaps = (a, b) =>
+  a.x < b.x + b.width + GAP_X &&
+  a.x + a.width + GAP_X > b.x &&
+  a.y < b.y + b.height + GAP_Y / 2 &&
+  a.y + a.height + GAP_Y / 2 > b.y;
+
+const average = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+/**
+ * Positions for nodes about to be added, keyed by id. A node connected to an
+ * existing (or already placed) node goes just below its sources or just above
+ * its targets; anything unconnected goes to `center`. From there it moves
+ * sideways, then one row further along the flow, until its box clears every
+ * other node.
+ * @param {object[]} nodes the nodes already on the canvas
+ * @param {string[]} newIds ids of the nodes to place, in suggestion order
+ * @param {{ source: string; target: string }[]} connections may refer to new and existing nodes
+ * @returns {Map<string, { x: number; y: number }>}
+ */
+export function placeNewNodes(nodes, newIds, connections = [], { center = { x: 0, y: 0 } } = {}) {
+  const boxes = new Map(
+    nodes.map((node) => [node.id, { x: node.position?.x ?? 0, y: node.position?.y ?? 0, ...sizeOf(node) }]),
+  );
+  const size = sizeOf(null);
+  const positions = new Map();
+  const pending = [...new Set(newIds)].filter((id) => !boxes.has(id));
+
+  const placedAround = (id) => ({
+    sources: connections.filter((conn) => conn.target === id && boxes.has(conn.source)).map((conn) => boxes.get(conn.source)),
+    targets: connections.filter((conn) => conn.source === id && boxes.has(conn.target)).map((conn) => boxes.get(conn.target)),
+  });
+
+  const findFreeSpot = (preferred, direction) => {
+    const taken = [...boxes.values()];
+    for (let row = 0; row <= MAX_ROW_STEPS; row += 1) {
+      for (let step = 0; step <= MAX_COLUMN_STEPS * 2; step += 1) {
+        const column = step % 2 ? (step + 1) / 2 : -step / 2;
+        const candidate = {
+          x: preferred.x + column * (size.width + GAP_X),
+          y: preferred.y + direction * row * (size.height + GAP_Y),
+          ...size,
+        };
+        if (!taken.some((box) => overlaps(candidate, box))) return candidate;
+      }
+    }
+    return { ...preferred, ...size };
+  };
+
+  while (pending.length) {
+    // Nodes next to something already placed first, so chains grow outwards.
+    const index = Math.max(
+      0,
+      pending.findIndex((id) => {
+        const { sources, targets } = placedAround(id);
+        return sources.length || targets.length;
+      }),
+    );
+    const [id] = pending.splice(index, 1);
+    const { sources, targets } = placedAround(id);
+
+    let preferred;
+    let direction = 1;
+    if (sources.length) {
+      preferred = {
+        x: average(sources.map((box) => box.x + box.width / 2)) - size.width / 2,
+        y: Math.max(...sources.map((box) => box.y + box.height)) + GAP_Y,
+      };
+    } else if (targets.length) {
+      preferred = {
+        x: average(targets.map((box) => box.x + box.width / 2)) - size.width / 2,
+        y: Math.min(...targets.map((box) => box.y)) - GAP_Y - size.height,
+      };
+      direction = -1;
+    } else {
+      preferred = { x: center.x - size.width / 2, y: center.y - size.height / 2 };
+    }
+
+    const box = findFreeSpot(preferred, direction);
+    boxes.set(id, box);
+    positions.set(id, { x: Math.round(box.x), y: Math.round(box.y) });
+  }
+
+  return positions;
+}
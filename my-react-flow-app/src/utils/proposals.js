@@ -0,0 +1,315 @@
+import { DEFAULT_NODE_STYLE } from '../constants/appConstants.js';
+import { DEFAULT_NODE_TYPE, getNodeTypeDefinition, normalizeNodeType } from '../nodeTypes.js';
+import { attachNodeType, getNodeTypeId } from './graphUtils.js';
+import { placeNewNodes } from './layout.js';
+
+const UPDATE_FIELDS = ['label', 'notes', 'nodeType'];
+
+/**
+ * One reviewable piece of an Agent reply.
+ * - node:   a new node with its final id and position
+ * - update: one field of an existing node, with the current and proposed value
+ * - edge:   a new connection (its endpoints may be proposed nodes)
+ * - removeNode / removeEdge: an existing node or connection to delete, with
+ *   the nodes that removal alone would leave without incoming connections
+ * @typedef {{ id: string; kind: 'node' | 'update' | 'edge' | 'removeNode' | 'removeEdge'; status: 'pending' | 'accepted' | 'rejected'; nodeId?: string; label?: string; notes?: string; nodeType?: string; position?: { x: number; y: number }; field?: 'label' | 'notes' | 'nodeType'; from?: string; to?: string; source?: string; target?: string; reason?: string; orphans?: string[] }} ProposalItem
+ */
+
+const cleanText = (value) => (typeof value === 'string' ? value.trim() : '');
+const pairKeyOf = (source, target) => `${source}->${target}`;
+
+/**
+ * Nodes that have incoming connections now but would have none once the
+ * removals in `items` are applied. Proposed connections in `items` between
+ * nodes that will exist count as incoming, so "replace A with B" does not warn about A's targets.
+ * @param {ProposalItem[]} items
+ */
+export function findOrphanedNodes(nodes, edges, items) {
+  const removedIds = new Set(items.filter((item) => item.kind === 'removeNode').map((item) => item.nodeId));
+  const removedPairs = new Set(
+    items.filter((item) => item.kind === 'removeEdge').map((item) => pairKeyOf(item.source, item.target)),
+  );
+  const nodeIds = new Set([
+    ...nodes.map((node) => node.id),
+    ...items.filter((item) => item.kind === 'node').map((item) => item.nodeId),
+  ]);
+  const survives = ({ source, target }) =>
+    nodeIds.has(source) &&
+    nodeIds.has(target) &&
+    !removedIds.has(source) &&
+    !removedIds.has(target) &&
+    !removedPairs.has(pairKeyOf(source, target));
+  const hadIncoming = new Set(edges.map((edge) => edge.target));
+  const keepsIncoming = new Set(
+    [...edges, ...items.filter((item) => item.kind === 'edge')].filter(survives).map((edge) => edge.target),
+  );
+  return [...hadIncoming].filter((id) => !removedIds.has(id) && !keepsIncoming.has(id));
+}
+
+/**
+ * Turns an /api/ask-ai reply into proposal items against the current graph.
+ * New node ids are made unique and placed up front (next to what they connect
+ * to, see placeNewNodes) so they can be previewed; no-op updates and
+ * connections that already exist are dropped.
+ * @returns {ProposalItem[]}
+ */
+export function buildSuggestionProposal(result, nodes, edges, { center = { x: 0, y: 0 }, customTypes = [] } = {}) {
+  const {
+    newNodes = [],
+    updatedNodes = [],
+    suggestedConnections = [],
+    removedNodes = [],
+    removedConnections = [],
+  } = result ?? {};
+  const nodesById = new Map(nodes.map((node) => [node.id, node]));
+  const usedIds = new Set(nodesById.keys());
+  const idMap = new Map();
+  const items = [];
+
+  const ensureId = (baseId) => {
+    const safeBase = cleanText(baseId) || 'ai-node';
+    let candidate = safeBase;
+    let suffix = 1;
+    while (usedIds.has(candidate)) {
+      candidate = `${safeBase}-${suffix}`;
+      suffix += 1;
+    }
+    usedIds.add(candidate);
+    return candidate;
+  };
+
+  (Array.isArray(newNodes) ? newNodes : []).forEach((spec, index) => {
+    const nodeId = ensureId(spec?.id || `ai-node-${index}`);
+    idMap.set(spec?.id || nodeId, nodeId);
+    items.push({
+      id: `node:${nodeId}`,
+      kind: 'node',
+      nodeId,
+      label: cleanText(spec?.label) || nodeId,
+      notes: typeof spec?.notes === 'string' ? spec.notes : undefined,
+      nodeType: normalizeNodeType(spec?.nodeType ?? spec?.type ?? DEFAULT_NODE_TYPE, customTypes),
+    });
+  });
+
+  (Array.isArray(updatedNodes) ? updatedNodes : []).forEach((next) => {
+    const node = nodesById.get(next?.id);
+    if (!node) return;
+    const current = {
+      label: node.data?.label ?? '',
+      notes: node.data?.notes ?? '',
+      nodeType: getNodeTypeId(node, customTypes),
+    };
+    const proposed = {
+      label: cleanText(next.label) || undefined,
+      notes: typeof next.notes === 'string' ? next.notes : undefined,
+      nodeType: next.nodeType ?? next.type ? normalizeNodeType(next.nodeType ?? next.type, customTypes) : undefined,
+    };
+    UPDATE_FIELDS.forEach((field) => {
+      if (proposed[field] === undefined || proposed[field] === current[field]) return;
+      items.push({
+        id: `update:${node.id}:${field}`,
+        kind: 'update',
+        nodeId: node.id,
+        field,
+        from: current[field],
+        to: proposed[field],
+      });
+    });
+  });
+
+  const removedIds = new Set();
+  (Array.isArray(removedNodes) ? removedNodes : []).forEach((spec) => {
+    if (!nodesById.has(spec?.id) || removedIds.has(spec.id)) return;
+    removedIds.add(spec.id);
+    const item = { id: `remove:${spec.id}`, kind: 'removeNode', nodeId: spec.id, reason: cleanText(spec.reason) || undefined };
+    items.push({ ...item, orphans: findOrphanedNodes(nodes, edges, [item]) });
+  });
+
+  const pairs = new Set(edges.map((edge) => pairKeyOf(edge.source, edge.target)));
+  const removedPairs = new Set();
+  (Array.isArray(removedConnections) ? removedConnections : []).forEach((conn) => {
+    const { source, target } = conn ?? {};
+    const pairKey = pairKeyOf(source, target);
+    if (!pairs.has(pairKey) || removedPairs.has(pairKey) || removedIds.has(source) || removedIds.has(target)) return;
+    removedPairs.add(pairKey);
+    const item = { id: `disconnect:${pairKey}`, kind: 'removeEdge', source, target, reason: cleanText(conn.reason) || undefined };
+    items.push({ ...item, orphans: findOrphanedNodes(nodes, edges, [item]) });
+  });
+
+  (Array.isArray(suggestedConnections) ? suggestedConnections : []).forEach((conn) => {
+    const source = idMap.get(conn?.source) || conn?.source;
+    const target = idMap.get(conn?.target) || conn?.target;
+    if (!usedIds.has(source) || !usedIds.has(target) || source === target) return;
+    if (removedIds.has(source) || removedIds.has(target)) return;
+    const pairKey = pairKeyOf(source, target);
+    if (pairs.has(pairKey)) return;
+    pairs.add(pairKey);
+    items.push({
+      id: `edge:${pairKey}`,
+      kind: 'edge',
+      source,
+      target,
+      reason: cleanText(conn?.reason) || undefined,
+    });
+  });
+
+  const positions = placeNewNodes(
+    nodes,
+    items.filter((item) => item.kind === 'node').map((item) => item.nodeId),
+    items.filter((item) => item.kind === 'edge'),
+    { center },
+  );
+  return items.map((item) => ({
+    ...item,
+    ...(item.kind === 'node' ? { position: positions.get(item.nodeId) } : {}),
+    status: 'pending',
+  }));
+}
+
+/**
+ * Accepted items as /api/generate-nodes style operations, so they go through
+ * applyGraphOperations. Connections to a rejected new node are skipped there.
+ * @param {ProposalItem[]} items
+ */
+export function proposalToOperations(items) {
+  const accepted = items.filter((item) => item.status === 'accepted');
+  const additions = accepted
+    .filter((item) => item.kind === 'node')
+    .map(({ nodeId, label, notes, nodeType, position }) => ({
+      op: 'addNode',
+      id: nodeId,
+      label,
+      ...(notes !== undefined ? { notes } : {}),
+      nodeType,
+      position,
+    }));
+  const updates = accepted
+    .filter((item) => item.kind === 'update')
+    .map((item) =>
+      item.field === 'nodeType'
+        ? { op: 'setType', id: item.nodeId, nodeType: item.to }
+        : { op: 'updateNode', id: item.nodeId, [item.field]: item.to },
+    );
+  const removals = [
+    ...accepted
+      .filter((item) => item.kind === 'removeEdge')
+      .map(({ source, target }) => ({ op: 'disconnect', source, target })),
+    ...accepted.filter((item) => item.kind === 'removeNode').map(({ nodeId }) => ({ op: 'removeNode', id: nodeId })),
+  ];
+  const connections = accepted
+    .filter((item) => item.kind === 'edge')
+    .map(({ source, target, reason }) => ({ op: 'connect', source, target, ...(reason ? { reason } : {}) }));
+  return [...additions, ...updates, ...removals, ...connections];
+}
+
+/** Node ids to frame on the canvas for an item. */
+export const proposalItemNodeIds = (item) =>
+  item.kind === 'edge' || item.kind === 'removeEdge' ? [item.source, item.target] : [item.nodeId];
+
+/**
+ * The canvas with a proposal previewed: proposed nodes and edges as
+ * non-interactive ghosts, nodes with proposed updates highlighted, removals
+ * marked, and nodes the removals would orphan flagged. Rejected items are
+ * hidden. Ghosts never enter the graph state.
+ * @param {ProposalItem[]} items
+ * @param {import('../nodeTypes.js').CustomNodeTypeDefinition[]} [customTypes]
+ */
+export function previewProposal(nodes, edges, items, customTypes = []) {
+  const visible = items.filter((item) => item.status !== 'rejected');
+  if (!visible.length) return { nodes, edges };
+  const statusClass = (item) => (item.status === 'accepted' ? ' accepted' : '');
+  const nodeClasses = new Map();
+  const addNodeClass = (id, className) => nodeClasses.set(id, [...(nodeClasses.get(id) ?? []), className]);
+  visible.forEach((item) => {
+    if (item.kind === 'update') addNodeClass(item.nodeId, `proposal-update${statusClass(item)}`);
+    if (item.kind === 'removeNode') addNodeClass(item.nodeId, `proposal-remove${statusClass(item)}`);
+  });
+  findOrphanedNodes(nodes, edges, visible).forEach((id) => addNodeClass(id, 'proposal-orphan'));
+
+  const removedNodes = new Map(
+    visible.filter((item) => item.kind === 'removeNode').map((item) => [item.nodeId, statusClass(item)]),
+  );
+  const removedPairs = new Map(
+    visible.filter((item) => item.kind === 'removeEdge').map((item) => [pairKeyOf(item.source, item.target), statusClass(item)]),
+  );
+  const removalClassOf = (edge) =>
+    removedPairs.get(pairKeyOf(edge.source, edge.target)) ?? removedNodes.get(edge.source) ?? removedNodes.get(edge.target);
+
+  const ghostNodes = visible
+    .filter((item) => item.kind === 'node')
+    .map((item) =>
+      attachNodeType(
+        {
+          id: item.nodeId,
+          type: item.nodeType,
+          position: item.position,
+          data: { label: item.label, notes: item.notes },
+          style: { ...DEFAULT_NODE_STYLE },
+          // Ghosts are never measured through onNodesChange, so give React Flow a size to render with.
+          initialWidth: DEFAULT_NODE_STYLE.width,
+          initialHeight: DEFAULT_NODE_STYLE.minHeight,
+          className: `proposal-ghost${statusClass(item)}`,
+          draggable: false,
+          selectable: false,
+          connectable: false,
+          deletable: false,
+        },
+        item.nodeType,
+        customTypes,
+      ),
+    );
+  const shownIds = new Set([...nodes, ...ghostNodes].map((node) => node.id));
+  const ghostEdges = visible
+    .filter((item) => item.kind === 'edge' && shownIds.has(item.source) && shownIds.has(item.target))
+    .map((item) => ({
+      id: `proposal:${item.id}`,
+      source: item.source,
+      target: item.target,
+      ...(item.reason ? { data: { reason: item.reason } } : {}),
+      className: `proposal-edge${statusClass(item)}`,
+      animated: true,
+      selectable: false,
+      deletable: false,
+      focusable: false,
+    }));
+
+  return {
+    nodes: [
+      ...nodes.map((node) =>
+        nodeClasses.has(node.id)
+          ? { ...node, className: [node.className, ...nodeClasses.get(node.id)].filter(Boolean).join(' ') }
+          : node,
+      ),
+      ...ghostNodes,
+    ],
+    edges: [
+      ...edges.map((edge) => {
+        const removalClass = removalClassOf(edge);
+        return removalClass === undefined
+          ? edge
+          : { ...edge, className: [edge.className, `proposal-remove${removalClass}`].filter(Boolean).join(' ') };
+      }),
+      ...ghostEdges,
+    ],
+  };
+}
+
+/** Short text for a proposal item, e.g. `Label: "Fetch" → "Fetch users"`. */
+export function describeProposalItem(item, getNodeLabel = (id) => id, customTypes = []) {
+  if (item.kind === 'node') {
+    return `New ${getNodeTypeDefinition(item.nodeType, customTypes).label.toLowerCase()} node "${item.label}"`;
+  }
+  if (item.kind === 'edge') {
+    return `Connect "${getNodeLabel(item.source)}" → "${getNodeLabel(item.target)}"`;
+  }
+  if (item.kind === 'removeNode') {
+    return `Remove "${getNodeLabel(item.nodeId)}"`;
+  }
+  if (item.kind === 'removeEdge') {
+    return `Disconnect "${getNodeLabel(item.source)}" → "${getNodeLabel(item.target)}"`;
+  }
+  const format = (value) =>
+    item.field === 'nodeType' ? getNodeTypeDefinition(value, customTypes).label : `"${value || '(empty)'}"`;
+  const fieldLabel = { label: 'Label', notes: 'Notes', nodeType: 'Type' }[item.field];
+  return `"${getNodeLabel(item.nodeId)}" ${fieldLabel}: ${format(item.from)} → ${format(item.to)}`;
+}
@@ -0,0 +1,66 @@
+import { describeApiError } from './apiErrors.js';
+
+const NDJSON_CONTENT_TYPE = 'application/x-ndjson';
+
+export const isStreamingResponse = (response) =>
+  (response?.headers?.get('content-type') ?? '').includes(NDJSON_CONTENT_TYPE);
+
+/**
+ * Reads a codegen response. Streaming (NDJSON) responses report each file through
+ * `onFile` as it arrives, each marker repair pass through `onRetry` and the start
+ * of the test pass through `onTesting`; plain JSON responses are returned as-is.
+ * Resolves with the final payload ({ files, ... }) either way.
+ */
+export const readSyncResponse = async (response, { onStart, onFile, onRetry, onTesting } = {}) => {
+  if (!isStreamingResponse(response) || !response.body) {
+    return response.json();
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let result = null;
+
+  const handleLine = (line) => {
+    if (!line.trim()) return;
+    const event = JSON.parse(line);
+    if (event.type === 'start') {
+      onStart?.(event);
+    } else if (event.type === 'file' && event.file) {
+      onFile?.(event.file, event.index);
+    } else if (event.type === 'retry') {
+      onRetry?.(event);
+    } else if (event.type === 'testing') {
+      onTesting?.(event);
+    } else if (event.type === 'done') {
+      const { type: _type, ...payload } = event;
+      result = payload;
+    } else if (event.type === 'error') {
+      throw new Error(describeApiError(event, 'Sync failed'));
+    }
+  };
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop() ?? '';
+    lines.forEach(handleLine);
+  }
+  handleLine(buffer + decoder.decode());
+
+  if (!result) {
+    throw new Error('Sync stream ended before completion');
+  }
+  return result;
+};
+
+/** Inserts a streamed file, replacing any earlier version with the same path. */
+export const upsertGeneratedFile = (files, file) => {
+  const index = files.findIndex((item) => item.path === file.path);
+  if (index === -1) return [...files, file];
+  const next = [...files];
+  next[index] = file;
+  return next;
+};
@@ -0,0 +1,15 @@
+import { BACKEND_URL, WORKSPACE_ENDPOINT } from '../constants/appConstants.js';
+
+/**
+ * Loads the files the backend last wrote to the project's workspace.
+ * Resolves with an empty list when nothing has been generated yet.
+ */
+export const fetchWorkspaceFiles = async (projectId, { signal } = {}) => {
+  const url = `${BACKEND_URL}${WORKSPACE_ENDPOINT}/${encodeURIComponent(projectId)}/files?contents=1`;
+  const response = await fetch(url, { signal });
+  if (!response.ok) {
+    throw new Error(`Workspace request failed (${response.status})`);
+  }
+  const data = await response.json();
+  return Array.isArray(data.files) ? data.files : [];
+};
@@ -0,0 +1,888 @@
+// app.js
+// Builds the Express app. createApp() wires every route to the configured
+// providers; tests and scripts can inject their own (e.g. mock-provider.js),
+// along with the workspace, usage ledger and response cache. server.js loads
+// the environment and listens.
+import express from "express";
+import cors from "cors";
+import createAskAiRouter from "./ask-ai.js";
+import createGraphOpsRouter from "./graph-ops.js";
+import { createFileStreamParser, writeStreamEvent } from "./codegen-stream.js";
+import { collectChangedNodeIds, mergeGeneratedFiles } from "./codegen-merge.js";
+import {
+  MODIFIER_ROLE,
+  collectChangedModifierIds,
+  findScopeViolations,
+  isModifierNode,
+} from "./modifier-scope.js";
+import { formatViolations, validateMarkers } from "./node-markers.js";
+import {
+  buildLlmClient,
+  resolveCodegenModel,
+  resolveRouteProvider,
+} from "./llm-client.js";
+import { generateOfflineFiles } from "./offline-codegen.js";
+import { createNodeTypeRegistry } from "./node-types.js";
+import {
+  PROMPT_TOKEN_BUDGET,
+  buildCodegenContext,
+  estimateMessageTokens,
+} from "./codegen-context.js";
+import {
+  describeMarkerStyles,
+  normalizeCodegenProfile,
+} from "./codegen-profile.js";
+import {
+  createWorkspace,
+  createWorkspaceRouter,
+  isValidProjectId,
+  normalizeWorkspacePath,
+} from "./workspace.js";
+import { createRunRouter } from "./sandbox.js";
+import {
+  LlmResponseError,
+  completeJson,
+  conformsTo,
+  describeLlmResponseError,
+  repairJsonResponse,
+} from "./llm-json.js";
+import { CassetteMissError, describeCassetteMiss } from "./llm-cassette.js";
+import { createResponseCache, withResponseCache } from "./llm-cache.js";
+import { abortOnDisconnect } from "./client-abort.js";
+import {
+  UsageBudgetError,
+  createUsageLedger,
+  createUsageRouter,
+  describeUsageBudgetError,
+  withUsageTracking,
+} from "./llm-usage.js";
+import {
+  codegenResponseSchema,
+  testResponseSchema,
+} from "./llm-schemas.js";
+import {
+  buildTestMessages,
+  canRunTests,
+  isTestFile,
+  isTestableNode,
+  parseTestResponse,
+  runNodeTests,
+  testPathForNode,
+} from "./node-tests.js";
+
+const CODEGEN_MODEL = resolveCodegenModel();
+// Browser origins allowed to call the API: CORS_ORIGINS (comma-separated),
+// defaulting to the Vite dev server. Anything else may still call it directly,
+// but a page on another site cannot.
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || "http://localhost:5173,http://127.0.0.1:5173")
+  .split(",")
+  .map((origin) => origin.trim())
+  .filter(Boolean);
+const parsedMarkerRetries = Number.parseInt(process.env.CODEGEN_MARKER_RETRIES, 10);
+const MARKER_RETRY_LIMIT = Number.isNaN(parsedMarkerRetries)
+  ? 2
+  : Math.max(0, parsedMarkerRetries);
+// Output limit for a codegen reply, which carries every generated file
+// (CODEGEN_MAX_TOKENS, default 16000). Adapters without a limit of their own
+// would otherwise cut a multi-file reply short (Anthropic defaults to 4096).
+const parsedMaxTokens = Number.parseInt(process.env.CODEGEN_MAX_TOKENS, 10);
+const CODEGEN_MAX_TOKENS = parsedMaxTokens > 0 ? parsedMaxTokens : 16000;
+// create() params shared by every codegen call (initial, repair and tests).
+const CODEGEN_REQUEST = {
+  model: CODEGEN_MODEL,
+  responseFormat: "json",
+  maxTokens: CODEGEN_MAX_TOKENS,
+};
+const systemPrompt = `
+You are the code generation engine for a visual, node-based programming tool.
+
+The request body contains:
+- nodes: the current graph of nodes. Large graphs are compressed: nodes far from the staged changes may appear with "summary": true and only a shortened label and notes in "data". Leave the code of summarized nodes as it is.
+- edges: directed connections between nodes. In large graphs, edges between two summarized nodes may be left out. An edge may carry "data.reason", a short note on why the source connects to the target (e.g. "passes the validated form"); wire the two nodes so the code does what the reason says.
+- changes: only the staged changes since the last sync. A modified node carries "currentNode" and, under "previous", the old values of the data fields that changed. An edge change carries its "reason" (if any); a modified edge also carries "previousReason".
+- intent: currently "sync".
+- profile: the project's target { language, runtime, framework, moduleStyle }.
+- markerStyles: how to write NODE markers as comments in each language.
+- nodeTypes (optional): the project's custom node types (see NODE TYPES).
+- modifierTargets (optional): an object whose keys are modifier node ids and whose values are arrays of node ids that modifier is allowed to change.
+
+Each node participates in the implementation and may represent:
+- a unit of behaviour (e.g. "A simple plus calculator"),
+- a high-level instruction (e.g. "Generate this is python"),
+- or a modifier of other nodes (e.g. "Add a comment at the top").
+
+NODE TYPES
+----------
+Each node includes a "nodeType" (logic, descriptive, event, condition, data, output), an "isDescriptive" flag and a "role".
+- Descriptive nodes provide context/comments only; do not emit standalone code for them unless they are explicitly referenced by other nodes.
+- Logic, Event, Condition, Data, and Output nodes should participate in code generation.
+- Nodes with "role": "modifier" change the code of other nodes (see below) and never get a marker block of their own.
+- A project may define custom node types, listed in "nodeTypes" with an id, label, description and "codegenRole". Nodes of a custom type carry that "codegenRole": generate them exactly as nodes of that built-in type, and treat the type's description as extra intent for what they mean.
+
+CODE MAPPING
+------------
+
+For each node that participates in the implementation, you must generate or update code wrapped in markers of the form:
+
+<NODE:{nodeId}:START>
+... implementation ...
+<NODE:{nodeId}:END>
+
+These markers must be stable across syncs so that specific node regions can be updated later.
+Always write a marker as a comment in the syntax of the file it appears in, as listed in "markerStyles" (e.g. "// <NODE:id:START>" in JavaScript, "# <NODE:id:START>" in Python, "<!-- <NODE:id:START> -->" in HTML). Each marker goes on its own line.
+
+Use the full graph (nodes + edges) for context, but treat "changes" as the primary driver for what to modify. For added nodes, create new marker blocks. For modified nodes, update only their marker blocks and minimal glue code. For deleted nodes, remove or disable their marker blocks and any direct references that would break the build.
+
+The server keeps the previously generated files and splices in only the marker blocks of changed nodes, so code outside those blocks in existing files is kept as it was. Put everything a node needs inside its own marker block.
+
+TARGET PROFILE
+--------------
+
+Generate code for the language, runtime and framework given in "profile", and follow its moduleStyle ("esm", "commonjs" or "none") for imports and exports. Node text that asks for a different language (e.g. "Generate this in python") only applies to the code for that node. Leave runtime or framework to your judgement when they are empty.
+
+MODIFIER NODES AND HARD SCOPING
+-------------------------------
+
+Nodes with "role": "modifier" act on other nodes, for example:
+- "Add a comment at the top"
+- "Only apply to the connected node above"
+- "Make this async"
+- "Add logging"
+
+The request may include a "modifierTargets" object like:
+
+{
+  "modifier-node-id": ["target-node-id-1", "target-node-id-2"],
+  ...
+}
+
+This defines, explicitly, which node ids each modifier is allowed to affect.
+
+HARD RULE (must be strictly followed):
+
+- A modifier may ONLY change code for node ids listed in modifierTargets[modifierId].
+- If a node id is not listed as a target for a modifier, that modifier MUST NOT change that node's code or any file/function that implements it.
+- Do NOT infer extra targets based on similarity, shared parents, or helpfulness. Ignore intuition: follow modifierTargets exactly.
+- If modifierTargets is missing or a modifier id has no entry, assume that modifier has no allowed targets and must not change anything.
+- The server diffs your output against the previous files and reverts any change a modifier makes outside the marker blocks of its targets.
+
+Example:
+
+- Nodes:
+    - "A simple plus calculator" (id: plus-calculator)
+    - "A simple times calculator" (id: times-calculator)
+- Modifier:
+    - "Add a comment at the top" (id: comment-modifier)
+- modifierTargets:
+    {
+      "comment-modifier": ["plus-calculator"]
+    }
+
+Result:
+- Only the code for "plus-calculator" is changed by the modifier (e.g. adding a comment at the top of its file or function).
+- The code for "times-calculator" MUST remain untouched apart from its own node description.
+
+OUTPUT FORMAT
+-------------
+
+Return a single JSON object of the form:
+
+{
+  "files": [
+    { "path": string, "contents": string }
+  ]
+}
+
+Rules:
+- "files" must contain the full contents of each generated/updated file (no patches).
+- Do NOT include any extra top-level keys or prose in the response.
+- Do NOT write files under "tests/"; tests are generated in a separate pass.
+- The response must be valid JSON (no markdown fences, comments, or trailing commas).
+`;
+
+// Explicit role from the editor; legacy graphs used a "modifier" node type.
+const resolveNodeRole = (node) => {
+  const role = node?.role || node?.data?.role;
+  if (typeof role === "string" && role.trim().toLowerCase() === MODIFIER_ROLE) {
+    return MODIFIER_ROLE;
+  }
+  const rawType = node?.nodeType || node?.data?.nodeType || node?.type;
+  if (typeof rawType === "string" && rawType.trim().toLowerCase() === MODIFIER_ROLE) {
+    return MODIFIER_ROLE;
+  }
+  return undefined;
+};
+
+// Custom types keep their id as nodeType and add the built-in codegenRole
+// they are generated as.
+const normalizeNodeForCodegen = (node, nodeTypes) => {
+  const nodeType = nodeTypes.coerce(
+    node?.nodeType || node?.data?.nodeType || node?.type
+  );
+  const codegenRole = nodeTypes.codegenRoleOf(nodeType);
+  const role = resolveNodeRole(node);
+  return {
+    ...node,
+    type: nodeType,
+    nodeType,
+    ...(codegenRole !== nodeType ? { codegenRole } : {}),
+    role,
+    data: {
+      ...(node?.data || {}),
+      nodeType,
+      role,
+    },
+    isDescriptive: codegenRole === "descriptive",
+  };
+};
+
+function computeModifierTargets(nodes, edges) {
+  const nodeMap = Object.fromEntries(nodes.map((n) => [n.id, n]));
+  const targets = {};
+
+  for (const node of nodes) {
+    if (!isModifierNode(node)) continue;
+
+    const modifierId = node.id;
+    targets[modifierId] = edges
+      .filter((edge) => edge.source === modifierId)
+      .map((edge) => edge.target)
+      .filter((targetId) => Boolean(nodeMap[targetId]));
+  }
+
+  return targets;
+}
+
+// Entries of a request list that are objects; anything else (null, strings)
+// would only fail further down in prompt building.
+const objectsIn = (list) =>
+  Array.isArray(list)
+    ? list.filter((item) => item && typeof item === "object" && !Array.isArray(item))
+    : [];
+
+function parseCodegenRequest(body) {
+  const {
+    nodes: rawNodes = [],
+    edges: rawEdges = [],
+    changes: rawChanges = [],
+    intent = "sync",
+    projectId: rawProjectId,
+    profile: rawProfile,
+    generateTests = false,
+    noCache = false,
+    nodeTypes: rawNodeTypes,
+  } = body || {};
+
+  const nodeTypes = createNodeTypeRegistry(rawNodeTypes);
+
+  const projectId =
+    typeof rawProjectId === "string" && rawProjectId.trim().length
+      ? rawProjectId.trim()
+      : null;
+  const nodes = objectsIn(rawNodes).map((node) => normalizeNodeForCodegen(node, nodeTypes));
+  const edges = objectsIn(rawEdges);
+  const changes = objectsIn(rawChanges).map((change) => {
+    if (change.kind !== "node") return change;
+    return {
+      ...change,
+      currentNode: change.currentNode
+        ? normalizeNodeForCodegen(change.currentNode, nodeTypes)
+        : change.currentNode,
+      previousNode: change.previousNode
+        ? normalizeNodeForCodegen(change.previousNode, nodeTypes)
+        : change.previousNode,
+    };
+  });
+  const modifierTargets = computeModifierTargets(nodes, edges);
+
+  const profile = normalizeCodegenProfile(rawProfile);
+
+  return {
+    projectId,
+    intent,
+    profile,
+    customNodeTypes: nodeTypes.describeCustomTypes(),
+    nodes,
+    edges,
+    changes,
+    modifierTargets,
+    generateTests: generateTests === true,
+    bypassCache: noCache === true,
+  };
+}
+
+// Last generated files per project, used as the base for marker-aware merging.
+// The workspace on disk is the durable copy; the map only saves re-reading it.
+function createGeneratedFileStore(workspace) {
+  const lastGeneratedFiles = new Map();
+
+  return {
+    async load(projectId) {
+      if (lastGeneratedFiles.has(projectId)) return lastGeneratedFiles.get(projectId);
+      if (!isValidProjectId(projectId)) return [];
+      try {
+        return await workspace.readFiles(projectId);
+      } catch (err) {
+        console.error("workspace load error:", err);
+        return [];
+      }
+    },
+    // Remembers the final files of a sync and mirrors them into the workspace.
+    async remember(projectId, files) {
+      if (!projectId) return;
+      lastGeneratedFiles.set(projectId, files);
+      if (!isValidProjectId(projectId)) return;
+      try {
+        await workspace.writeFiles(projectId, files);
+      } catch (err) {
+        console.error("workspace write error:", err);
+      }
+    },
+  };
+}
+
+// Merges the model output into the project's previous files. Requests without
+// a project id are returned unmerged. Files whose paths would escape the
+// workspace are dropped, and so are test files, which only the test pass writes. Changes made by modifiers outside their targets are
+// reported and reverted: the merge only takes blocks of editable nodes, and
+// new files outside that scope are dropped.
+async function finalizeGeneratedFiles({ projectId, files, changes, modifierTargets = {}, store }) {
+  const nextFiles = (Array.isArray(files) ? files : []).flatMap((file) => {
+    const safePath = normalizeWorkspacePath(file?.path);
+    if (!safePath) {
+      console.warn("Dropping generated file with unsafe path:", file?.path);
+      return [];
+    }
+    if (isTestFile(safePath)) return [];
+    return [{ ...file, path: safePath }];
+  });
+  if (!projectId) return { files: nextFiles, scopeViolations: [] };
+
+  const previousFiles = await store.load(projectId);
+  const scopeViolations = findScopeViolations({
+    previousFiles,
+    nextFiles,
+    editableNodeIds: collectChangedNodeIds(changes, modifierTargets).changed,
+    modifierIds: collectChangedModifierIds(changes, modifierTargets),
+  });
+  const rejectedPaths = new Set(
+    scopeViolations
+      .filter((violation) => !violation.nodeId)
+      .map((violation) => violation.path)
+      .filter((path) => !previousFiles.some((file) => file.path === path))
+  );
+
+  const merged = mergeGeneratedFiles({
+    previousFiles,
+    nextFiles: nextFiles.filter((file) => !rejectedPaths.has(file?.path)),
+    changes,
+    modifierTargets,
+  });
+  return { files: merged, scopeViolations };
+}
+
+const upsertFile = (files, file) => [
+  ...files.filter((item) => item.path !== file.path),
+  file,
+];
+
+// Optional test pass: writes tests for testable nodes that changed or have none
+// yet, then runs the tests of every testable node. Test-generation failures are
+// reported in the summary and never fail the sync.
+async function runTestPass({ provider, nodes, changes, modifierTargets, profile, files, llmRequest }) {
+  if (!canRunTests(profile)) {
+    return {
+      files,
+      tests: {
+        status: "skipped",
+        error: `Tests can only run for JavaScript projects (profile language: ${profile.language}).`,
+        results: [],
+      },
+    };
+  }
+
+  const testable = nodes.filter(isTestableNode);
+  const testPaths = new Set(testable.map((node) => testPathForNode(node.id)));
+  let nextFiles = files.filter(
+    (file) => !isTestFile(file.path) || testPaths.has(file.path)
+  );
+  if (!testable.length) {
+    return {
+      files: nextFiles,
+      tests: { status: "skipped", error: "No condition or output nodes to test.", results: [] },
+    };
+  }
+
+  const { changed } = collectChangedNodeIds(changes, modifierTargets);
+  const existingPaths = new Set(nextFiles.map((file) => file.path));
+  const needed = testable.filter(
+    (node) => changed.has(node.id) || !existingPaths.has(testPathForNode(node.id))
+  );
+
+  let error = null;
+  if (needed.length) {
+    try {
+      const { parsed } = await completeJson({
+        provider,
+        request: llmRequest,
+        messages: buildTestMessages({ nodes: needed, files: nextFiles, profile }),
+        schema: testResponseSchema,
+        schemaName: "test response",
+      });
+      parseTestResponse(parsed, needed).forEach((file) => {
+        nextFiles = upsertFile(nextFiles, file);
+      });
+    } catch (err) {
+      if (llmRequest.signal?.aborted) throw err;
+      console.error(
+        "generate-tests error:",
+        err.errors || err.response?.data || err.message || err
+      );
+      error = "Test generation failed; existing tests were run instead.";
+    }
+  }
+
+  const results = await runNodeTests({ files: nextFiles, nodes: testable });
+  return {
+    files: nextFiles,
+    tests: {
+      status: results.every((result) => result.status === "passed") ? "passed" : "failed",
+      error,
+      results,
+    },
+  };
+}
+
+// Re-prompts the model with its marker violations until the output is clean
+// or MARKER_RETRY_LIMIT is reached. Retries that never produce a valid
+// response keep the last good output. `requiredIds` limits which nodes must
+// have a block in this reply (see validateMarkers).
+async function repairMarkerViolations({
+  provider,
+  messages,
+  raw,
+  parsed,
+  nodes,
+  requiredIds,
+  onRetry,
+  llmRequest,
+}) {
+  let currentRaw = raw;
+  let currentParsed = parsed;
+  let violations = validateMarkers(currentParsed?.files, nodes, { requiredIds });
+
+  for (
+    let attempt = 1;
+    violations.length && attempt <= MARKER_RETRY_LIMIT;
+    attempt += 1
+  ) {
+    onRetry?.({ attempt, reason: "markers", violations });
+    try {
+      const repaired = await completeJson({
+        provider,
+        request: llmRequest,
+        messages: [
+          ...messages,
+          { role: "assistant", content: currentRaw },
+          {
+            role: "user",
+            content:
+              "The files you returned break the NODE marker rules:\n" +
+              formatViolations(violations) +
+              "\n\nReturn the complete corrected JSON object in the same format.",
+          },
+        ],
+        schema: codegenResponseSchema,
+        schemaName: "code generation response",
+      });
+      currentParsed = repaired.parsed;
+      currentRaw = repaired.raw;
+    } catch (err) {
+      if (!(err instanceof LlmResponseError)) throw err;
+      console.error("generate-code repair validation error:", err.errors);
+      break;
+    }
+    violations = validateMarkers(currentParsed?.files, nodes, { requiredIds });
+  }
+
+  return currentParsed;
+}
+
+// Shared tail of both codegen routes: repair markers, enforce modifier scope,
+// merge with the previous files, run the optional test pass and attach any
+// marker warnings that remain. `llmRequest` carries the model params, abort
+// signal and usage tag for follow-up calls; nothing is saved once it aborts.
+async function completeCodegen({
+  provider,
+  store,
+  projectId,
+  profile,
+  nodes,
+  changes,
+  modifierTargets,
+  generateTests,
+  messages,
+  raw,
+  parsed,
+  onRetry,
+  onTesting,
+  llmRequest,
+}) {
+  // The reply only needs blocks for this request's changes when there are
+  // previous files to merge it into; the merged result is checked in full.
+  const previousFiles = projectId ? await store.load(projectId) : [];
+  const requiredIds = previousFiles.length
+    ? collectChangedNodeIds(changes, modifierTargets).changed
+    : undefined;
+  const repaired = await repairMarkerViolations({
+    provider,
+    messages,
+    raw,
+    parsed,
+    nodes,
+    requiredIds,
+    onRetry,
+    llmRequest,
+  });
+  const finalized = await finalizeGeneratedFiles({
+    projectId,
+    files: repaired?.files,
+    changes,
+    modifierTargets,
+    store,
+  });
+  let { files } = finalized;
+  let tests;
+  if (generateTests) {
+    onTesting?.();
+    ({ files, tests } = await runTestPass({
+      provider,
+      nodes,
+      changes,
+      modifierTargets,
+      profile,
+      files,
+      llmRequest,
+    }));
+  }
+  llmRequest.signal?.throwIfAborted();
+  await store.remember(projectId, files);
+
+  return {
+    ...repaired,
+    files,
+    warnings: validateMarkers(files, nodes),
+    scopeViolations: finalized.scopeViolations,
+    ...(tests ? { tests } : {}),
+  };
+}
+
+function buildCodegenPrompt({
+  intent,
+  profile,
+  customNodeTypes = [],
+  nodes,
+  edges,
+  changes,
+  modifierTargets,
+}) {
+  const toMessages = (context) => [
+    {
+      role: "system",
+      content: systemPrompt,
+    },
+    {
+      role: "user",
+      content: JSON.stringify({
+        intent,
+        profile,
+        markerStyles: describeMarkerStyles(profile),
+        ...(customNodeTypes.length ? { nodeTypes: customNodeTypes } : {}),
+        ...context,
+        modifierTargets,
+      }),
+    },
+  ];
+  const { context, estimatedTokens, stats } = buildCodegenContext({
+    nodes,
+    edges,
+    changes,
+    modifierTargets,
+    measure: (candidate) => estimateMessageTokens(toMessages(candidate)),
+  });
+  return {
+    messages: toMessages(context),
+    estimate: {
+      estimatedTokens,
+      budget: PROMPT_TOKEN_BUDGET,
+      overBudget: PROMPT_TOKEN_BUDGET > 0 && estimatedTokens > PROMPT_TOKEN_BUDGET,
+      ...stats,
+    },
+  };
+}
+
+const buildCodegenMessages = (request) => buildCodegenPrompt(request).messages;
+
+// Options (all optional):
+//   provider   one adapter for every route, e.g. createMockProvider(script)
+//   providers  { codegen, copilot, nodes } per-route adapters; win over `provider`
+//   workspace, usageLedger, responseCache
+//              injected instead of the ones configured from the environment
+// Injected adapters are still wrapped with the response cache and usage
+// tracking; pass createResponseCache({ ttlMs: 0 }) to turn caching off.
+export function createApp({
+  provider,
+  providers = {},
+  workspace = createWorkspace(),
+  usageLedger = createUsageLedger(),
+  responseCache = createResponseCache(),
+} = {}) {
+  const app = express();
+
+  // Basic middleware
+  app.use(cors({ origin: CORS_ORIGINS }));
+  app.use(express.json());
+
+  // LLM providers per route (see llm-client.js). Each route can name its own,
+  // e.g. AI_CODEGEN_PROVIDER=offline or AI_COPILOT_PROVIDER=ollama, and falls
+  // back to AI_PROVIDER.
+  // Every call is recorded in the usage ledger (see llm-usage.js). Codegen and
+  // copilot calls also share one response cache; a request body with
+  // "noCache": true skips it, and responses report meta.cache.
+  const nodesProvider = withUsageTracking(
+    providers.nodes ?? provider ?? buildLlmClient({ provider: resolveRouteProvider("nodes") }),
+    usageLedger
+  );
+  const codegenProvider = withUsageTracking(
+    withResponseCache(
+      providers.codegen ?? provider ?? buildLlmClient({ provider: resolveRouteProvider("codegen") }),
+      responseCache
+    ),
+    usageLedger
+  );
+  const copilotProvider = withUsageTracking(
+    withResponseCache(
+      providers.copilot ?? provider ?? buildLlmClient({ provider: resolveRouteProvider("copilot") }),
+      responseCache
+    ),
+    usageLedger
+  );
+  const store = createGeneratedFileStore(workspace);
+
+  // Code generation route (real OpenAI call)
+  app.post("/api/generate-code", async (req, res) => {
+    const signal = abortOnDisconnect(res);
+
+    try {
+      const request = parseCodegenRequest(req.body);
+      const messages = buildCodegenMessages(request);
+      const llmRequest = {
+        ...CODEGEN_REQUEST,
+        signal,
+        usage: { projectId: request.projectId, route: "generate-code" },
+      };
+      const { raw, parsed, cache } = await completeJson({
+        provider: codegenProvider,
+        request: { ...llmRequest, bypassCache: request.bypassCache },
+        messages,
+        schema: codegenResponseSchema,
+        schemaName: "code generation response",
+      });
+
+      const result = await completeCodegen({
+        ...request,
+        messages,
+        raw,
+        parsed,
+        llmRequest,
+        provider: codegenProvider,
+        store,
+      });
+      res.json({ ...result, meta: { cache: cache ?? null } });
+    } catch (err) {
+      if (signal.aborted) {
+        console.log("generate-code cancelled by the client");
+        return;
+      }
+      if (err instanceof LlmResponseError) {
+        console.error("generate-code validation error:", err.errors, "raw:", err.raw);
+        return res.status(502).json(describeLlmResponseError(err));
+      }
+      if (err instanceof CassetteMissError) {
+        console.error("generate-code cassette miss:", err.key);
+        return res.status(500).json(describeCassetteMiss(err));
+      }
+      if (err instanceof UsageBudgetError) {
+        console.error("generate-code blocked:", err.message);
+        return res.status(429).json(describeUsageBudgetError(err));
+      }
+      console.error(
+        "generate-code error:",
+        err.response?.data || err.message || err
+      );
+      res.status(500).json({ error: "LLM request failed" });
+    }
+  });
+
+  // Streaming code generation route: emits NDJSON events as files complete.
+  // Events: { type: "start" }, { type: "file", index, file },
+  // { type: "retry", attempt, reason, violations | errors }, { type: "testing" },
+  // { type: "done", files, warnings, tests?, meta }, { type: "error", error, details? }.
+  // Files streamed before a retry are provisional; "done" always carries the
+  // final merged set.
+  app.post("/api/generate-code-stream", async (req, res) => {
+    const signal = abortOnDisconnect(res);
+
+    res.status(200);
+    res.setHeader("Content-Type", "application/x-ndjson; charset=utf-8");
+    res.setHeader("Cache-Control", "no-cache");
+    res.flushHeaders();
+
+    try {
+      const request = parseCodegenRequest(req.body);
+      const messages = buildCodegenMessages(request);
+      const llmRequest = {
+        ...CODEGEN_REQUEST,
+        signal,
+        usage: { projectId: request.projectId, route: "generate-code-stream" },
+      };
+      writeStreamEvent(res, { type: "start", intent: request.intent });
+
+      const stream = codegenProvider.stream({
+        ...llmRequest,
+        bypassCache: request.bypassCache,
+        cacheable: conformsTo(codegenResponseSchema),
+        messages,
+      });
+
+      const parser = createFileStreamParser();
+      let fileCount = 0;
+      let cache = null;
+      for await (const chunk of stream) {
+        if (chunk.cache) cache = chunk.cache;
+        if (!chunk.delta) continue;
+        parser.push(chunk.delta).forEach((file) => {
+          // Same path check as finalizeGeneratedFiles, so the preview never
+          // shows a file the final result would drop.
+          const safePath = normalizeWorkspacePath(file?.path);
+          if (!safePath) {
+            console.warn("Skipping streamed file with unsafe path:", file?.path);
+            return;
+          }
+          writeStreamEvent(res, { type: "file", index: fileCount, file: { ...file, path: safePath } });
+          fileCount += 1;
+        });
+      }
+
+      const { raw, parsed } = await repairJsonResponse({
+        provider: codegenProvider,
+        request: llmRequest,
+        messages,
+        raw: parser.getText(),
+        schema: codegenResponseSchema,
+        schemaName: "code generation response",
+        onRetry: ({ attempt, errors }) =>
+          writeStreamEvent(res, { type: "retry", attempt, reason: "schema", errors }),
+      });
+
+      const result = await completeCodegen({
+        ...request,
+        messages,
+        raw,
+        parsed,
+        onRetry: (retry) => writeStreamEvent(res, { type: "retry", ...retry }),
+        onTesting: () => writeStreamEvent(res, { type: "testing" }),
+        llmRequest,
+        provider: codegenProvider,
+        store,
+      });
+      writeStreamEvent(res, { ...result, meta: { cache }, type: "done" });
+      res.end();
+    } catch (err) {
+      if (signal.aborted) {
+        console.log("generate-code-stream cancelled by the client");
+        return;
+      }
+      if (err instanceof LlmResponseError) {
+        console.error("generate-code-stream validation error:", err.errors, "raw:", err.raw);
+        writeStreamEvent(res, { type: "error", ...describeLlmResponseError(err) });
+        return res.end();
+      }
+      if (err instanceof CassetteMissError) {
+        console.error("generate-code-stream cassette miss:", err.key);
+        writeStreamEvent(res, { type: "error", ...describeCassetteMiss(err) });
+        return res.end();
+      }
+      if (err instanceof UsageBudgetError) {
+        console.error("generate-code-stream blocked:", err.message);
+        writeStreamEvent(res, { type: "error", ...describeUsageBudgetError(err) });
+        return res.end();
+      }
+      console.error(
+        "generate-code-stream error:",
+        err.response?.data || err.message || err
+      );
+      writeStreamEvent(res, { type: "error", error: "LLM request failed" });
+      res.end();
+    }
+  });
+
+  // Prompt size for a sync before it is sent: { estimatedTokens, budget,
+  // overBudget, summarizedNodes, droppedEdges }. Takes the same body as
+  // /api/generate-code and makes no model call.
+  app.post("/api/codegen-estimate", (req, res) => {
+    try {
+      res.json(buildCodegenPrompt(parseCodegenRequest(req.body)).estimate);
+    } catch (err) {
+      console.error("codegen-estimate error:", err);
+      res.status(500).json({ error: "Could not estimate the prompt size" });
+    }
+  });
+
+  // Fake code generation route for testing: deterministic offline output, no LLM call
+  app.post("/api/generate-code-fake", (req, res) => {
+    try {
+      const { intent, profile, nodes, edges, changes } = parseCodegenRequest(
+        req.body
+      );
+      const fakeResponse = {
+        ...generateOfflineFiles({ nodes, edges, profile }),
+        meta: {
+          intent,
+          nodeCount: nodes.length,
+          edgeCount: edges.length,
+          changeCount: changes.length,
+        },
+      };
+
+      res.json(fakeResponse);
+    } catch (err) {
+      console.error("generate-code-fake error:", err);
+      res.status(500).json({ error: "Fake codegen failed" });
+    }
+  });
+
+  // Simple health check
+  app.get("/api/health", (_, res) => {
+    res.json({ ok: true });
+  });
+
+  // Generated files on disk, per project
+  app.use("/api", createWorkspaceRouter({ workspace }));
+
+  // Run the generated entry point in the sandbox
+  app.use("/api", createRunRouter({ workspace }));
+
+  // Ask AI Copilot route
+  app.use("/api", createAskAiRouter({ provider: copilotProvider }));
+
+  // Graph edits as a validated operation list
+  app.use("/api", createGraphOpsRouter({ provider: nodesProvider }));
+
+  // Token usage per project, route and model
+  app.use("/api", createUsageRouter({ ledger: usageLedger }));
+
+  return app;
+}
+
+export default createApp;
@@ -1,23 +1,34 @@
 import express from "express";
-import { buildLlmClient, resolveAskModel } from "./llm-client.js";
+import {
+  buildLlmClient,
+  resolveAskModel,
+  resolveRouteProvider,
+} from "./llm-client.js";
+import {
+  LlmResponseError,
+  completeJson,
+  describeLlmResponseError,
+} from "./llm-json.js";
+import { CassetteMissError, describeCassetteMiss } from "./llm-cassette.js";
+import { copilotResponseSchemaFor } from "./llm-schemas.js";
+import { createNodeTypeRegistry } from "./node-types.js";
+import { abortOnDisconnect } from "./client-abort.js";
+import { UsageBudgetError, describeUsageBudgetError } from "./llm-usage.js";
+import { estimateMessageTokens } from "./codegen-context.js";
 const REQUEST_TIMEOUT_MS = Number(process.env.OPENAI_TIMEOUT_MS) || 30000;
-const DEFAULT_NODE_TYPE = "logic";
-const VALID_NODE_TYPES = new Set([
-  "logic",
-  "descriptive",
-  "event",
-  "condition",
-  "data",
-  "output",
-]);
-const LEGACY_NODE_TYPES = {
-  note: "logic",
-  default: "logic",
-  input: "data",
-  output: "output",
-  modifier: "logic",
-};
-
+// Earlier turns of the project's conversation are sent newest first until
+// this many (estimated) tokens are used; older turns are left out.
+const parsedHistoryBudget = Number.parseInt(process.env.ASK_AI_HISTORY_TOKEN_BUDGET, 10);
+const HISTORY_TOKEN_BUDGET = Number.isNaN(parsedHistoryBudget) ? 2000 : Math.max(0, parsedHistoryBudget);
+const MAX_TURN_LENGTH = 2000;
+const MAX_LINKED_IDS = 50;
+// Caps on the graph context sent with a prompt; the client sends the
+// nearest neighbours first.
+const MAX_NEIGHBOR_NODES = 40;
+const MAX_NEIGHBOR_NOTES_LENGTH = 300;
+const MAX_CONTEXT_EDGES = 150;
+const MAX_SUMMARY_LABELS = 20;
+const MAX_SUMMARY_LABEL_LENGTH = 60;
 const systemPrompt = `
 You are the AI Copilot for a node-based editor.
 
@@ -33,12 +44,18 @@ Return a JSON object with these keys (missing arrays are allowed but must be pre
   "newNodes": [ { "id":"string","label":"string","notes":"string","nodeType":"logic|descriptive|event|condition|data|output" } ],
   "updatedNodes": [ { "id":"string","label":"string","notes":"string","nodeType":"logic|descriptive|event|condition|data|output" } ],
   "suggestedConnections": [ { "source":"string","target":"string","reason":"string" } ],
+  "removedNodes": [ { "id":"string","reason":"string" } ],
+  "removedConnections": [ { "source":"string","target":"string","reason":"string" } ],
   "meta": { "formatVersion": "1", "generatedBy":"copilot", "generatedAt":"ISO8601" }
 }
 
 RULES
 - Keep "reply" concise (max ~300 chars). It's OK to be short.
+- Earlier turns of the conversation may precede the current request. Past user turns are {"prompt": ...}; past assistant turns are shortened to {"reply": ..., "nodeIds": [...], "edgeIds": [...]}, listing what that turn created or changed, so follow-ups like "make those async" refer to those nodes. Always answer the latest request in the full schema above.
 - When creating IDs prefer short deterministic forms (e.g. hero_section, features_grid, demo_showcase). Avoid any punctuation or spaces.
+- The request may list "customNodeTypes" the project defined, each with an id, label, description and the built-in type it behaves as ("codegenRole"). Their ids are valid nodeType values too; use one when a node fits its description.
+- The request describes the graph around the user's selection: "selectedNodes" are the nodes the user is asking about, "neighborNodes" are nodes within a few connections of them ("hops" is the distance), "edges" are the directed connections (source -> target) between all of those nodes, and "graphSummary" counts the rest of the graph and lists some of its labels. Use the edges to reason about flow, e.g. what runs before or after a node. Only refer to existing nodes by ids from "selectedNodes" or "neighborNodes".
+- Use "removedNodes" and "removedConnections" only when the user asks to delete, merge away or disconnect something. You may only remove nodes listed in "selectedNodes" or "neighborNodes", and only connections listed in "edges"; say in "reply" if the user must select more nodes first. Removing a node already removes its connections.
 - Default nodeType to "logic" if unsure. Also mirror it to a compatibility field "type": "<same value>" if needed.
 - Do NOT invent fields outside the schema. Extra fields may be ignored by the backend.
 - Do not include raw code blocks or file dumps inside the notes field (notes can be short descriptions only).
@@ -49,73 +66,230 @@ EXAMPLE (exact shape, keep formatting compact):
 {"reply":"OK, created nodes","newNodes":[{"id":"hero_section","label":"Hero Section","notes":"Bold headline + CTA","nodeType":"descriptive"}],"updatedNodes":[],"suggestedConnections":[],"meta":{"formatVersion":"1","generatedBy":"copilot","generatedAt":"2025-12-11T12:00:00Z"}}
 `;
 
-function coerceNodeType(value) {
-  const normalized = typeof value === "string" ? value.trim().toLowerCase() : "";
-  if (VALID_NODE_TYPES.has(normalized)) return normalized;
-  if (normalized && LEGACY_NODE_TYPES[normalized]) return LEGACY_NODE_TYPES[normalized];
-  return DEFAULT_NODE_TYPE;
+const truncate = (text, length) => (text.length > length ? `${text.slice(0, length - 1)}…` : text);
+
+const nonNegativeInteger = (value) =>
+  Number.isInteger(value) && value >= 0 ? value : undefined;
+
+function sanitizeContextNode(node, nodeTypes) {
+  if (!node || typeof node !== "object") return null;
+  const id = typeof node.id === "string" ? node.id.trim() : "";
+  const label = typeof node.label === "string" ? node.label.trim() : "";
+  if (!id && !label) return null;
+  const notes =
+    typeof node.notes === "string" && node.notes.trim().length
+      ? node.notes.trim()
+      : undefined;
+  const rawType =
+    typeof node.type === "string" && node.type.trim().length
+      ? node.type.trim()
+      : undefined;
+  const rawNodeType =
+    typeof node.nodeType === "string" && node.nodeType.trim().length
+      ? node.nodeType.trim()
+      : undefined;
+  const nodeType = nodeTypes.coerce(rawNodeType || rawType);
+  return {
+    id: id || label,
+    label: label || id,
+    notes,
+    type: nodeType,
+    nodeType,
+  };
 }
 
-function sanitizeSelectedNodes(raw) {
-  if (!Array.isArray(raw)) return [];
-  return raw
-    .map((node) => {
-      if (!node || typeof node !== "object") return null;
-      const id = typeof node.id === "string" ? node.id.trim() : "";
-      const label = typeof node.label === "string" ? node.label.trim() : "";
-      if (!id && !label) return null;
-      const notes =
-        typeof node.notes === "string" && node.notes.trim().length
-          ? node.notes.trim()
-          : undefined;
-      const rawType =
-        typeof node.type === "string" && node.type.trim().length
-          ? node.type.trim()
-          : undefined;
-      const rawNodeType =
-        typeof node.nodeType === "string" && node.nodeType.trim().length
-          ? node.nodeType.trim()
-          : undefined;
-      const nodeType = coerceNodeType(rawNodeType || rawType);
+// The selection and the neighbourhood the client sent with it. A node is
+// kept once (selected wins over neighbour), and an edge only when both ends
+// are in the context, it is not a self-loop and it does not repeat an
+// earlier source -> target pair.
+function sanitizeSelectedNodes(
+  { selectedNodes: rawSelected, neighborNodes: rawNeighbors, edges: rawEdges } = {},
+  nodeTypes
+) {
+  const seen = new Set();
+  const keepNew = (node) => {
+    if (!node || seen.has(node.id)) return false;
+    seen.add(node.id);
+    return true;
+  };
+  const selectedNodes = (Array.isArray(rawSelected) ? rawSelected : [])
+    .map((node) => sanitizeContextNode(node, nodeTypes))
+    .filter(keepNew);
+  const neighborNodes = (Array.isArray(rawNeighbors) ? rawNeighbors : [])
+    .map((raw) => {
+      const node = sanitizeContextNode(raw, nodeTypes);
+      if (!node) return null;
+      const hops = nonNegativeInteger(raw.hops);
       return {
-        id: id || label,
-        label: label || id,
-        notes,
-        type: nodeType,
-        nodeType,
+        ...node,
+        notes: node.notes ? truncate(node.notes, MAX_NEIGHBOR_NOTES_LENGTH) : undefined,
+        ...(hops ? { hops } : {}),
       };
     })
+    .filter(keepNew)
+    .slice(0, MAX_NEIGHBOR_NODES);
+
+  const nodeIds = new Set([...selectedNodes, ...neighborNodes].map((node) => node.id));
+  const pairs = new Set();
+  const edges = (Array.isArray(rawEdges) ? rawEdges : [])
+    .filter((edge) => {
+      const { source, target } = edge ?? {};
+      const key = `${source}->${target}`;
+      if (!nodeIds.has(source) || !nodeIds.has(target) || source === target || pairs.has(key)) {
+        return false;
+      }
+      pairs.add(key);
+      return true;
+    })
+    .slice(0, MAX_CONTEXT_EDGES)
+    .map((edge) => ({
+      ...(typeof edge.id === "string" && edge.id.trim() ? { id: edge.id.trim() } : {}),
+      source: edge.source,
+      target: edge.target,
+      ...(typeof edge.label === "string" && edge.label.trim()
+        ? { label: truncate(edge.label.trim(), MAX_SUMMARY_LABEL_LENGTH) }
+        : {}),
+    }));
+
+  return { selectedNodes, neighborNodes, edges };
+}
+
+// Counts and a few labels for the part of the graph outside the context.
+function sanitizeGraphSummary(raw) {
+  if (!raw || typeof raw !== "object") return null;
+  const counts = Object.entries(raw.otherNodeTypes ?? {})
+    .filter(([type, count]) => type.trim() && nonNegativeInteger(count))
+    .slice(0, MAX_SUMMARY_LABELS);
+  const otherLabels = (Array.isArray(raw.otherLabels) ? raw.otherLabels : [])
+    .filter((label) => typeof label === "string" && label.trim())
+    .slice(0, MAX_SUMMARY_LABELS)
+    .map((label) => truncate(label.trim(), MAX_SUMMARY_LABEL_LENGTH));
+  return {
+    totalNodes: nonNegativeInteger(raw.totalNodes) ?? 0,
+    totalEdges: nonNegativeInteger(raw.totalEdges) ?? 0,
+    otherNodes: nonNegativeInteger(raw.otherNodes) ?? 0,
+    ...(counts.length ? { otherNodeTypes: Object.fromEntries(counts) } : {}),
+    ...(otherLabels.length ? { otherLabels } : {}),
+  };
+}
+
+const cleanIds = (ids) =>
+  (Array.isArray(ids) ? ids : [])
+    .filter((id) => typeof id === "string" && id.trim().length)
+    .slice(0, MAX_LINKED_IDS);
+
+// Prior turns from the client ({ role, content, nodeIds?, edgeIds? }) as chat
+// messages in the same JSON shapes the model sees for the current turn.
+function sanitizeHistory(raw) {
+  if (!Array.isArray(raw)) return [];
+  return raw
+    .map((turn) => {
+      const content = typeof turn?.content === "string" ? turn.content.trim().slice(0, MAX_TURN_LENGTH) : "";
+      if (!content) return null;
+      if (turn.role === "user") {
+        return { role: "user", content: JSON.stringify({ prompt: content }) };
+      }
+      if (turn.role === "assistant") {
+        const nodeIds = cleanIds(turn.nodeIds);
+        const edgeIds = cleanIds(turn.edgeIds);
+        return {
+          role: "assistant",
+          content: JSON.stringify({
+            reply: content,
+            ...(nodeIds.length ? { nodeIds } : {}),
+            ...(edgeIds.length ? { edgeIds } : {}),
+          }),
+        };
+      }
+      return null;
+    })
     .filter(Boolean);
 }
 
-function normalizeResponse(json) {
-  if (!json || typeof json !== "object") {
+// Keeps the newest turns that fit the budget, starting on a user turn.
+function trimHistory(messages, budget = HISTORY_TOKEN_BUDGET) {
+  const kept = [];
+  let used = 0;
+  for (let index = messages.length - 1; index >= 0; index -= 1) {
+    used += estimateMessageTokens([messages[index]]);
+    if (used > budget) break;
+    kept.unshift(messages[index]);
+  }
+  while (kept.length && kept[0].role !== "user") kept.shift();
+  return { messages: kept, droppedTurns: messages.length - kept.length };
+}
+
+// `json` has already passed copilotResponseSchema; the model's {"error"}
+// escape hatch becomes a reply with no suggestions. Removals are limited to
+// the nodes and edges the model was actually shown (`context`), so it cannot
+// delete parts of the graph it only guessed at; connections touching a
+// removed node are dropped as redundant.
+function normalizeResponse(json, context = { selectedNodes: [], neighborNodes: [], edges: [] }) {
+  const sentIds = new Set([...context.selectedNodes, ...context.neighborNodes].map((node) => node.id));
+  const sentPairs = new Set(context.edges.map((edge) => `${edge.source}->${edge.target}`));
+  if (typeof json.error === "string") {
     return {
-      reply: "",
+      reply: json.error,
       newNodes: [],
       updatedNodes: [],
       suggestedConnections: [],
+      removedNodes: [],
+      removedConnections: [],
+      droppedRemovals: 0,
     };
   }
 
-  const safeArray = (value) => (Array.isArray(value) ? value : []);
+  const removedIds = new Set();
+  const removedNodes = (json.removedNodes ?? []).filter((node) => {
+    if (!sentIds.has(node.id) || removedIds.has(node.id)) return false;
+    removedIds.add(node.id);
+    return true;
+  });
+  const removedPairs = new Set();
+  const removedConnections = (json.removedConnections ?? []).filter(({ source, target }) => {
+    const key = `${source}->${target}`;
+    if (!sentPairs.has(key) || removedPairs.has(key)) return false;
+    if (removedIds.has(source) || removedIds.has(target)) return false;
+    removedPairs.add(key);
+    return true;
+  });
 
   return {
-    reply: typeof json.reply === "string" ? json.reply : "",
-    newNodes: safeArray(json.newNodes),
-    updatedNodes: safeArray(json.updatedNodes),
-    suggestedConnections: safeArray(json.suggestedConnections),
+    reply: json.reply,
+    newNodes: json.newNodes,
+    updatedNodes: json.updatedNodes,
+    suggestedConnections: json.suggestedConnections,
+    removedNodes,
+    removedConnections,
+    droppedRemovals:
+      (json.removedNodes?.length ?? 0) +
+      (json.removedConnections?.length ?? 0) -
+      removedNodes.length -
+      removedConnections.length,
   };
 }
 
-export function createAskAiRouter({ client, model } = {}) {
-  const openai = client || buildLlmClient();
+// `provider` is an adapter from llm-providers.js; `client` is its old name and
+// is still accepted.
+export function createAskAiRouter({ provider, client, model } = {}) {
+  const llm =
+    provider || client || buildLlmClient({ provider: resolveRouteProvider("copilot") });
 
   const router = express.Router();
 
   router.post("/ask-ai", async (req, res) => {
     const modelName = model || resolveAskModel();
-    const { prompt, selectedNodes: rawSelectedNodes } = req.body || {};
+    const {
+      prompt,
+      selectedNodes: rawSelectedNodes,
+      neighborNodes: rawNeighborNodes,
+      edges: rawEdges,
+      graphSummary: rawGraphSummary,
+      projectId,
+      nodeTypes: rawNodeTypes,
+      history: rawHistory,
+      noCache = false,
+    } = req.body || {};
 
     if (!prompt || typeof prompt !== "string" || !prompt.trim().length) {
       return res
@@ -123,51 +297,80 @@ export function createAskAiRouter({ client, model } = {}) {
         .json({ error: "Prompt is required and must be a non-empty string." });
     }
 
-    const selectedNodes = sanitizeSelectedNodes(rawSelectedNodes);
+    const nodeTypes = createNodeTypeRegistry(rawNodeTypes);
+    const customNodeTypes = nodeTypes.describeCustomTypes();
+    const context = sanitizeSelectedNodes(
+      { selectedNodes: rawSelectedNodes, neighborNodes: rawNeighborNodes, edges: rawEdges },
+      nodeTypes
+    );
+    const graphSummary = sanitizeGraphSummary(rawGraphSummary);
+    const history = trimHistory(sanitizeHistory(rawHistory));
+    const signal = abortOnDisconnect(res);
 
     try {
-      const response = await openai.chat.completions.create(
-        {
+      const { parsed, cache } = await completeJson({
+        provider: llm,
+        request: {
           model: modelName,
-          messages: [
-            { role: "system", content: systemPrompt },
-            {
-              role: "user",
-              content: JSON.stringify({
-                prompt: prompt.trim(),
-                selectedNodes,
-              }),
-            },
-          ],
-          response_format: { type: "json_object" },
+          responseFormat: "json",
           temperature: 0.4,
-          max_tokens: 800,
+          maxTokens: 800,
+          timeout: REQUEST_TIMEOUT_MS,
+          bypassCache: noCache === true,
+          signal,
+          usage: { projectId: typeof projectId === "string" ? projectId : null, route: "ask-ai" },
         },
-        { timeout: REQUEST_TIMEOUT_MS }
-      );
-
-      const rawContent = response?.choices?.[0]?.message?.content;
-      if (!rawContent || typeof rawContent !== "string") {
-        return res
-          .status(502)
-          .json({ error: "Invalid response from AI service (empty content)." });
-      }
+        messages: [
+          { role: "system", content: systemPrompt },
+          ...history.messages,
+          {
+            role: "user",
+            content: JSON.stringify({
+              prompt: prompt.trim(),
+              selectedNodes: context.selectedNodes,
+              ...(context.neighborNodes.length ? { neighborNodes: context.neighborNodes } : {}),
+              ...(context.edges.length ? { edges: context.edges } : {}),
+              ...(graphSummary ? { graphSummary } : {}),
+              ...(customNodeTypes.length ? { customNodeTypes } : {}),
+            }),
+          },
+        ],
+        schema: copilotResponseSchemaFor(nodeTypes.ids),
+        schemaName: "copilot response",
+      });
 
-      let parsed;
-      try {
-        parsed = JSON.parse(rawContent);
-      } catch (parseErr) {
-        console.error("ask-ai parse error:", parseErr, rawContent);
-        return res
-          .status(502)
-          .json({ error: "AI response was not valid JSON." });
+      const { droppedRemovals, ...normalized } = normalizeResponse(parsed, context);
+      if (droppedRemovals) {
+        console.warn(`ask-ai dropped ${droppedRemovals} removal(s) that were repeated or outside the sent context`);
       }
-
-      const normalized = normalizeResponse(parsed);
-      res.json(normalized);
+      res.json({
+        ...normalized,
+        meta: {
+          cache: cache ?? null,
+          droppedRemovals,
+          historyTurns: history.messages.length,
+          droppedTurns: history.droppedTurns,
+        },
+      });
     } catch (err) {
+      if (signal.aborted) {
+        console.log("ask-ai cancelled by the client");
+        return;
+      }
+      if (err instanceof LlmResponseError) {
+        console.error("ask-ai validation error:", err.errors, err.raw);
+        return res.status(502).json(describeLlmResponseError(err));
+      }
+      if (err instanceof CassetteMissError) {
+        console.error("ask-ai cassette miss:", err.key);
+        return res.status(500).json(describeCassetteMiss(err));
+      }
+      if (err instanceof UsageBudgetError) {
+        console.error("ask-ai blocked:", err.message);
+        return res.status(429).json(describeUsageBudgetError(err));
+      }
       console.error("ask-ai error:", err.response?.data || err.message || err);
-      const status = err?.response?.status;
+      const status = err?.status ?? err?.response?.status;
       res
         .status(status && status >= 400 ? status : 502)
         .json({ error: "Something went wrong talking to the AI." });
@@ -0,0 +1,14 @@
+// client-abort.js
+// Cancels in-flight work when the browser goes away. The returned signal is
+// passed down to the provider calls (see llm-providers.js), so closing the
+// connection also aborts the model request.
+
+export function abortOnDisconnect(res) {
+  const controller = new AbortController();
+  res.on("close", () => {
+    if (!res.writableFinished) {
+      controller.abort(new Error("Client disconnected"));
+    }
+  });
+  return controller.signal;
+}
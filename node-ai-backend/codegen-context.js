@@ -0,0 +1,179 @@
+// codegen-context.js
+// Builds the graph context sent with a codegen request. Layout fields
+// (positions, sizes, styles, selection state) are always dropped, and node
+// changes carry only the data fields that changed instead of a full copy of
+// the previous node. When the result is still over the token budget, nodes
+// that are neither staged nor next to a staged node are reduced to a short
+// summary, and then edges between two such nodes are dropped.
+
+const parsedBudget = Number.parseInt(process.env.CODEGEN_PROMPT_TOKEN_BUDGET, 10);
+export const PROMPT_TOKEN_BUDGET = Number.isNaN(parsedBudget) ? 12000 : Math.max(0, parsedBudget);
+
+const CHARS_PER_TOKEN = 4;
+const MESSAGE_OVERHEAD_TOKENS = 4;
+const SUMMARY_TEXT_LENGTH = 80;
+
+// Rough count for English text and JSON; close enough to budget against
+// without shipping a tokenizer per provider.
+export const estimateTokens = (text) => Math.ceil(String(text ?? "").length / CHARS_PER_TOKEN);
+
+export const estimateMessageTokens = (messages = []) =>
+  messages.reduce(
+    (total, message) => total + MESSAGE_OVERHEAD_TOKENS + estimateTokens(message?.content),
+    0
+  );
+
+const compactData = (data = {}) => {
+  const { nodeType, role, ...rest } = data || {};
+  return rest;
+};
+
+const compactNode = (node) => ({
+  id: node.id,
+  nodeType: node.nodeType,
+  ...(node.codegenRole ? { codegenRole: node.codegenRole } : {}),
+  ...(node.role ? { role: node.role } : {}),
+  isDescriptive: Boolean(node.isDescriptive),
+  data: compactData(node.data),
+});
+
+const truncate = (text, length) => {
+  const value = String(text ?? "").replace(/\s+/g, " ").trim();
+  return value.length > length ? `${value.slice(0, length - 1)}…` : value;
+};
+
+const summarizeNode = (node) => ({
+  id: node.id,
+  nodeType: node.nodeType,
+  ...(node.codegenRole ? { codegenRole: node.codegenRole } : {}),
+  ...(node.role ? { role: node.role } : {}),
+  isDescriptive: Boolean(node.isDescriptive),
+  summary: true,
+  data: {
+    label: truncate(node.data?.label, SUMMARY_TEXT_LENGTH),
+    ...(node.data?.notes ? { notes: truncate(node.data.notes, SUMMARY_TEXT_LENGTH) } : {}),
+  },
+});
+
+const compactEdge = (edge) => ({
+  id: edge.id,
+  source: edge.source,
+  target: edge.target,
+  ...(edge.sourceHandle ? { sourceHandle: edge.sourceHandle } : {}),
+  ...(edge.targetHandle ? { targetHandle: edge.targetHandle } : {}),
+  ...(edge.label ? { label: edge.label } : {}),
+  ...(edge.data && Object.keys(edge.data).length ? { data: edge.data } : {}),
+});
+
+// Data fields of the previous node that differ from the current one.
+const previousDataDiff = (previous, current) => {
+  const before = compactData(previous?.data);
+  const after = compactData(current?.data);
+  const diff = {};
+  new Set([...Object.keys(before), ...Object.keys(after)]).forEach((key) => {
+    if (JSON.stringify(before[key]) !== JSON.stringify(after[key])) {
+      diff[key] = before[key] ?? null;
+    }
+  });
+  if (previous?.nodeType && previous.nodeType !== current?.nodeType) {
+    diff.nodeType = previous.nodeType;
+  }
+  return diff;
+};
+
+const compactChange = (change) => {
+  if (change?.kind === "node") {
+    const { changeType, nodeId, currentNode, previousNode } = change;
+    return {
+      kind: "node",
+      changeType,
+      nodeId,
+      ...(currentNode ? { currentNode: compactNode(currentNode) } : {}),
+      ...(changeType === "removed" && previousNode
+        ? { previousNode: compactNode(previousNode) }
+        : {}),
+      ...(changeType === "modified" ? { previous: previousDataDiff(previousNode, currentNode) } : {}),
+    };
+  }
+  if (change?.kind === "edge") {
+    const edge = change.currentEdge ?? change.previousEdge;
+    return {
+      kind: "edge",
+      changeType: change.changeType,
+      edgeId: change.edgeId ?? edge?.id,
+      ...(edge ? { source: edge.source, target: edge.target } : {}),
+      ...(edge?.data?.reason ? { reason: edge.data.reason } : {}),
+      ...(change.changeType === "modified"
+        ? { previousReason: change.previousEdge?.data?.reason ?? null }
+        : {}),
+    };
+  }
+  return change;
+};
+
+// Staged node ids, endpoints of staged edges and modifier targets, plus
+// their direct neighbors.
+function collectFocusIds({ edges, changes, modifierTargets }) {
+  const staged = new Set();
+  changes.forEach((change) => {
+    if (change?.kind === "node" && change.nodeId) staged.add(change.nodeId);
+    if (change?.kind === "edge") {
+      const edge = change.currentEdge ?? change.previousEdge;
+      if (edge?.source) staged.add(edge.source);
+      if (edge?.target) staged.add(edge.target);
+    }
+  });
+  Object.entries(modifierTargets || {}).forEach(([modifierId, targets]) => {
+    if (staged.has(modifierId)) targets.forEach((id) => staged.add(id));
+  });
+
+  const focus = new Set(staged);
+  edges.forEach((edge) => {
+    if (staged.has(edge.source)) focus.add(edge.target);
+    if (staged.has(edge.target)) focus.add(edge.source);
+  });
+  return focus;
+}
+
+// Returns { context, estimatedTokens, stats } where `context` holds the
+// nodes/edges/changes to serialize and `stats` says what was compressed.
+// `measure(context)` must return the token estimate of the full prompt.
+export function buildCodegenContext({
+  nodes = [],
+  edges = [],
+  changes = [],
+  modifierTargets = {},
+  budget = PROMPT_TOKEN_BUDGET,
+  measure,
+}) {
+  const compactChanges = changes.map(compactChange);
+  const full = {
+    nodes: nodes.map(compactNode),
+    edges: edges.map(compactEdge),
+    changes: compactChanges,
+  };
+  const stats = { summarizedNodes: 0, droppedEdges: 0 };
+
+  let context = full;
+  let estimatedTokens = measure(context);
+  if (!budget || estimatedTokens <= budget) {
+    return { context, estimatedTokens, stats };
+  }
+
+  const focus = collectFocusIds({ edges, changes, modifierTargets });
+  context = {
+    ...full,
+    nodes: nodes.map((node) => (focus.has(node.id) ? compactNode(node) : summarizeNode(node))),
+  };
+  stats.summarizedNodes = nodes.filter((node) => !focus.has(node.id)).length;
+  estimatedTokens = measure(context);
+  if (estimatedTokens <= budget) {
+    return { context, estimatedTokens, stats };
+  }
+
+  const keptEdges = full.edges.filter((edge) => focus.has(edge.source) || focus.has(edge.target));
+  stats.droppedEdges = full.edges.length - keptEdges.length;
+  context = { ...context, edges: keptEdges };
+  estimatedTokens = measure(context);
+  return { context, estimatedTokens, stats };
+}
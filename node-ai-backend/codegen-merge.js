@@ -0,0 +1,156 @@
+// codegen-merge.js
+// Splices freshly generated NODE blocks into the previously generated files so
+// that regions belonging to untouched nodes stay byte-identical across syncs.
+
+import { findNodeBlocks } from "./node-markers.js";
+import { collectChangedModifierIds } from "./modifier-scope.js";
+
+// Node ids whose blocks should be taken from the new output or dropped.
+// Edge changes count as changes to both endpoints, since the connection is
+// implemented inside their blocks, and a changed modifier opens up its targets.
+export function collectChangedNodeIds(changes = [], modifierTargets = {}) {
+  const changed = new Set();
+  const removed = new Set();
+
+  for (const change of Array.isArray(changes) ? changes : []) {
+    if (!change) continue;
+    if (change.kind === "node" && change.nodeId) {
+      if (change.changeType === "removed") {
+        removed.add(change.nodeId);
+      } else {
+        changed.add(change.nodeId);
+      }
+    } else if (change.kind === "edge") {
+      const edge = change.currentEdge || change.previousEdge;
+      if (edge?.source) changed.add(edge.source);
+      if (edge?.target) changed.add(edge.target);
+    }
+  }
+
+  collectChangedModifierIds(changes, modifierTargets).forEach((modifierId) => {
+    (modifierTargets[modifierId] || []).forEach((targetId) => changed.add(targetId));
+  });
+
+  removed.forEach((id) => changed.delete(id));
+  return { changed, removed };
+}
+
+const ensureTrailingNewline = (text) =>
+  text.length && !text.endsWith("\n") ? `${text}\n` : text;
+
+function removeBlocks(contents, nodeIds) {
+  let result = contents;
+  const blocks = findNodeBlocks(contents)
+    .filter((block) => nodeIds.has(block.nodeId))
+    .reverse();
+  for (const block of blocks) {
+    result = result.slice(0, block.start) + result.slice(block.end);
+  }
+  return result;
+}
+
+function mergeFileContents(previous, next, changed) {
+  let result = previous;
+  const nextBlocks = findNodeBlocks(next);
+
+  nextBlocks.forEach((nextBlock, index) => {
+    if (!changed.has(nextBlock.nodeId)) return;
+    const currentBlocks = findNodeBlocks(result);
+    const existing = currentBlocks.find(
+      (block) => block.nodeId === nextBlock.nodeId
+    );
+
+    if (existing) {
+      result =
+        result.slice(0, existing.start) +
+        ensureTrailingNewline(nextBlock.text) +
+        result.slice(existing.end);
+      return;
+    }
+
+    // New block: place it after the nearest preceding block (in the new
+    // output's order) that already exists, or at the end of the file.
+    let insertAt = -1;
+    for (let i = index - 1; i >= 0 && insertAt === -1; i -= 1) {
+      const anchor = currentBlocks.find(
+        (block) => block.nodeId === nextBlocks[i].nodeId
+      );
+      if (anchor) insertAt = anchor.end;
+    }
+    if (insertAt === -1) {
+      result = ensureTrailingNewline(result);
+      insertAt = result.length;
+    }
+    result =
+      result.slice(0, insertAt) +
+      ensureTrailingNewline(nextBlock.text) +
+      result.slice(insertAt);
+  });
+
+  return result;
+}
+
+// Changed nodes whose blocks the new output places, mapped to those paths.
+function collectPlacedBlocks(nextFiles, changed) {
+  const placed = new Map();
+  for (const file of nextFiles) {
+    for (const block of findNodeBlocks(file.contents ?? "")) {
+      if (!changed.has(block.nodeId)) continue;
+      if (!placed.has(block.nodeId)) placed.set(block.nodeId, new Set());
+      placed.get(block.nodeId).add(file.path);
+    }
+  }
+  return placed;
+}
+
+const isBlank = (text) => !String(text ?? "").trim().length;
+
+// True when merging emptied a file that had contents before.
+const leftEmpty = (file, previousFiles, nextFiles) =>
+  isBlank(file.contents) &&
+  [...previousFiles, ...nextFiles].some(
+    (other) => other?.path === file.path && !isBlank(other.contents)
+  );
+
+// A changed node that moved files keeps only its new block: its block is
+// stripped from every file the new output no longer places it in (changed
+// nodes the output leaves out entirely keep their old blocks). Files that
+// had contents and are left with nothing but whitespace are dropped.
+export function mergeGeneratedFiles({
+  previousFiles = [],
+  nextFiles = [],
+  changes = [],
+  modifierTargets = {},
+}) {
+  const { changed, removed } = collectChangedNodeIds(changes, modifierTargets);
+  const nextByPath = new Map(
+    nextFiles
+      .filter((file) => typeof file?.path === "string")
+      .map((file) => [file.path, file])
+  );
+  const placed = collectPlacedBlocks(nextByPath.values(), changed);
+  const staleIn = (path) =>
+    new Set([
+      ...removed,
+      ...[...placed].filter(([, paths]) => !paths.has(path)).map(([nodeId]) => nodeId),
+    ]);
+  const merged = [];
+
+  for (const previous of previousFiles) {
+    const next = nextByPath.get(previous.path);
+    nextByPath.delete(previous.path);
+    const contents = next
+      ? mergeFileContents(previous.contents ?? "", next.contents ?? "", changed)
+      : previous.contents ?? "";
+    merged.push({ ...previous, contents: removeBlocks(contents, staleIn(previous.path)) });
+  }
+
+  for (const next of nextByPath.values()) {
+    merged.push({
+      ...next,
+      contents: removeBlocks(next.contents ?? "", removed),
+    });
+  }
+
+  return merged.filter((file) => !leftEmpty(file, previousFiles, nextFiles));
+}
@@ -0,0 +1,81 @@
+// codegen-profile.js
+// Project-level target for code generation (language, runtime, framework,
+// module style) and the comment syntax NODE markers use in each language.
+
+export const DEFAULT_CODEGEN_PROFILE = {
+  language: "javascript",
+  runtime: "node",
+  framework: "",
+  moduleStyle: "esm",
+};
+
+const MODULE_STYLES = new Set(["esm", "commonjs", "none"]);
+const MAX_FIELD_LENGTH = 60;
+
+// prefix/suffix wrap the marker text, e.g. "<!-- <NODE:id:START> -->".
+const COMMENT_SYNTAX = {
+  javascript: { prefix: "// ", suffix: "" },
+  typescript: { prefix: "// ", suffix: "" },
+  java: { prefix: "// ", suffix: "" },
+  csharp: { prefix: "// ", suffix: "" },
+  go: { prefix: "// ", suffix: "" },
+  rust: { prefix: "// ", suffix: "" },
+  c: { prefix: "// ", suffix: "" },
+  cpp: { prefix: "// ", suffix: "" },
+  kotlin: { prefix: "// ", suffix: "" },
+  swift: { prefix: "// ", suffix: "" },
+  php: { prefix: "// ", suffix: "" },
+  python: { prefix: "# ", suffix: "" },
+  ruby: { prefix: "# ", suffix: "" },
+  shell: { prefix: "# ", suffix: "" },
+  yaml: { prefix: "# ", suffix: "" },
+  sql: { prefix: "-- ", suffix: "" },
+  lua: { prefix: "-- ", suffix: "" },
+  html: { prefix: "<!-- ", suffix: " -->" },
+  xml: { prefix: "<!-- ", suffix: " -->" },
+  markdown: { prefix: "<!-- ", suffix: " -->" },
+  css: { prefix: "/* ", suffix: " */" },
+};
+
+const cleanField = (value, fallback) =>
+  typeof value === "string" && value.trim().length
+    ? value.trim().slice(0, MAX_FIELD_LENGTH)
+    : fallback;
+
+// The default runtime only fills in for the default language; other languages
+// without one leave it to the model.
+export function normalizeCodegenProfile(raw) {
+  const profile = raw && typeof raw === "object" ? raw : {};
+  const moduleStyle = cleanField(profile.moduleStyle, "").toLowerCase();
+  const language = cleanField(profile.language, DEFAULT_CODEGEN_PROFILE.language).toLowerCase();
+  return {
+    language,
+    runtime: cleanField(
+      profile.runtime,
+      language === DEFAULT_CODEGEN_PROFILE.language ? DEFAULT_CODEGEN_PROFILE.runtime : ""
+    ),
+    framework: cleanField(profile.framework, ""),
+    moduleStyle: MODULE_STYLES.has(moduleStyle)
+      ? moduleStyle
+      : DEFAULT_CODEGEN_PROFILE.moduleStyle,
+  };
+}
+
+export const getCommentSyntax = (language) =>
+  COMMENT_SYNTAX[String(language || "").toLowerCase()] || COMMENT_SYNTAX.javascript;
+
+export function formatMarker(nodeId, kind, language) {
+  const { prefix, suffix } = getCommentSyntax(language);
+  return `${prefix}<NODE:${nodeId}:${kind}>${suffix}`;
+}
+
+// Marker examples handed to the model: the profile's own language plus the
+// other syntaxes it may need for mixed projects (HTML + CSS, etc.).
+export function describeMarkerStyles(profile) {
+  const languages = [profile.language, "javascript", "python", "html", "css"];
+  return Array.from(new Set(languages)).map((language) => ({
+    language,
+    start: formatMarker("{nodeId}", "START", language),
+    end: formatMarker("{nodeId}", "END", language),
+  }));
+}
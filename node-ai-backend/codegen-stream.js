@@ -0,0 +1,74 @@
+// codegen-stream.js
+// Incrementally pulls complete file objects out of a streamed codegen response
+// of the form {"files":[{"path":"...","contents":"..."}, ...]}.
+
+export function createFileStreamParser() {
+  let buffer = "";
+  let cursor = 0;
+  let inString = false;
+  let escaped = false;
+  let fileStart = -1;
+  const stack = [];
+
+  const isInsideFilesArray = () =>
+    stack.length === 2 && stack[0] === "{" && stack[1] === "[";
+
+  const push = (text) => {
+    const completed = [];
+    if (typeof text !== "string" || !text.length) return completed;
+    buffer += text;
+
+    for (; cursor < buffer.length; cursor += 1) {
+      const char = buffer[cursor];
+
+      if (inString) {
+        if (escaped) {
+          escaped = false;
+        } else if (char === "\\") {
+          escaped = true;
+        } else if (char === '"') {
+          inString = false;
+        }
+        continue;
+      }
+
+      if (char === '"') {
+        inString = true;
+      } else if (char === "{" || char === "[") {
+        if (char === "{" && isInsideFilesArray()) fileStart = cursor;
+        stack.push(char);
+      } else if (char === "}" || char === "]") {
+        stack.pop();
+        if (char === "}" && fileStart !== -1 && isInsideFilesArray()) {
+          const file = parseFile(buffer.slice(fileStart, cursor + 1));
+          if (file) completed.push(file);
+          fileStart = -1;
+        }
+      }
+    }
+
+    return completed;
+  };
+
+  return {
+    push,
+    getText: () => buffer,
+  };
+}
+
+function parseFile(raw) {
+  try {
+    const parsed = JSON.parse(raw);
+    if (!parsed || typeof parsed.path !== "string") return null;
+    return {
+      path: parsed.path,
+      contents: typeof parsed.contents === "string" ? parsed.contents : "",
+    };
+  } catch {
+    return null;
+  }
+}
+
+export function writeStreamEvent(res, event) {
+  res.write(`${JSON.stringify(event)}\n`);
+}
@@ -0,0 +1,306 @@
+// graph-ops.js
+// POST /api/generate-nodes: the model edits the graph through a fixed list of
+// operations (addNode, updateNode, removeNode, connect, disconnect, moveNode,
+// setType). The reply is first checked against graphOpsResponseSchemaFor, then
+// replayed in order against the graph the client sent, so an operation may
+// refer to a node added earlier in the same list and nothing may refer to a
+// node removed before it. Operations that do not apply are sent back to the
+// model like schema errors; the client only ever receives a list it can apply
+// as a whole.
+
+import express from "express";
+import { resolveNodesModel } from "./llm-client.js";
+import {
+  JSON_RETRY_LIMIT,
+  LlmResponseError,
+  completeJson,
+  describeLlmResponseError,
+  formatSchemaErrors,
+} from "./llm-json.js";
+import { CassetteMissError, describeCassetteMiss } from "./llm-cassette.js";
+import { graphOpsResponseSchemaFor } from "./llm-schemas.js";
+import { createNodeTypeRegistry } from "./node-types.js";
+import { abortOnDisconnect } from "./client-abort.js";
+import { UsageBudgetError, describeUsageBudgetError } from "./llm-usage.js";
+
+const REQUEST_TIMEOUT_MS = Number(process.env.OPENAI_TIMEOUT_MS) || 30000;
+const MAX_NOTES_LENGTH = 1000;
+
+const systemPrompt = `
+You edit the graph of a node-based app editor. Each node is a piece of the
+app (logic, data, events, conditions, outputs, descriptive notes) and each
+edge is a directed connection from "source" to "target".
+
+You receive the user's instructions and the current graph. Respond ONLY with a
+JSON object:
+{
+  "summary": "one or two sentences on what you changed",
+  "operations": [ ... ]
+}
+
+Each operation is one of:
+{"op":"addNode","id":"string","label":"string","notes":"string","nodeType":"string","position":{"x":0,"y":0}}
+{"op":"updateNode","id":"string","label":"string","notes":"string"}
+{"op":"removeNode","id":"string"}
+{"op":"connect","source":"string","target":"string","label":"string"}
+{"op":"disconnect","source":"string","target":"string"}
+{"op":"moveNode","id":"string","position":{"x":0,"y":0}}
+{"op":"setType","id":"string","nodeType":"string"}
+
+RULES
+- Operations run in order. A node must exist (in the graph or from an earlier addNode) before it is updated, moved, retyped, removed or connected.
+- New ids must be unique, short and without spaces (e.g. validate_input). Never reuse an existing id.
+- removeNode also removes every edge touching that node; do not disconnect those edges separately.
+- Do not connect a node to itself or add an edge that already exists.
+- updateNode must set label, notes or both. Use setType to change a node's type.
+- nodeType is one of the built-in types (logic, descriptive, event, condition, data, output) or an id from "customNodeTypes" when the request lists them. Omitting it on addNode means logic.
+- "position" is optional on addNode; when given, keep new nodes near the nodes they connect to, about 250 units apart.
+- Only make the changes the instructions ask for. Return an empty "operations" list if nothing should change.
+`;
+
+const cleanString = (value) => (typeof value === "string" ? value.trim() : "");
+
+const cleanPosition = (position) =>
+  Number.isFinite(position?.x) && Number.isFinite(position?.y)
+    ? { x: Math.round(position.x), y: Math.round(position.y) }
+    : undefined;
+
+const edgeKey = (source, target) => `${source}->${target}`;
+
+// Reduces React Flow nodes/edges to what the model needs. Edges whose
+// endpoints are missing are dropped.
+export function sanitizeGraph(raw, nodeTypes) {
+  const nodes = (Array.isArray(raw?.nodes) ? raw.nodes : [])
+    .map((node) => {
+      const id = cleanString(node?.id);
+      if (!id) return null;
+      const notes = cleanString(node.data?.notes ?? node.notes);
+      const position = cleanPosition(node.position);
+      return {
+        id,
+        label: cleanString(node.data?.label ?? node.label) || id,
+        ...(notes ? { notes: notes.slice(0, MAX_NOTES_LENGTH) } : {}),
+        nodeType: nodeTypes.coerce(node.data?.nodeType ?? node.nodeType ?? node.type),
+        ...(position ? { position } : {}),
+      };
+    })
+    .filter(Boolean);
+
+  const nodeIds = new Set(nodes.map((node) => node.id));
+  const edges = (Array.isArray(raw?.edges) ? raw.edges : [])
+    .filter((edge) => nodeIds.has(edge?.source) && nodeIds.has(edge?.target))
+    .map((edge) => ({
+      id: cleanString(edge.id) || edgeKey(edge.source, edge.target),
+      source: edge.source,
+      target: edge.target,
+      ...(typeof edge.label === "string" && edge.label.trim() ? { label: edge.label.trim() } : {}),
+    }));
+
+  return { nodes, edges };
+}
+
+// Replays `operations` (already schema-valid) against `graph`. Returns
+// { operations, errors }: trimmed copies of the operations, and one
+// { path, message } per operation that does not apply.
+export function validateGraphOperations(operations, graph) {
+  const nodeIds = new Set(graph.nodes.map((node) => node.id));
+  const edgeKeys = new Map(
+    graph.edges.map((edge) => [edgeKey(edge.source, edge.target), [edge.source, edge.target]])
+  );
+  const errors = [];
+
+  const normalized = operations.map((operation, index) => {
+    const path = `operations[${index}]`;
+    const fail = (message) => errors.push({ path, message: `${operation.op}: ${message}` });
+    const id = cleanString(operation.id);
+    const label = cleanString(operation.label);
+    const source = cleanString(operation.source);
+    const target = cleanString(operation.target);
+
+    switch (operation.op) {
+      case "addNode":
+        if (nodeIds.has(id)) fail(`node "${id}" already exists`);
+        if (/\s/.test(id)) fail("id must not contain spaces");
+        nodeIds.add(id);
+        return {
+          op: "addNode",
+          id,
+          label: label || id,
+          ...(operation.notes ? { notes: operation.notes.slice(0, MAX_NOTES_LENGTH) } : {}),
+          ...(operation.nodeType ? { nodeType: operation.nodeType } : {}),
+          ...(operation.position ? { position: cleanPosition(operation.position) } : {}),
+        };
+      case "updateNode":
+        if (!nodeIds.has(id)) fail(`node "${id}" does not exist`);
+        if (!label && operation.notes === undefined) fail("must set label or notes");
+        return {
+          op: "updateNode",
+          id,
+          ...(label ? { label } : {}),
+          ...(operation.notes !== undefined ? { notes: operation.notes.slice(0, MAX_NOTES_LENGTH) } : {}),
+        };
+      case "removeNode":
+        if (!nodeIds.has(id)) fail(`node "${id}" does not exist`);
+        nodeIds.delete(id);
+        Array.from(edgeKeys).forEach(([key, [from, to]]) => {
+          if (from === id || to === id) edgeKeys.delete(key);
+        });
+        return { op: "removeNode", id };
+      case "connect":
+        if (!nodeIds.has(source)) fail(`source "${source}" does not exist`);
+        if (!nodeIds.has(target)) fail(`target "${target}" does not exist`);
+        if (source === target) fail("cannot connect a node to itself");
+        if (edgeKeys.has(edgeKey(source, target))) fail(`edge ${source} -> ${target} already exists`);
+        edgeKeys.set(edgeKey(source, target), [source, target]);
+        return {
+          op: "connect",
+          source,
+          target,
+          ...(label ? { label } : {}),
+        };
+      case "disconnect":
+        if (!edgeKeys.delete(edgeKey(source, target))) fail(`edge ${source} -> ${target} does not exist`);
+        return { op: "disconnect", source, target };
+      case "moveNode":
+        if (!nodeIds.has(id)) fail(`node "${id}" does not exist`);
+        return { op: "moveNode", id, position: cleanPosition(operation.position) };
+      case "setType":
+        if (!nodeIds.has(id)) fail(`node "${id}" does not exist`);
+        return { op: "setType", id, nodeType: operation.nodeType };
+      default:
+        fail("unknown operation");
+        return operation;
+    }
+  });
+
+  return { operations: normalized, errors };
+}
+
+// One schema-checked call, then re-prompts while operations do not apply to
+// the graph. Throws LlmResponseError when the retry budget runs out.
+async function completeGraphOperations({ provider, request, messages, schema, graph }) {
+  let { parsed, raw, cache } = await completeJson({
+    provider,
+    request,
+    messages,
+    schema,
+    schemaName: "graph operations",
+  });
+  let { operations, errors } = validateGraphOperations(parsed.operations, graph);
+  let attempt = 0;
+
+  while (errors.length && attempt < JSON_RETRY_LIMIT) {
+    attempt += 1;
+    ({ parsed, raw } = await completeJson({
+      provider,
+      request,
+      messages: [
+        ...messages,
+        { role: "assistant", content: raw },
+        {
+          role: "user",
+          content:
+            "Some operations do not apply to the current graph:\n" +
+            formatSchemaErrors(errors) +
+            "\n\nReturn the complete corrected JSON object only.",
+        },
+      ],
+      schema,
+      schemaName: "graph operations",
+    }));
+    ({ operations, errors } = validateGraphOperations(parsed.operations, graph));
+  }
+
+  if (errors.length) {
+    throw new LlmResponseError("The model's graph operations do not apply to the current graph.", {
+      errors,
+      raw,
+      attempts: attempt + 1,
+    });
+  }
+  return { summary: parsed.summary, operations, cache };
+}
+
+export function createGraphOpsRouter({ provider, model } = {}) {
+  const router = express.Router();
+
+  router.post("/generate-nodes", async (req, res) => {
+    const {
+      prompt,
+      userPrompt,
+      graph: rawGraph,
+      projectId,
+      nodeTypes: rawNodeTypes,
+      noCache = false,
+    } = req.body || {};
+    const instructions = cleanString(prompt ?? userPrompt);
+
+    if (!instructions) {
+      return res
+        .status(400)
+        .json({ error: "Prompt is required and must be a non-empty string." });
+    }
+
+    const nodeTypes = createNodeTypeRegistry(rawNodeTypes);
+    const customNodeTypes = nodeTypes.describeCustomTypes();
+    const graph = sanitizeGraph(rawGraph, nodeTypes);
+    const signal = abortOnDisconnect(res);
+
+    try {
+      const result = await completeGraphOperations({
+        provider,
+        request: {
+          model: model || resolveNodesModel(),
+          responseFormat: "json",
+          temperature: 0.2,
+          timeout: REQUEST_TIMEOUT_MS,
+          bypassCache: noCache === true,
+          signal,
+          usage: { projectId: typeof projectId === "string" ? projectId : null, route: "generate-nodes" },
+        },
+        messages: [
+          { role: "system", content: systemPrompt },
+          {
+            role: "user",
+            content: JSON.stringify({
+              instructions,
+              graph,
+              ...(customNodeTypes.length ? { customNodeTypes } : {}),
+            }),
+          },
+        ],
+        schema: graphOpsResponseSchemaFor(nodeTypes.ids),
+        graph,
+      });
+
+      res.json({
+        summary: result.summary,
+        operations: result.operations,
+        meta: { cache: result.cache ?? null },
+      });
+    } catch (err) {
+      if (signal.aborted) {
+        console.log("generate-nodes cancelled by the client");
+        return;
+      }
+      if (err instanceof LlmResponseError) {
+        console.error("generate-nodes validation error:", err.errors, err.raw);
+        return res.status(502).json(describeLlmResponseError(err));
+      }
+      if (err instanceof CassetteMissError) {
+        console.error("generate-nodes cassette miss:", err.key);
+        return res.status(500).json(describeCassetteMiss(err));
+      }
+      if (err instanceof UsageBudgetError) {
+        console.error("generate-nodes blocked:", err.message);
+        return res.status(429).json(describeUsageBudgetError(err));
+      }
+      console.error("generate-nodes error:", err.response?.data || err.message || err);
+      res.status(500).json({ error: "LLM request failed" });
+    }
+  });
+
+  return router;
+}
+
+export default createGraphOpsRouter;
@@ -0,0 +1,128 @@
+// llm-cache.js
+// In-memory response cache in front of a provider adapter. Entries are keyed
+// by a hash of everything that shapes the reply: provider, model, sampling
+// params and the full messages, which carry the system prompt (so editing a
+// prompt invalidates its entries) and the serialized nodes, edges and changes.
+//
+//   LLM_CACHE_TTL_MS       how long an entry is served (default 10 minutes)
+//   LLM_CACHE_MAX_ENTRIES  least recently used entries are evicted past this
+//                          (default 200); 0 or a TTL of 0 turns the cache off
+//
+// Callers pass `bypassCache: true` to force a fresh call (the result still
+// refreshes the entry). complete() results and the first stream chunk carry
+// `cache: "hit" | "miss" | "bypass"`.
+//
+// Only usable replies are stored: a request may pass `cacheable(content)`
+// (completeJson passes its schema check); without one, JSON requests store
+// content that parses. Anything else would be replayed until it expires.
+
+import crypto from "node:crypto";
+
+const readLimit = (value, fallback) => {
+  const parsed = Number.parseInt(value, 10);
+  return Number.isNaN(parsed) ? fallback : Math.max(0, parsed);
+};
+
+export function createResponseCache({
+  ttlMs = readLimit(process.env.LLM_CACHE_TTL_MS, 10 * 60 * 1000),
+  maxEntries = readLimit(process.env.LLM_CACHE_MAX_ENTRIES, 200),
+} = {}) {
+  const entries = new Map();
+  const enabled = ttlMs > 0 && maxEntries > 0;
+
+  return {
+    enabled,
+    get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      entries.delete(key);
+      if (entry.expiresAt <= Date.now()) return null;
+      entries.set(key, entry);
+      return entry.value;
+    },
+    set(key, value) {
+      if (!enabled) return;
+      entries.delete(key);
+      entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+    clear() {
+      entries.clear();
+    },
+    get size() {
+      return entries.size;
+    },
+  };
+}
+
+export const responseCacheKey = (
+  providerName,
+  { model, messages = [], responseFormat, temperature, maxTokens }
+) =>
+  crypto
+    .createHash("sha256")
+    .update(
+      JSON.stringify({
+        provider: providerName,
+        model: model ?? null,
+        responseFormat: responseFormat || "text",
+        temperature: temperature ?? null,
+        maxTokens: maxTokens ?? null,
+        messages: messages.map((message) => [message.role, message.content]),
+      })
+    )
+    .digest("hex");
+
+const isParsableJson = (content) => {
+  try {
+    JSON.parse(content);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+const shouldStore = (content, { responseFormat, cacheable }) => {
+  if (typeof content !== "string" || !content.length) return false;
+  if (cacheable) return cacheable(content);
+  return responseFormat !== "json" || isParsableJson(content);
+};
+
+export function withResponseCache(provider, cache) {
+  if (!cache?.enabled) return provider;
+
+  return {
+    name: provider.name,
+    async complete({ bypassCache = false, cacheable, ...request }) {
+      const key = responseCacheKey(provider.name, request);
+      const cached = bypassCache ? null : cache.get(key);
+      if (cached) return { content: cached, usage: null, cache: "hit" };
+
+      const response = await provider.complete(request);
+      if (shouldStore(response.content, { ...request, cacheable })) {
+        cache.set(key, response.content);
+      }
+      return { ...response, cache: bypassCache ? "bypass" : "miss" };
+    },
+    async *stream({ bypassCache = false, cacheable, ...request }) {
+      const key = responseCacheKey(provider.name, request);
+      const cached = bypassCache ? null : cache.get(key);
+      if (cached) {
+        yield { cache: "hit" };
+        yield { delta: cached };
+        return;
+      }
+
+      yield { cache: bypassCache ? "bypass" : "miss" };
+      const chunks = [];
+      for await (const chunk of provider.stream(request)) {
+        if (chunk.delta) chunks.push(chunk.delta);
+        yield chunk;
+      }
+      const content = chunks.join("");
+      if (shouldStore(content, { ...request, cacheable })) cache.set(key, content);
+    },
+  };
+}
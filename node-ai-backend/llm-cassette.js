@@ -0,0 +1,135 @@
+// llm-cassette.js
+// Record/replay layer around a provider adapter (see llm-providers.js), for
+// reproducing a generation or running the backend without network access.
+//
+//   LLM_CASSETTE_MODE=record  call the provider and save each response
+//   LLM_CASSETTE_MODE=replay  serve saved responses; unknown requests fail
+//   LLM_CASSETTE_DIR          where recordings live (default ./cassettes)
+//
+// Recordings are one JSON file per request, named by a hash of the normalized
+// messages and response format, so the same prompt replays regardless of which
+// provider or model recorded it. Replay never calls the wrapped provider.
+
+import crypto from "node:crypto";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const DEFAULT_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "cassettes");
+const CASSETTE_MODES = new Set(["record", "replay"]);
+const REPLAY_CHUNK_SIZE = 256;
+const PREVIEW_LENGTH = 120;
+
+export class CassetteMissError extends Error {
+  constructor(key, preview) {
+    super(
+      `No cassette recording for this LLM request (key ${key}, prompt "${preview}"). ` +
+        "Record it with LLM_CASSETTE_MODE=record."
+    );
+    this.name = "CassetteMissError";
+    this.key = key;
+  }
+}
+
+// Body for a route's error response when replay has no recording.
+export const describeCassetteMiss = (err) => ({
+  error: err.message,
+  cassetteKey: err.key,
+});
+
+export const resolveCassetteMode = () => {
+  const mode = String(process.env.LLM_CASSETTE_MODE || "").trim().toLowerCase();
+  return CASSETTE_MODES.has(mode) ? mode : null;
+};
+
+const normalizeText = (text) =>
+  String(text ?? "")
+    .replace(/\r\n/g, "\n")
+    .trim();
+
+const normalizeRequest = ({ messages = [], responseFormat }) => ({
+  responseFormat: responseFormat || "text",
+  messages: messages.map((message) => ({
+    role: message.role,
+    content: normalizeText(message.content),
+  })),
+});
+
+export const cassetteKey = (request) =>
+  crypto
+    .createHash("sha256")
+    .update(JSON.stringify(normalizeRequest(request)))
+    .digest("hex")
+    .slice(0, 32);
+
+const previewOf = ({ messages = [] }) => {
+  const lastUser = [...messages].reverse().find((message) => message.role === "user");
+  return normalizeText(lastUser?.content).replace(/\s+/g, " ").slice(0, PREVIEW_LENGTH);
+};
+
+export function wrapWithCassette(provider, { mode = resolveCassetteMode(), dir } = {}) {
+  if (!mode) return provider;
+  const root = path.resolve(dir || process.env.LLM_CASSETTE_DIR || DEFAULT_DIR);
+  const fileFor = (key) => path.join(root, `${key}.json`);
+
+  async function load(request) {
+    const key = cassetteKey(request);
+    try {
+      return JSON.parse(await fs.readFile(fileFor(key), "utf8"));
+    } catch (err) {
+      if (err.code === "ENOENT") throw new CassetteMissError(key, previewOf(request));
+      throw err;
+    }
+  }
+
+  async function save(request, response) {
+    const key = cassetteKey(request);
+    await fs.mkdir(root, { recursive: true });
+    const recording = {
+      key,
+      recordedAt: new Date().toISOString(),
+      provider: provider.name,
+      model: request.model ?? null,
+      request: normalizeRequest(request),
+      response,
+    };
+    await fs.writeFile(fileFor(key), `${JSON.stringify(recording, null, 2)}\n`, "utf8");
+  }
+
+  if (mode === "replay") {
+    return {
+      name: `${provider.name}:replay`,
+      async complete(request) {
+        const { response } = await load(request);
+        return { content: response.content, usage: response.usage ?? null };
+      },
+      async *stream(request) {
+        const { response } = await load(request);
+        const chunks = response.chunks?.length
+          ? response.chunks
+          : response.content.match(new RegExp(`[\\s\\S]{1,${REPLAY_CHUNK_SIZE}}`, "g")) || [];
+        for (const delta of chunks) yield { delta };
+        if (response.usage) yield { usage: response.usage };
+      },
+    };
+  }
+
+  return {
+    name: `${provider.name}:record`,
+    async complete(request) {
+      const response = await provider.complete(request);
+      await save(request, { content: response.content, usage: response.usage ?? null });
+      return response;
+    },
+    async *stream(request) {
+      const chunks = [];
+      let usage = null;
+      for await (const chunk of provider.stream(request)) {
+        if (chunk.delta) chunks.push(chunk.delta);
+        if (chunk.usage) usage = chunk.usage;
+        yield chunk;
+      }
+      await save(request, { content: chunks.join(""), chunks, usage });
+    },
+  };
+}
@@ -1,4 +1,11 @@
-import OpenAI from "openai";
+import { resolveCassetteMode, wrapWithCassette } from "./llm-cassette.js";
+import { createOfflineCodegenClient } from "./offline-codegen.js";
+import { createMockProvider, loadMockScript } from "./mock-provider.js";
+import {
+  createAnthropicProvider,
+  createOllamaProvider,
+  createOpenAiCompatibleProvider,
+} from "./llm-providers.js";
 
 const pickEnv = (...keys) => {
   for (const key of keys) {
@@ -9,24 +16,132 @@ const pickEnv = (...keys) => {
   return undefined;
 };
 
+// Provider name -> factory(options). Every factory returns an adapter with
+// complete({ messages, responseFormat, ... }) and stream(...); see
+// llm-providers.js for the contract.
+const providers = new Map();
+
+export function registerProvider(name, factory) {
+  providers.set(String(name).toLowerCase(), factory);
+}
+
+export const listProviders = () => Array.from(providers.keys());
+
+registerProvider("openai", (options) =>
+  createOpenAiCompatibleProvider({
+    name: "openai",
+    baseURL: options.baseURL || pickEnv("AI_BASE_URL", "OPENAI_BASE_URL"),
+    apiKey: options.apiKey || pickEnv("AI_API_KEY", "OPENAI_API_KEY"),
+  })
+);
+
+registerProvider("groq", (options) =>
+  createOpenAiCompatibleProvider({
+    name: "groq",
+    baseURL:
+      options.baseURL ||
+      pickEnv("GROQ_BASE_URL", "AI_BASE_URL") ||
+      "https://api.groq.com/openai/v1",
+    apiKey: options.apiKey || pickEnv("AI_API_KEY", "GROQ_API_KEY", "OPENAI_API_KEY"),
+  })
+);
+
+// Any other server that speaks the OpenAI chat API; the key is optional.
+registerProvider("openai-compatible", (options) =>
+  createOpenAiCompatibleProvider({
+    name: "openai-compatible",
+    baseURL: options.baseURL || pickEnv("AI_BASE_URL", "OPENAI_BASE_URL"),
+    apiKey: options.apiKey || pickEnv("AI_API_KEY"),
+    requireApiKey: false,
+    streamUsage: false,
+  })
+);
+
+// llama.cpp's llama-server exposes the OpenAI chat API under /v1.
+registerProvider("llamacpp", (options) =>
+  createOpenAiCompatibleProvider({
+    name: "llamacpp",
+    baseURL: options.baseURL || pickEnv("LLAMACPP_BASE_URL") || "http://localhost:8080/v1",
+    apiKey: options.apiKey || pickEnv("LLAMACPP_API_KEY"),
+    requireApiKey: false,
+  })
+);
+
+registerProvider("ollama", (options) =>
+  createOllamaProvider({
+    baseURL: options.baseURL || pickEnv("OLLAMA_BASE_URL"),
+  })
+);
+
+registerProvider("anthropic", (options) =>
+  createAnthropicProvider({
+    baseURL: options.baseURL || pickEnv("ANTHROPIC_BASE_URL"),
+    apiKey: options.apiKey || pickEnv("ANTHROPIC_API_KEY"),
+  })
+);
+
+// Rule-based codegen, no API key needed (see offline-codegen.js).
+registerProvider("offline", () => createOfflineCodegenClient());
+
+// Scripted replies from MOCK_LLM_SCRIPT (see mock-provider.js). Every route
+// shares one instance, so steps are consumed in call order across routes.
+let mockProvider = null;
+registerProvider("mock", () => {
+  mockProvider ??= createMockProvider(loadMockScript());
+  return mockProvider;
+});
+
 export function buildLlmClient(options = {}) {
   const provider = (options.provider || pickEnv("AI_PROVIDER") || "openai").toLowerCase();
-  const baseURL =
-    options.baseURL ||
-    pickEnv("AI_BASE_URL", "OPENAI_BASE_URL") ||
-    (provider === "groq" ? "https://api.groq.com/openai/v1" : undefined);
-  const apiKey =
-    options.apiKey ||
-    pickEnv("AI_API_KEY", provider === "groq" ? "GROQ_API_KEY" : undefined, "OPENAI_API_KEY");
-
-  if (!apiKey) {
-    throw new Error(`Missing API key for provider "${provider}".`);
+  const factory = providers.get(provider);
+  if (!factory) {
+    throw new Error(
+      `Unknown AI provider "${provider}". Known providers: ${listProviders().join(", ")}.`
+    );
   }
+  // Replay serves recordings only, so it needs no key or reachable server.
+  const cassetteMode = resolveCassetteMode();
+  if (cassetteMode === "replay") {
+    return wrapWithCassette({ name: provider }, { mode: cassetteMode });
+  }
+  return lazyAdapter(provider, () => wrapWithCassette(factory(options), { mode: cassetteMode }));
+}
+
+// Builds the adapter on its first call, so a provider with a missing key only
+// fails the routes that use it (as a 503) rather than the whole app's startup,
+// e.g. AI_CODEGEN_PROVIDER=offline without any API key configured.
+function lazyAdapter(name, build) {
+  let adapter = null;
+  const resolve = () => {
+    if (adapter) return adapter;
+    try {
+      adapter = build();
+    } catch (err) {
+      err.status ??= 503;
+      throw err;
+    }
+    return adapter;
+  };
 
-  return new OpenAI({
-    apiKey,
-    baseURL,
-  });
+  return {
+    name,
+    async complete(request) {
+      return resolve().complete(request);
+    },
+    async *stream(request) {
+      yield* resolve().stream(request);
+    },
+  };
+}
+
+// Routes name their provider with AI_<ROUTE>_PROVIDER (AI_CODEGEN_PROVIDER,
+// AI_COPILOT_PROVIDER, AI_NODES_PROVIDER), falling back to AI_PROVIDER.
+export function resolveRouteProvider(route, preferredProvider) {
+  return (
+    preferredProvider ||
+    pickEnv(`AI_${String(route).toUpperCase()}_PROVIDER`, "AI_PROVIDER") ||
+    "openai"
+  ).toLowerCase();
 }
 
 export function resolveAskModel(preferredModel) {
@@ -50,3 +165,11 @@ export function resolveCodegenModel(preferredModel) {
     "gpt-4.1-mini"
   );
 }
+
+export function resolveNodesModel(preferredModel) {
+  return (
+    preferredModel ||
+    pickEnv("AI_NODES_MODEL", "AI_MODEL", "OPENAI_MODEL") ||
+    "gpt-4.1-mini"
+  );
+}
@@ -0,0 +1,207 @@
+// llm-json.js
+// Strict JSON handling for model responses: a small JSON-schema validator
+// (type, properties, required, additionalProperties, items, enum, anyOf and
+// length/size bounds) and a repair loop that sends parse or validation errors
+// back to the model until the output conforms or the retry budget runs out.
+
+const parsedJsonRetries = Number.parseInt(process.env.LLM_JSON_RETRIES, 10);
+export const JSON_RETRY_LIMIT = Number.isNaN(parsedJsonRetries)
+  ? 2
+  : Math.max(0, parsedJsonRetries);
+
+const MAX_REPORTED_ERRORS = 20;
+
+// Thrown when a response never became valid JSON matching its schema.
+// `errors` lists { path, message } for the last attempt.
+export class LlmResponseError extends Error {
+  constructor(message, { errors = [], raw = null, attempts = 1 } = {}) {
+    super(message);
+    this.name = "LlmResponseError";
+    this.errors = errors;
+    this.raw = raw;
+    this.attempts = attempts;
+  }
+}
+
+const typeOf = (value) => {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+};
+
+const matchesType = (value, type) => {
+  const actual = typeOf(value);
+  return actual === type || (type === "number" && actual === "integer");
+};
+
+const joinPath = (path, key) =>
+  typeof key === "number" ? `${path}[${key}]` : path ? `${path}.${key}` : key;
+
+// Returns a list of { path, message }; empty when the value conforms.
+export function validateSchema(value, schema, path = "") {
+  const errors = [];
+  const at = path || "(root)";
+
+  if (schema.anyOf) {
+    const attempts = schema.anyOf.map((option) => validateSchema(value, option, path));
+    if (attempts.some((list) => !list.length)) return errors;
+    return attempts.reduce((best, list) => (list.length < best.length ? list : best));
+  }
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((type) => matchesType(value, type))) {
+      errors.push({ path: at, message: `must be ${types.join(" or ")}, got ${typeOf(value)}` });
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path: at, message: `must be one of ${schema.enum.map((item) => JSON.stringify(item)).join(", ")}` });
+  }
+
+  if (typeof value === "string") {
+    if (schema.minLength != null && value.length < schema.minLength) {
+      errors.push({ path: at, message: schema.minLength === 1 ? "must not be empty" : `must be at least ${schema.minLength} characters` });
+    }
+    if (schema.maxLength != null && value.length > schema.maxLength) {
+      errors.push({ path: at, message: `must be at most ${schema.maxLength} characters` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems != null && value.length < schema.minItems) {
+      errors.push({ path: at, message: `must have at least ${schema.minItems} item(s)` });
+    }
+    if (schema.maxItems != null && value.length > schema.maxItems) {
+      errors.push({ path: at, message: `must have at most ${schema.maxItems} item(s)` });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validateSchema(item, schema.items, joinPath(path, index)));
+      });
+    }
+  }
+
+  if (typeOf(value) === "object") {
+    const properties = schema.properties || {};
+    (schema.required || []).forEach((key) => {
+      if (!(key in value)) {
+        errors.push({ path: joinPath(path, key), message: "is required" });
+      }
+    });
+    Object.entries(value).forEach(([key, child]) => {
+      if (properties[key]) {
+        errors.push(...validateSchema(child, properties[key], joinPath(path, key)));
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: joinPath(path, key), message: "is not allowed" });
+      } else if (typeof schema.additionalProperties === "object") {
+        errors.push(...validateSchema(child, schema.additionalProperties, joinPath(path, key)));
+      }
+    });
+  }
+
+  return errors;
+}
+
+// Parses and validates one raw response: { parsed, errors }.
+export function checkJsonResponse(raw, schema) {
+  if (typeof raw !== "string" || !raw.trim().length) {
+    return { parsed: null, errors: [{ path: "(root)", message: "response was empty" }] };
+  }
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (parseErr) {
+    return { parsed: null, errors: [{ path: "(root)", message: `invalid JSON: ${parseErr.message}` }] };
+  }
+  return { parsed, errors: validateSchema(parsed, schema) };
+}
+
+// `cacheable` check for a response cache (see llm-cache.js): only replies
+// that already conform are worth serving again.
+export const conformsTo = (schema) => (raw) => !checkJsonResponse(raw, schema).errors.length;
+
+export const formatSchemaErrors = (errors = []) =>
+  errors
+    .slice(0, MAX_REPORTED_ERRORS)
+    .map((error) => `- ${error.path}: ${error.message}`)
+    .join("\n");
+
+// Starts from an existing raw response (e.g. a collected stream) and
+// re-prompts with the errors until it validates. Resolves with
+// { parsed, raw, attempts }; throws LlmResponseError when the budget runs out.
+export async function repairJsonResponse({
+  provider,
+  request,
+  messages,
+  raw,
+  schema,
+  schemaName = "response",
+  maxRetries = JSON_RETRY_LIMIT,
+  onRetry,
+}) {
+  let currentRaw = raw;
+  let { parsed, errors } = checkJsonResponse(currentRaw, schema);
+  const cacheable = conformsTo(schema);
+  let attempt = 0;
+
+  while (errors.length && attempt < maxRetries) {
+    attempt += 1;
+    onRetry?.({ attempt, errors });
+    const response = await provider.complete({
+      ...request,
+      cacheable,
+      messages: [
+        ...messages,
+        { role: "assistant", content: currentRaw ?? "" },
+        {
+          role: "user",
+          content:
+            `Your previous ${schemaName} did not match the required JSON format:\n` +
+            formatSchemaErrors(errors) +
+            "\n\nReturn the complete corrected JSON object only.",
+        },
+      ],
+    });
+    currentRaw = response?.content;
+    ({ parsed, errors } = checkJsonResponse(currentRaw, schema));
+  }
+
+  if (errors.length) {
+    throw new LlmResponseError(`The model's ${schemaName} failed validation.`, {
+      errors,
+      raw: currentRaw,
+      attempts: attempt + 1,
+    });
+  }
+  return { parsed, raw: currentRaw, attempts: attempt + 1 };
+}
+
+// One model call plus the repair loop. `request` holds the provider's
+// complete() params other than messages (model, responseFormat, timeout, ...).
+// Also resolves with the first call's `cache` status when a response cache
+// is in front of the provider (see llm-cache.js).
+export async function completeJson({ provider, request, messages, ...options }) {
+  const response = await provider.complete({
+    ...request,
+    cacheable: conformsTo(options.schema),
+    messages,
+  });
+  const result = await repairJsonResponse({
+    provider,
+    request,
+    messages,
+    raw: response?.content,
+    ...options,
+  });
+  return { ...result, cache: response?.cache };
+}
+
+// Body for a route's 502 when a response never validated.
+export const describeLlmResponseError = (err) => ({
+  error: err.message,
+  details: err.errors,
+  attempts: err.attempts,
+});
@@ -0,0 +1,235 @@
+// llm-providers.js
+// Adapters behind the provider registry in llm-client.js. Every adapter has
+// the same surface:
+//
+//   complete({ model, messages, responseFormat, temperature, maxTokens, timeout, signal })
+//     -> { content, usage }
+//   stream({ ...same }) -> async iterable of { delta } and, when the API reports
+//     it, a final { usage }
+//
+// `messages` are OpenAI-style { role, content } pairs, `responseFormat` is
+// "json" or "text", and `usage` is { promptTokens, completionTokens, totalTokens }
+// or null. Each adapter translates to its own wire format.
+
+import OpenAI from "openai";
+
+const JSON_ONLY_INSTRUCTION =
+  "Respond with a single valid JSON object and nothing else.";
+
+const toUsage = (promptTokens, completionTokens) =>
+  promptTokens == null && completionTokens == null
+    ? null
+    : {
+        promptTokens: promptTokens ?? 0,
+        completionTokens: completionTokens ?? 0,
+        totalTokens: (promptTokens ?? 0) + (completionTokens ?? 0),
+      };
+
+const withTimeout = (signal, timeout) => {
+  const signals = [signal, timeout ? AbortSignal.timeout(timeout) : null].filter(Boolean);
+  if (signals.length < 2) return signals[0];
+  return AbortSignal.any(signals);
+};
+
+// Error carrying the HTTP status, like the OpenAI SDK's APIError.
+async function httpError(provider, response) {
+  let detail = "";
+  try {
+    detail = (await response.text()).slice(0, 500);
+  } catch {
+    // body already consumed or unreadable
+  }
+  const error = new Error(
+    `${provider} request failed with ${response.status}${detail ? `: ${detail}` : ""}`
+  );
+  error.status = response.status;
+  return error;
+}
+
+async function postJson(provider, url, { headers = {}, body, timeout, signal }) {
+  const response = await fetch(url, {
+    method: "POST",
+    headers: { "content-type": "application/json", ...headers },
+    body: JSON.stringify(body),
+    signal: withTimeout(signal, timeout),
+  });
+  if (!response.ok) throw await httpError(provider, response);
+  return response;
+}
+
+async function* readLines(body) {
+  const decoder = new TextDecoder();
+  let buffer = "";
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    const lines = buffer.split("\n");
+    buffer = lines.pop() ?? "";
+    yield* lines;
+  }
+  buffer += decoder.decode();
+  if (buffer) yield buffer;
+}
+
+// OpenAI and anything that speaks its chat completions API (Groq, llama.cpp's
+// server, vLLM, LM Studio, ...), through the official SDK. `streamUsage` asks
+// for token counts at the end of a stream; turn it off for servers that
+// reject stream_options.
+export function createOpenAiCompatibleProvider({
+  name = "openai",
+  apiKey,
+  baseURL,
+  requireApiKey = true,
+  streamUsage = true,
+}) {
+  if (requireApiKey && !apiKey) {
+    throw new Error(`Missing API key for provider "${name}".`);
+  }
+  const sdk = new OpenAI({ apiKey: apiKey || "not-needed", baseURL });
+
+  const toParams = ({ model, messages, responseFormat, temperature, maxTokens }) => ({
+    model,
+    messages,
+    ...(responseFormat === "json" ? { response_format: { type: "json_object" } } : {}),
+    ...(temperature != null ? { temperature } : {}),
+    ...(maxTokens != null ? { max_tokens: maxTokens } : {}),
+  });
+
+  // The SDK rejects explicit undefined request options.
+  const toOptions = ({ timeout, signal }) => ({
+    ...(timeout != null ? { timeout } : {}),
+    ...(signal ? { signal } : {}),
+  });
+
+  return {
+    name,
+    async complete({ timeout, signal, ...params }) {
+      const response = await sdk.chat.completions.create(
+        toParams(params),
+        toOptions({ timeout, signal })
+      );
+      return {
+        content: response?.choices?.[0]?.message?.content ?? "",
+        usage: toUsage(response?.usage?.prompt_tokens, response?.usage?.completion_tokens),
+      };
+    },
+    async *stream({ timeout, signal, ...params }) {
+      const stream = await sdk.chat.completions.create(
+        {
+          ...toParams(params),
+          stream: true,
+          ...(streamUsage ? { stream_options: { include_usage: true } } : {}),
+        },
+        toOptions({ timeout, signal })
+      );
+      for await (const chunk of stream) {
+        const delta = chunk?.choices?.[0]?.delta?.content;
+        if (delta) yield { delta };
+        if (chunk?.usage) {
+          yield { usage: toUsage(chunk.usage.prompt_tokens, chunk.usage.completion_tokens) };
+        }
+      }
+    },
+  };
+}
+
+// Ollama's native /api/chat: "format": "json" for JSON mode, sampling options
+// under "options", NDJSON lines when streaming.
+export function createOllamaProvider({ name = "ollama", baseURL }) {
+  const url = `${(baseURL || "http://localhost:11434").replace(/\/+$/, "")}/api/chat`;
+
+  const toBody = ({ model, messages, responseFormat, temperature, maxTokens }, stream) => ({
+    model,
+    messages,
+    stream,
+    ...(responseFormat === "json" ? { format: "json" } : {}),
+    options: {
+      ...(temperature != null ? { temperature } : {}),
+      ...(maxTokens != null ? { num_predict: maxTokens } : {}),
+    },
+  });
+
+  return {
+    name,
+    async complete({ timeout, signal, ...params }) {
+      const response = await postJson(name, url, { body: toBody(params, false), timeout, signal });
+      const data = await response.json();
+      return {
+        content: data?.message?.content ?? "",
+        usage: toUsage(data?.prompt_eval_count, data?.eval_count),
+      };
+    },
+    async *stream({ timeout, signal, ...params }) {
+      const response = await postJson(name, url, { body: toBody(params, true), timeout, signal });
+      for await (const line of readLines(response.body)) {
+        if (!line.trim()) continue;
+        const data = JSON.parse(line);
+        if (data.error) throw new Error(`${name} stream error: ${data.error}`);
+        if (data.message?.content) yield { delta: data.message.content };
+        if (data.done) yield { usage: toUsage(data.prompt_eval_count, data.eval_count) };
+      }
+    },
+  };
+}
+
+// Anthropic's Messages API: system prompt as a top-level field, content
+// blocks in the reply, server-sent events when streaming. It has no JSON mode,
+// so JSON requests get an extra system instruction.
+export function createAnthropicProvider({ name = "anthropic", apiKey, baseURL, version = "2023-06-01" }) {
+  if (!apiKey) {
+    throw new Error(`Missing API key for provider "${name}".`);
+  }
+  const url = `${(baseURL || "https://api.anthropic.com").replace(/\/+$/, "")}/v1/messages`;
+  const headers = { "x-api-key": apiKey, "anthropic-version": version };
+
+  const toBody = ({ model, messages, responseFormat, temperature, maxTokens }, stream) => {
+    const system = messages
+      .filter((message) => message.role === "system")
+      .map((message) => message.content);
+    if (responseFormat === "json") system.push(JSON_ONLY_INSTRUCTION);
+    return {
+      model,
+      max_tokens: maxTokens ?? 4096,
+      stream,
+      ...(system.length ? { system: system.join("\n\n") } : {}),
+      ...(temperature != null ? { temperature } : {}),
+      messages: messages
+        .filter((message) => message.role !== "system")
+        .map((message) => ({ role: message.role, content: message.content })),
+    };
+  };
+
+  return {
+    name,
+    async complete({ timeout, signal, ...params }) {
+      const response = await postJson(name, url, { headers, body: toBody(params, false), timeout, signal });
+      const data = await response.json();
+      return {
+        content: (data?.content || [])
+          .filter((block) => block.type === "text")
+          .map((block) => block.text)
+          .join(""),
+        usage: toUsage(data?.usage?.input_tokens, data?.usage?.output_tokens),
+      };
+    },
+    async *stream({ timeout, signal, ...params }) {
+      const response = await postJson(name, url, { headers, body: toBody(params, true), timeout, signal });
+      let inputTokens;
+      let outputTokens;
+      for await (const line of readLines(response.body)) {
+        if (!line.startsWith("data:")) continue;
+        const event = JSON.parse(line.slice(5));
+        if (event.type === "content_block_delta" && event.delta?.type === "text_delta") {
+          yield { delta: event.delta.text };
+        } else if (event.type === "message_start") {
+          inputTokens = event.message?.usage?.input_tokens;
+        } else if (event.type === "message_delta") {
+          outputTokens = event.usage?.output_tokens;
+        } else if (event.type === "error") {
+          throw new Error(`${name} stream error: ${event.error?.message || "unknown"}`);
+        }
+      }
+      const usage = toUsage(inputTokens, outputTokens);
+      if (usage) yield { usage };
+    },
+  };
+}
@@ -0,0 +1,194 @@
+// llm-schemas.js
+// Declared shapes of every JSON response the backend asks a model for. The
+// routes validate against these (see llm-json.js) and re-prompt on mismatch.
+
+import { BUILTIN_NODE_TYPE_IDS } from "./node-types.js";
+
+const nonEmptyString = { type: "string", minLength: 1 };
+
+// { "files": [ { "path", "contents" } ] } from /api/generate-code(-stream).
+export const codegenResponseSchema = {
+  type: "object",
+  required: ["files"],
+  additionalProperties: false,
+  properties: {
+    files: {
+      type: "array",
+      minItems: 1,
+      items: {
+        type: "object",
+        required: ["path", "contents"],
+        additionalProperties: false,
+        properties: {
+          path: nonEmptyString,
+          contents: { type: "string" },
+        },
+      },
+    },
+  },
+};
+
+// { "tests": [ { "nodeId", "contents" } ] } from the codegen test pass.
+export const testResponseSchema = {
+  type: "object",
+  required: ["tests"],
+  additionalProperties: false,
+  properties: {
+    tests: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["nodeId", "contents"],
+        additionalProperties: false,
+        properties: {
+          nodeId: nonEmptyString,
+          contents: nonEmptyString,
+        },
+      },
+    },
+  },
+};
+
+const positionSchema = {
+  type: "object",
+  required: ["x", "y"],
+  additionalProperties: false,
+  properties: {
+    x: { type: "number" },
+    y: { type: "number" },
+  },
+};
+
+const graphOperationSchema = (op, required, properties) => ({
+  type: "object",
+  required: ["op", ...required],
+  additionalProperties: false,
+  properties: { op: { type: "string", enum: [op] }, ...properties },
+});
+
+// { "summary", "operations": [ { "op", ... } ] } from /api/generate-nodes.
+// Whether the operations apply to the current graph is checked separately
+// (see graph-ops.js). `nodeTypeIds` includes the project's custom types.
+export const graphOpsResponseSchemaFor = (nodeTypeIds = BUILTIN_NODE_TYPE_IDS) => ({
+  type: "object",
+  required: ["summary", "operations"],
+  additionalProperties: false,
+  properties: {
+    summary: { type: "string" },
+    operations: {
+      type: "array",
+      maxItems: 100,
+      items: {
+        anyOf: [
+          graphOperationSchema("addNode", ["id", "label"], {
+            id: nonEmptyString,
+            label: nonEmptyString,
+            notes: { type: "string" },
+            nodeType: { type: "string", enum: nodeTypeIds },
+            position: positionSchema,
+          }),
+          graphOperationSchema("updateNode", ["id"], {
+            id: nonEmptyString,
+            label: nonEmptyString,
+            notes: { type: "string" },
+          }),
+          graphOperationSchema("removeNode", ["id"], { id: nonEmptyString }),
+          graphOperationSchema("connect", ["source", "target"], {
+            source: nonEmptyString,
+            target: nonEmptyString,
+            label: { type: "string" },
+          }),
+          graphOperationSchema("disconnect", ["source", "target"], {
+            source: nonEmptyString,
+            target: nonEmptyString,
+          }),
+          graphOperationSchema("moveNode", ["id", "position"], {
+            id: nonEmptyString,
+            position: positionSchema,
+          }),
+          graphOperationSchema("setType", ["id", "nodeType"], {
+            id: nonEmptyString,
+            nodeType: { type: "string", enum: nodeTypeIds },
+          }),
+        ],
+      },
+    },
+  },
+});
+
+const copilotNodeSchema = (required, nodeTypeIds) => ({
+  type: "object",
+  required,
+  additionalProperties: false,
+  properties: {
+    id: nonEmptyString,
+    label: { type: "string" },
+    notes: { type: "string" },
+    nodeType: { type: "string", enum: nodeTypeIds },
+    type: { type: "string" },
+  },
+});
+
+const copilotConnectionSchema = {
+  type: "object",
+  required: ["source", "target"],
+  additionalProperties: false,
+  properties: {
+    source: nonEmptyString,
+    target: nonEmptyString,
+    reason: { type: "string" },
+  },
+};
+
+// Reply from /api/ask-ai, or the {"error": "..."} escape hatch its prompt
+// allows. `nodeTypeIds` includes the project's custom types.
+export const copilotResponseSchemaFor = (nodeTypeIds = BUILTIN_NODE_TYPE_IDS) => ({
+  anyOf: [
+    {
+      type: "object",
+      required: ["reply", "newNodes", "updatedNodes", "suggestedConnections"],
+      additionalProperties: false,
+      properties: {
+        reply: { type: "string" },
+        newNodes: {
+          type: "array",
+          items: copilotNodeSchema(["id", "label"], nodeTypeIds),
+        },
+        updatedNodes: {
+          type: "array",
+          items: copilotNodeSchema(["id"], nodeTypeIds),
+        },
+        suggestedConnections: {
+          type: "array",
+          items: copilotConnectionSchema,
+        },
+        // Optional so replies recorded before removals existed still validate.
+        removedNodes: {
+          type: "array",
+          items: {
+            type: "object",
+            required: ["id"],
+            additionalProperties: false,
+            properties: {
+              id: nonEmptyString,
+              reason: { type: "string" },
+            },
+          },
+        },
+        removedConnections: {
+          type: "array",
+          items: copilotConnectionSchema,
+        },
+        meta: { type: "object" },
+      },
+    },
+    {
+      type: "object",
+      required: ["error"],
+      additionalProperties: false,
+      properties: { error: nonEmptyString },
+    },
+  ],
+});
+
+export const copilotResponseSchema = copilotResponseSchemaFor();
@@ -0,0 +1,272 @@
+// llm-usage.js
+// Token accounting for every model call. Each call is appended to an NDJSON
+// log with its project, route, provider, model, token counts and latency, and
+// folded into in-memory totals served by GET /api/usage. When the provider
+// reports no usage (offline codegen, some local servers) tokens are estimated
+// from the text and the entry is flagged `estimated`. Failed and aborted calls
+// are logged too, with `status` "error" or "aborted" and the tokens that are
+// known: reported usage, or an estimate once a stream has produced output.
+//
+//   LLM_USAGE_LOG             log file (default ./usage/llm-usage.ndjson)
+//   LLM_PROJECT_TOKEN_BUDGET  total tokens a project may use; 0 = no limit
+//   LLM_PROJECT_BUDGETS       JSON object of per-project overrides,
+//                             e.g. {"demo": 50000}
+//
+// Calls are tagged by passing `usage: { projectId, route }` with the request.
+
+import express from "express";
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { estimateMessageTokens, estimateTokens } from "./codegen-context.js";
+
+const DEFAULT_LOG = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "usage",
+  "llm-usage.ndjson"
+);
+const UNASSIGNED_PROJECT = "(none)";
+const RECENT_CALL_LIMIT = 50;
+
+// Thrown before a call once the project has used up its token budget.
+export class UsageBudgetError extends Error {
+  constructor(projectId, used, budget) {
+    super(
+      `Project "${projectId}" has used ${used} of its ${budget} token budget; ` +
+        "further model calls are blocked."
+    );
+    this.name = "UsageBudgetError";
+    this.projectId = projectId;
+    this.used = used;
+    this.budget = budget;
+  }
+}
+
+// Body for a route's 429 when a project is over budget.
+export const describeUsageBudgetError = (err) => ({
+  error: err.message,
+  usage: { projectId: err.projectId, used: err.used, budget: err.budget },
+});
+
+const parseBudgets = () => {
+  const parsed = Number.parseInt(process.env.LLM_PROJECT_TOKEN_BUDGET, 10);
+  let overrides = {};
+  try {
+    overrides = JSON.parse(process.env.LLM_PROJECT_BUDGETS || "{}");
+  } catch (err) {
+    console.error("LLM_PROJECT_BUDGETS is not valid JSON:", err.message);
+  }
+  return {
+    defaultBudget: Number.isNaN(parsed) ? 0 : Math.max(0, parsed),
+    overrides: overrides && typeof overrides === "object" ? overrides : {},
+  };
+};
+
+const emptyTotals = () => ({
+  calls: 0,
+  promptTokens: 0,
+  completionTokens: 0,
+  totalTokens: 0,
+  latencyMs: 0,
+});
+
+const addToTotals = (totals, entry) => {
+  totals.calls += 1;
+  totals.promptTokens += entry.promptTokens;
+  totals.completionTokens += entry.completionTokens;
+  totals.totalTokens += entry.totalTokens;
+  totals.latencyMs += entry.latencyMs;
+};
+
+const bucket = (map, key) => {
+  if (!map.has(key)) map.set(key, emptyTotals());
+  return map.get(key);
+};
+
+export function createUsageLedger({ logFile, budgets = parseBudgets() } = {}) {
+  const file = path.resolve(logFile || process.env.LLM_USAGE_LOG || DEFAULT_LOG);
+  const totals = emptyTotals();
+  const byProject = new Map();
+  const byRoute = new Map();
+  const byModel = new Map();
+  const projectRoutes = new Map();
+  const recent = new Map();
+
+  const fold = (entry) => {
+    const projectId = entry.projectId || UNASSIGNED_PROJECT;
+    addToTotals(totals, entry);
+    addToTotals(bucket(byProject, projectId), entry);
+    addToTotals(bucket(byRoute, entry.route || "unknown"), entry);
+    addToTotals(bucket(byModel, entry.model || "unknown"), entry);
+    if (!projectRoutes.has(projectId)) projectRoutes.set(projectId, new Map());
+    addToTotals(bucket(projectRoutes.get(projectId), entry.route || "unknown"), entry);
+    const calls = recent.get(projectId) ?? [];
+    calls.push(entry);
+    if (calls.length > RECENT_CALL_LIMIT) calls.shift();
+    recent.set(projectId, calls);
+  };
+
+  // The log is replayed once at startup so totals and budgets survive restarts.
+  try {
+    fs.readFileSync(file, "utf8")
+      .split("\n")
+      .filter((line) => line.trim())
+      .forEach((line) => {
+        try {
+          fold(JSON.parse(line));
+        } catch {
+          // skip a torn line from an interrupted write
+        }
+      });
+  } catch (err) {
+    if (err.code !== "ENOENT") console.error("usage log load error:", err);
+  }
+
+  const budgetFor = (projectId) => {
+    const override = Number(budgets.overrides[projectId]);
+    return Number.isFinite(override) && override >= 0 ? override : budgets.defaultBudget;
+  };
+
+  const summarizeProject = (projectId) => {
+    const used = byProject.get(projectId) ?? emptyTotals();
+    const budget = budgetFor(projectId);
+    return {
+      ...used,
+      budget: budget || null,
+      remaining: budget ? Math.max(0, budget - used.totalTokens) : null,
+    };
+  };
+
+  return {
+    file,
+    assertWithinBudget(projectId) {
+      if (!projectId) return;
+      const budget = budgetFor(projectId);
+      const used = byProject.get(projectId)?.totalTokens ?? 0;
+      if (budget && used >= budget) {
+        throw new UsageBudgetError(projectId, used, budget);
+      }
+    },
+    record(entry) {
+      fold(entry);
+      fs.promises
+        .mkdir(path.dirname(file), { recursive: true })
+        .then(() => fs.promises.appendFile(file, `${JSON.stringify(entry)}\n`, "utf8"))
+        .catch((err) => console.error("usage log write error:", err));
+    },
+    summary() {
+      return {
+        totals: { ...totals },
+        byProject: Object.fromEntries(
+          Array.from(byProject.keys()).map((projectId) => [projectId, summarizeProject(projectId)])
+        ),
+        byRoute: Object.fromEntries(byRoute),
+        byModel: Object.fromEntries(byModel),
+      };
+    },
+    project(projectId) {
+      return {
+        projectId,
+        ...summarizeProject(projectId),
+        byRoute: Object.fromEntries(projectRoutes.get(projectId) ?? []),
+        recent: [...(recent.get(projectId) ?? [])].reverse(),
+      };
+    },
+  };
+}
+
+const MAX_ERROR_LENGTH = 200;
+
+const failureOf = (err, request) => ({
+  status: request.signal?.aborted || err?.name === "AbortError" ? "aborted" : "error",
+  error: String(err?.message || err).slice(0, MAX_ERROR_LENGTH),
+});
+
+// Wraps a provider adapter so every call is checked against the project's
+// budget and recorded in the ledger, whether it succeeds or not. The `usage`
+// tag is stripped before the request reaches the provider.
+export function withUsageTracking(provider, ledger) {
+  const entryFor = (
+    { projectId, route },
+    request,
+    { usage, content, cache, startedAt, status = "ok", error }
+  ) => {
+    // A failed call only counts tokens it is known to have used.
+    const unmeasured = cache === "hit" || (status !== "ok" && !content);
+    const measured = usage ?? {
+      promptTokens: unmeasured ? 0 : estimateMessageTokens(request.messages),
+      completionTokens: unmeasured ? 0 : estimateTokens(content),
+    };
+    return {
+      at: new Date().toISOString(),
+      projectId: projectId || null,
+      route: route || null,
+      provider: provider.name,
+      model: request.model ?? null,
+      promptTokens: measured.promptTokens,
+      completionTokens: measured.completionTokens,
+      totalTokens: measured.promptTokens + measured.completionTokens,
+      latencyMs: Date.now() - startedAt,
+      ...(usage || unmeasured ? {} : { estimated: true }),
+      ...(cache ? { cache } : {}),
+      status,
+      ...(error ? { error } : {}),
+    };
+  };
+
+  return {
+    name: provider.name,
+    async complete({ usage: tag = {}, ...request }) {
+      ledger.assertWithinBudget(tag.projectId);
+      const startedAt = Date.now();
+      let response;
+      try {
+        response = await provider.complete(request);
+      } catch (err) {
+        ledger.record(entryFor(tag, request, { startedAt, ...failureOf(err, request) }));
+        throw err;
+      }
+      ledger.record(entryFor(tag, request, { ...response, startedAt }));
+      return response;
+    },
+    async *stream({ usage: tag = {}, ...request }) {
+      ledger.assertWithinBudget(tag.projectId);
+      const startedAt = Date.now();
+      const chunks = [];
+      let usage = null;
+      let cache;
+      // Stays "aborted" when the caller stops reading before the end.
+      let outcome = { status: "aborted" };
+      try {
+        for await (const chunk of provider.stream(request)) {
+          if (chunk.delta) chunks.push(chunk.delta);
+          if (chunk.usage) usage = chunk.usage;
+          if (chunk.cache) cache = chunk.cache;
+          yield chunk;
+        }
+        outcome = { status: "ok" };
+      } catch (err) {
+        outcome = failureOf(err, request);
+        throw err;
+      } finally {
+        ledger.record(
+          entryFor(tag, request, { usage, content: chunks.join(""), cache, startedAt, ...outcome })
+        );
+      }
+    },
+  };
+}
+
+export function createUsageRouter({ ledger }) {
+  const router = express.Router();
+
+  router.get("/usage", (_req, res) => {
+    res.json(ledger.summary());
+  });
+
+  router.get("/usage/:projectId", (req, res) => {
+    res.json(ledger.project(req.params.projectId));
+  });
+
+  return router;
+}
@@ -0,0 +1,117 @@
+// mock-provider.js
+// Scripted provider adapter (same contract as llm-providers.js) for driving
+// the routes without a model: pass it to createApp({ provider }) in-process,
+// or run the server with AI_PROVIDER=mock and MOCK_LLM_SCRIPT=<file.json>.
+//
+// A script is a list of steps, one per call, or a function
+// (request, callIndex) => step. A step is one of:
+//   "text"                          reply with this content (malformed JSON
+//                                   is just a string that does not parse)
+//   { json: value }                 reply with JSON.stringify(value)
+//   { content, usage?, chunks? }    reply; `chunks` sets the stream deltas
+//   { error: { message, status?, code? } }
+//                                   throw, like an HTTP error from the API; a
+//                                   stream yields `content` (if any) first
+//   { timeout: true }               hang until the request's timeout (or
+//                                   `timeoutMs`) fires, then throw TimeoutError
+//   { delayMs, ...step }            wait before answering
+// Every call is recorded in `calls`; running past the end of a list throws.
+
+import fs from "node:fs";
+
+const STREAM_CHUNK_SIZE = 64;
+const DEFAULT_TIMEOUT_MS = 30000;
+
+// Resolves after `ms`, or never when `ms` is omitted; rejects with the
+// signal's reason once it aborts.
+const waitFor = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    signal?.throwIfAborted();
+    const timer =
+      ms != null
+        ? setTimeout(() => {
+            signal?.removeEventListener("abort", onAbort);
+            resolve();
+          }, ms)
+        : null;
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+
+const toError = ({ message = "Mock provider error", status, code } = {}) => {
+  const error = new Error(message);
+  if (status != null) error.status = status;
+  if (code != null) error.code = code;
+  return error;
+};
+
+const contentOf = (step) => {
+  if (typeof step === "string") return step;
+  if (step && "json" in step) return JSON.stringify(step.json);
+  return step?.content ?? "";
+};
+
+export function createMockProvider(script = [], { name = "mock" } = {}) {
+  const calls = [];
+
+  const nextStep = (method, request) => {
+    const index = calls.length;
+    calls.push({ method, request });
+    if (typeof script === "function") return script(request, index);
+    if (index >= script.length) {
+      throw new Error(`Mock provider script exhausted after ${script.length} call(s).`);
+    }
+    return script[index];
+  };
+
+  // Shared by complete() and stream(): delays, timeouts and the content.
+  const settle = async (step, { timeout, signal }) => {
+    if (step?.delayMs) await waitFor(step.delayMs, signal);
+    if (step?.timeout) {
+      const timeoutSignal = AbortSignal.timeout(step.timeoutMs ?? timeout ?? DEFAULT_TIMEOUT_MS);
+      await waitFor(undefined, signal ? AbortSignal.any([signal, timeoutSignal]) : timeoutSignal);
+    }
+    return contentOf(step);
+  };
+
+  return {
+    name,
+    calls,
+    get remaining() {
+      return typeof script === "function" ? Infinity : Math.max(0, script.length - calls.length);
+    },
+    async complete(request = {}) {
+      const step = nextStep("complete", request);
+      const content = await settle(step, request);
+      if (step?.error) throw toError(step.error);
+      return { content, usage: step?.usage ?? null };
+    },
+    async *stream(request = {}) {
+      const step = nextStep("stream", request);
+      const content = await settle(step, request);
+      const chunks =
+        step?.chunks ?? content.match(new RegExp(`[\\s\\S]{1,${STREAM_CHUNK_SIZE}}`, "g")) ?? [];
+      for (const delta of chunks) {
+        request.signal?.throwIfAborted();
+        yield { delta };
+      }
+      if (step?.error) throw toError(step.error);
+      if (step?.usage) yield { usage: step.usage };
+    },
+  };
+}
+
+// Reads a script for AI_PROVIDER=mock: a JSON array of steps.
+export function loadMockScript(file = process.env.MOCK_LLM_SCRIPT) {
+  if (!file) {
+    throw new Error('AI provider "mock" needs MOCK_LLM_SCRIPT pointing at a JSON list of steps.');
+  }
+  const script = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (!Array.isArray(script)) {
+    throw new Error(`MOCK_LLM_SCRIPT (${file}) must contain a JSON array of steps.`);
+  }
+  return script;
+}
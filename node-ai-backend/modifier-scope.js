@@ -0,0 +1,85 @@
+// modifier-scope.js
+// Enforces modifier scoping by diffing the generated files against the
+// previous sync instead of trusting the prompt. When a sync contains modifier
+// changes, only the blocks of changed nodes and of the modifiers' targets may
+// differ; anything else is reported here and reverted by the merge step.
+
+import { findNodeBlocks } from "./node-markers.js";
+
+export const MODIFIER_ROLE = "modifier";
+
+export const isModifierNode = (node) => node?.role === MODIFIER_ROLE;
+
+// Modifier ids touched by this sync, either directly or through one of their
+// outgoing edges being added/removed.
+export function collectChangedModifierIds(changes = [], modifierTargets = {}) {
+  const modifierIds = new Set();
+  for (const change of Array.isArray(changes) ? changes : []) {
+    if (change?.kind === "node" && change.changeType !== "removed") {
+      if (modifierTargets[change.nodeId]) modifierIds.add(change.nodeId);
+    } else if (change?.kind === "edge") {
+      const edge = change.currentEdge || change.previousEdge;
+      if (edge?.source && modifierTargets[edge.source]) modifierIds.add(edge.source);
+    }
+  }
+  return modifierIds;
+}
+
+const stripBlocks = (contents) => {
+  let result = contents;
+  findNodeBlocks(contents)
+    .reverse()
+    .forEach((block) => {
+      result = result.slice(0, block.start) + result.slice(block.end);
+    });
+  return result;
+};
+
+export function findScopeViolations({
+  previousFiles = [],
+  nextFiles = [],
+  editableNodeIds,
+  modifierIds,
+}) {
+  const violations = [];
+  if (!modifierIds?.size || !previousFiles.length) return violations;
+
+  const modifiers = Array.from(modifierIds);
+  const report = (nodeId, path, message) =>
+    violations.push({ type: "modifier-scope", nodeId, path, modifiers, message });
+  const previousByPath = new Map(previousFiles.map((file) => [file.path, file]));
+
+  for (const next of nextFiles) {
+    const nextContents = next?.contents ?? "";
+    const previous = previousByPath.get(next?.path);
+    const nextBlocks = findNodeBlocks(nextContents);
+
+    if (!previous) {
+      if (!nextBlocks.some((block) => editableNodeIds.has(block.nodeId))) {
+        report(null, next?.path, `New file "${next?.path}" is outside the modifier's targets.`);
+      }
+      continue;
+    }
+
+    const previousContents = previous.contents ?? "";
+    const previousBlocks = new Map(
+      findNodeBlocks(previousContents).map((block) => [block.nodeId, block])
+    );
+
+    for (const block of nextBlocks) {
+      if (editableNodeIds.has(block.nodeId)) continue;
+      const before = previousBlocks.get(block.nodeId);
+      if (!before) {
+        report(block.nodeId, next.path, `Added a block for "${block.nodeId}", which is not a modifier target.`);
+      } else if (before.text.trimEnd() !== block.text.trimEnd()) {
+        report(block.nodeId, next.path, `Changed the block for "${block.nodeId}", which is not a modifier target.`);
+      }
+    }
+
+    if (stripBlocks(previousContents).trim() !== stripBlocks(nextContents).trim()) {
+      report(null, next.path, `Changed code outside NODE blocks in "${next.path}".`);
+    }
+  }
+
+  return violations;
+}
@@ -0,0 +1,131 @@
+// node-markers.js
+// Helpers for the <NODE:{id}:START> / <NODE:{id}:END> markers that map
+// generated code regions back to graph nodes.
+
+const MARKER_PATTERN = /<NODE:([^:>\s]+):(START|END)>/g;
+
+// Lists every marker in a file, expanded to the full line it sits on so that
+// the surrounding comment syntax (// , #, <!-- -->) travels with the block.
+export function scanMarkers(contents) {
+  const markers = [];
+  if (typeof contents !== "string") return markers;
+
+  for (const match of contents.matchAll(MARKER_PATTERN)) {
+    const lineStart = contents.lastIndexOf("\n", match.index - 1) + 1;
+    const newline = contents.indexOf("\n", match.index);
+    const lineEnd = newline === -1 ? contents.length : newline + 1;
+    markers.push({
+      nodeId: match[1],
+      kind: match[2],
+      lineStart,
+      lineEnd,
+    });
+  }
+
+  return markers;
+}
+
+// Pairs each START with the next END for the same node id. Unpaired markers
+// are ignored here; callers that care about them should validate first.
+export function findNodeBlocks(contents) {
+  const blocks = [];
+  const open = new Map();
+
+  for (const marker of scanMarkers(contents)) {
+    if (marker.kind === "START") {
+      if (!open.has(marker.nodeId)) open.set(marker.nodeId, marker);
+      continue;
+    }
+    const start = open.get(marker.nodeId);
+    if (!start) continue;
+    open.delete(marker.nodeId);
+    blocks.push({
+      nodeId: marker.nodeId,
+      start: start.lineStart,
+      end: marker.lineEnd,
+      text: contents.slice(start.lineStart, marker.lineEnd),
+    });
+  }
+
+  return blocks.sort((a, b) => a.start - b.start);
+}
+
+// Checks generated files against the graph: every node that emits code (not
+// descriptive, not a modifier) must own exactly one START/END pair, blocks may
+// not nest or be left open, and markers may only reference node ids that
+// exist. With `requiredIds`, only those nodes must have a block (e.g. a partial
+// reply that the server merges into the previous files); blocks that are there
+// are still checked.
+export function validateMarkers(files = [], nodes = [], { requiredIds } = {}) {
+  const violations = [];
+  const knownIds = new Set(nodes.map((node) => node?.id).filter(Boolean));
+  const pairCounts = new Map();
+  const reportedUnknown = new Set();
+
+  const report = (type, nodeId, path, message) =>
+    violations.push({ type, nodeId, path, message });
+
+  for (const file of Array.isArray(files) ? files : []) {
+    const path = file?.path ?? "";
+    const stack = [];
+
+    for (const marker of scanMarkers(file?.contents)) {
+      const { nodeId, kind } = marker;
+
+      if (!knownIds.has(nodeId) && !reportedUnknown.has(nodeId)) {
+        reportedUnknown.add(nodeId);
+        report("unknown", nodeId, path, `Marker references unknown node id "${nodeId}".`);
+      }
+
+      if (kind === "START") {
+        if (stack.length) {
+          report(
+            "nested",
+            nodeId,
+            path,
+            `Block for "${nodeId}" starts inside the block for "${stack[stack.length - 1]}".`
+          );
+        }
+        stack.push(nodeId);
+        continue;
+      }
+
+      const openIndex = stack.lastIndexOf(nodeId);
+      if (openIndex === -1) {
+        report("unbalanced", nodeId, path, `END marker for "${nodeId}" has no matching START.`);
+        continue;
+      }
+      stack.splice(openIndex + 1).forEach((unclosedId) => {
+        report("unbalanced", unclosedId, path, `START marker for "${unclosedId}" is never closed.`);
+      });
+      stack.pop();
+      pairCounts.set(nodeId, (pairCounts.get(nodeId) || 0) + 1);
+    }
+
+    stack.forEach((unclosedId) => {
+      report("unbalanced", unclosedId, path, `START marker for "${unclosedId}" is never closed.`);
+    });
+  }
+
+  for (const node of nodes) {
+    if (!node?.id || node.isDescriptive || node.role === "modifier") continue;
+    const count = pairCounts.get(node.id) || 0;
+    if (count === 0) {
+      if (requiredIds && !requiredIds.has(node.id)) continue;
+      report("missing", node.id, null, `No marker block was generated for node "${node.id}".`);
+    } else if (count > 1) {
+      report("duplicated", node.id, null, `Node "${node.id}" has ${count} marker blocks; expected exactly one.`);
+    }
+  }
+
+  return violations;
+}
+
+export function formatViolations(violations = []) {
+  return violations
+    .map((violation) => {
+      const location = violation.path ? ` (${violation.path})` : "";
+      return `- [${violation.type}] ${violation.message}${location}`;
+    })
+    .join("\n");
+}
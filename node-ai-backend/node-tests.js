@@ -0,0 +1,133 @@
+// node-tests.js
+// Optional test pass for codegen. Condition and output nodes describe checkable
+// behavior, so after a sync the model writes one test file per such node
+// (tests/<nodeId>.test.js) and every node's tests are run in the sandbox.
+// Results are reported per node id so the editor can mark passes and failures.
+
+import path from "node:path";
+import { runInSandbox } from "./sandbox.js";
+import { codegenRoleOf } from "./node-types.js";
+
+export const TESTABLE_NODE_TYPES = new Set(["condition", "output"]);
+const TESTS_DIR = "tests";
+const RUNNABLE_LANGUAGES = new Set(["javascript"]);
+
+export const testPathForNode = (nodeId) =>
+  `${TESTS_DIR}/${String(nodeId).replace(/[^A-Za-z0-9_-]/g, "_")}.test.js`;
+
+export const isTestFile = (filePath) =>
+  typeof filePath === "string" &&
+  filePath.startsWith(`${TESTS_DIR}/`) &&
+  filePath.endsWith(".test.js");
+
+export const isTestableNode = (node) =>
+  Boolean(node?.id) &&
+  !node.isDescriptive &&
+  node.role !== "modifier" &&
+  TESTABLE_NODE_TYPES.has(codegenRoleOf(node));
+
+export const canRunTests = (profile) => RUNNABLE_LANGUAGES.has(profile?.language);
+
+export const testSystemPrompt = `
+You write tests for code that was generated from a node graph.
+
+OUTPUT FORMAT (MANDATORY)
+- Respond with a single valid JSON object and nothing else:
+  { "tests": [ { "nodeId": "string", "contents": "string" } ] }
+- One entry per node in "nodes". "contents" is a complete JavaScript test file.
+
+RUNNER
+- Each test file is saved at the node's "testPath" and run on its own, with the
+  generated "files" next to it. Import the code under test with a relative path
+  from there (for example "../src/generated-logic.js").
+- Use ESM imports when profile.moduleStyle is "esm" and require() when it is
+  "commonjs".
+- The runner provides two globals: test(name, fn), where fn may be async, and
+  assert(value, message) with assert.equal, assert.notEqual, assert.deepEqual
+  and assert.throws. Do not import a test framework or any package.
+- There is no network, filesystem, timers or process object.
+
+CONTENT
+- Check the behavior the node's label and notes describe. For a condition like
+  "If player health < 50", assert the outcome for a value below and above 50.
+- Only call functions the files actually export for that node (find them inside
+  the node's <NODE:id:START>/<NODE:id:END> block).
+- Keep each file small: one to four test cases.
+`;
+
+export function buildTestMessages({ nodes, files, profile }) {
+  return [
+    { role: "system", content: testSystemPrompt },
+    {
+      role: "user",
+      content: JSON.stringify({
+        task: "tests",
+        profile,
+        nodes: nodes.map((node) => ({
+          id: node.id,
+          label: node.data?.label ?? "",
+          notes: node.data?.notes ?? "",
+          nodeType: node.nodeType,
+          ...(node.codegenRole ? { codegenRole: node.codegenRole } : {}),
+          testPath: testPathForNode(node.id),
+        })),
+        files: files.filter((file) => !isTestFile(file.path)),
+      }),
+    },
+  ];
+}
+
+// Keeps only entries for the requested nodes and assigns their paths.
+export function parseTestResponse(parsed, nodes) {
+  const wanted = new Set(nodes.map((node) => node.id));
+  const entries = Array.isArray(parsed?.tests) ? parsed.tests : [];
+  return entries
+    .filter(
+      (entry) =>
+        wanted.has(entry?.nodeId) &&
+        typeof entry.contents === "string" &&
+        entry.contents.trim().length
+    )
+    .map((entry) => ({
+      path: testPathForNode(entry.nodeId),
+      contents: entry.contents,
+    }));
+}
+
+// Runs the test file of every testable node, one sandbox per file. Nodes
+// without a test file are reported as "missing".
+export async function runNodeTests({ files = [], nodes = [] }) {
+  const filesByPath = new Map(files.map((file) => [file.path, file]));
+  const codeFiles = files.filter((file) => !isTestFile(file.path));
+  const results = [];
+
+  for (const node of nodes.filter(isTestableNode)) {
+    const testPath = testPathForNode(node.id);
+    const testFile = filesByPath.get(testPath);
+    if (!testFile) {
+      results.push({ nodeId: node.id, path: testPath, status: "missing", cases: [], error: null });
+      continue;
+    }
+
+    const run = await runInSandbox({
+      files: [...codeFiles, testFile],
+      entry: testPath,
+      mode: "test",
+    });
+    const cases = run.tests || [];
+    const error = run.error ? `${run.error.name}: ${run.error.message}` : null;
+    let status = "passed";
+    if (error) status = "error";
+    else if (!cases.length) status = "missing";
+    else if (cases.some((item) => !item.ok)) status = "failed";
+    results.push({ nodeId: node.id, path: testPath, status, cases, error });
+  }
+
+  return results;
+}
+
+// Relative import specifier from a test file to a generated file.
+export const importPathFromTest = (targetPath) => {
+  const relative = path.posix.relative(TESTS_DIR, targetPath);
+  return relative.startsWith(".") ? relative : `./${relative}`;
+};
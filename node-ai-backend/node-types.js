@@ -0,0 +1,91 @@
+// node-types.js
+// The built-in node types plus the custom types a project defines in the
+// editor, which arrive with each request as "nodeTypes". A custom type names
+// a built-in "codegenRole" that decides how its nodes are generated and
+// tested: a "requirement" type might behave as descriptive, an "api-call"
+// type as logic. Unknown types still fall back to logic.
+
+export const DEFAULT_NODE_TYPE = "logic";
+
+export const BUILTIN_NODE_TYPES = [
+  { id: "logic", label: "Logic", description: "Executable logic: functions, sequences, API calls." },
+  { id: "descriptive", label: "Descriptive", description: "Notes and requirements; context only, no code of its own." },
+  { id: "event", label: "Event", description: "A trigger the system hooks into, generated as a listener or callback." },
+  { id: "condition", label: "Condition", description: "A branch in program flow: if/else, switch, guards." },
+  { id: "data", label: "Data", description: "Data structures, types or variables the system relies on." },
+  { id: "output", label: "Output", description: "What the system returns or outputs at the end of a chain." },
+];
+
+export const BUILTIN_NODE_TYPE_IDS = BUILTIN_NODE_TYPES.map((type) => type.id);
+
+const BUILTIN_IDS = new Set(BUILTIN_NODE_TYPE_IDS);
+const LEGACY_NODE_TYPES = {
+  note: "logic",
+  default: "logic",
+  input: "data",
+  output: "output",
+  modifier: "logic",
+};
+const CUSTOM_TYPE_ID_PATTERN = /^[a-z][a-z0-9-]{0,39}$/;
+const HEX_COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+const MAX_CUSTOM_TYPES = 32;
+
+const cleanText = (value, maxLength) =>
+  typeof value === "string" ? value.trim().slice(0, maxLength) : "";
+
+// Drops malformed entries, duplicates and ids that clash with built-in or
+// legacy type names.
+export function normalizeCustomNodeTypes(raw) {
+  if (!Array.isArray(raw)) return [];
+  const seen = new Set();
+  const types = [];
+  for (const item of raw) {
+    const id = cleanText(item?.id, 40).toLowerCase();
+    if (!CUSTOM_TYPE_ID_PATTERN.test(id) || BUILTIN_IDS.has(id) || LEGACY_NODE_TYPES[id] || seen.has(id)) {
+      continue;
+    }
+    seen.add(id);
+    const codegenRole = cleanText(item.codegenRole, 20).toLowerCase();
+    types.push({
+      id,
+      label: cleanText(item.label, 40) || id,
+      description: cleanText(item.description, 500),
+      defaultNotesPlaceholder: cleanText(item.defaultNotesPlaceholder, 200),
+      accent: HEX_COLOR_PATTERN.test(item.accent) ? item.accent : "#94a3b8",
+      codegenRole: BUILTIN_IDS.has(codegenRole) ? codegenRole : DEFAULT_NODE_TYPE,
+    });
+    if (types.length >= MAX_CUSTOM_TYPES) break;
+  }
+  return types;
+}
+
+// Built-in type a node is generated as.
+export const codegenRoleOf = (node) => node?.codegenRole || node?.nodeType || DEFAULT_NODE_TYPE;
+
+export function createNodeTypeRegistry(customTypes = []) {
+  const custom = normalizeCustomNodeTypes(customTypes);
+  const customById = new Map(custom.map((type) => [type.id, type]));
+
+  return {
+    custom,
+    ids: [...BUILTIN_NODE_TYPE_IDS, ...custom.map((type) => type.id)],
+    coerce(value) {
+      const normalized = typeof value === "string" ? value.trim().toLowerCase() : "";
+      if (BUILTIN_IDS.has(normalized) || customById.has(normalized)) return normalized;
+      if (normalized && LEGACY_NODE_TYPES[normalized]) return LEGACY_NODE_TYPES[normalized];
+      return DEFAULT_NODE_TYPE;
+    },
+    codegenRoleOf(nodeType) {
+      return customById.get(nodeType)?.codegenRole ?? nodeType;
+    },
+    // What the prompts need to know about each custom type.
+    describeCustomTypes() {
+      return custom.map(({ id, label, description, codegenRole }) => ({
+        id,
+        label,
+        ...(description ? { description } : {}),
+        codegenRole,
+      }));
+    },
+  };
+}
@@ -0,0 +1,363 @@
+// offline-codegen.js
+// Deterministic, rule-based code generator used when no LLM is available.
+// Walks the graph and emits one NODE marker block per node, mirroring the
+// shape of the editor's nodeImplementations.js. Output is always JavaScript;
+// the profile's module style decides how functions are exported.
+// Like the model, it keeps everything that depends on the graph inside the
+// blocks (exports, run() entry points, spec notes): the merge only replaces
+// the blocks of changed nodes and keeps the rest of an existing file as is.
+
+import { formatMarker, normalizeCodegenProfile } from "./codegen-profile.js";
+import { findNodeBlocks } from "./node-markers.js";
+import { importPathFromTest } from "./node-tests.js";
+import { codegenRoleOf } from "./node-types.js";
+
+const ENTRY_PATH = "src/generated-logic.js";
+const SPEC_PATH = "generated/nodeSpecs.md";
+const STREAM_CHUNK_SIZE = 256;
+const RESERVED_WORDS = new Set([
+  "break", "case", "catch", "class", "const", "continue", "debugger", "default",
+  "delete", "do", "else", "emit", "enum", "export", "extends", "false", "finally",
+  "for", "function", "if", "import", "in", "instanceof", "let", "new", "null", "on",
+  "return", "run", "super", "switch", "this", "throw", "true", "try", "typeof",
+  "var", "void", "while", "with", "yield",
+]);
+
+const toCamelCase = (text) => {
+  const words = String(text || "")
+    .replace(/[^A-Za-z0-9]+/g, " ")
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean);
+  return words
+    .map((word, index) => {
+      const lower = word.toLowerCase();
+      return index === 0 ? lower : lower[0].toUpperCase() + lower.slice(1);
+    })
+    .join("");
+};
+
+const toKebabCase = (text) =>
+  String(text || "")
+    .replace(/[^A-Za-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .toLowerCase();
+
+const commentLines = (text, indent = "") =>
+  String(text || "")
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .map((line) => `${indent}// ${line}`);
+
+const nodeLabel = (node) => {
+  const label = node?.data?.label;
+  return typeof label === "string" && label.trim().length ? label.trim() : node.id;
+};
+
+function assignIdentifiers(nodes) {
+  const used = new Set();
+  const names = new Map();
+  for (const node of nodes) {
+    let base = toCamelCase(nodeLabel(node)) || toCamelCase(node.id) || "node";
+    if (/^[0-9]/.test(base)) base = `node${base[0].toUpperCase()}${base.slice(1)}`;
+    if (RESERVED_WORDS.has(base)) base = `${base}Node`;
+    let candidate = base;
+    let suffix = 2;
+    while (used.has(candidate)) {
+      candidate = `${base}${suffix}`;
+      suffix += 1;
+    }
+    used.add(candidate);
+    names.set(node.id, candidate);
+  }
+  return names;
+}
+
+function renderBlock(node, lines, modifiers = [], language = "javascript") {
+  return [
+    formatMarker(node.id, "START", language),
+    ...modifiers.flatMap((modifier) => [
+      `// Modifier: ${nodeLabel(modifier)}`,
+      ...commentLines(modifier.data?.notes),
+    ]),
+    ...lines,
+    formatMarker(node.id, "END", language),
+  ].join("\n");
+}
+
+export function generateOfflineFiles({ nodes = [], edges = [], profile } = {}) {
+  const { moduleStyle } = normalizeCodegenProfile(profile);
+  const exportKeyword = moduleStyle === "esm" ? "export " : "";
+  const exportLines = (name) =>
+    moduleStyle === "commonjs" ? [`module.exports.${name} = ${name};`] : [];
+  const isModifier = (node) => node?.role === "modifier";
+  const codeNodes = nodes.filter(
+    (node) => node?.id && !node.isDescriptive && !isModifier(node)
+  );
+  const descriptiveNodes = nodes.filter((node) => node?.id && node.isDescriptive);
+  const nodeById = new Map(codeNodes.map((node) => [node.id, node]));
+  const names = assignIdentifiers(codeNodes);
+
+  // Modifiers only annotate the blocks of the nodes they point at.
+  const modifiersByTarget = new Map();
+  for (const modifier of nodes.filter(isModifier)) {
+    for (const edge of edges) {
+      if (edge?.source !== modifier.id || !nodeById.has(edge.target)) continue;
+      modifiersByTarget.set(edge.target, [
+        ...(modifiersByTarget.get(edge.target) || []),
+        modifier,
+      ]);
+    }
+  }
+
+  const outgoing = new Map();
+  const incoming = new Map();
+  const reasons = new Map();
+  for (const edge of edges) {
+    if (!nodeById.has(edge?.source) || !nodeById.has(edge?.target)) continue;
+    outgoing.set(edge.source, [...(outgoing.get(edge.source) || []), edge.target]);
+    incoming.set(edge.target, [...(incoming.get(edge.target) || []), edge.source]);
+    const reason = typeof edge.data?.reason === "string" ? edge.data.reason.replace(/\s+/g, " ").trim() : "";
+    if (reason) {
+      reasons.set(edge.source, [...(reasons.get(edge.source) || []), { target: edge.target, reason }]);
+    }
+  }
+
+  const isCallable = (id) => codegenRoleOf(nodeById.get(id)) !== "data";
+  const callTargets = (id) => (outgoing.get(id) || []).filter(isCallable);
+  const dataInputs = (id) =>
+    (incoming.get(id) || []).filter((sourceId) => !isCallable(sourceId));
+
+  // Nodes run() calls directly: callable, not an event, and not called by
+  // another node.
+  const isEntryPoint = (node) =>
+    isCallable(node.id) &&
+    codegenRoleOf(node) !== "event" &&
+    !(incoming.get(node.id) || []).some(isCallable);
+  const entryLines = (node) =>
+    isEntryPoint(node) ? [`entryPoints.push(${names.get(node.id)});`] : [];
+
+  const renderCalls = (targets, indent) => {
+    if (!targets.length) return [`${indent}return input;`];
+    const calls = targets.map((targetId) => `${names.get(targetId)}(input)`);
+    if (calls.length === 1) return [`${indent}return ${calls[0]};`];
+    return [
+      ...calls.slice(0, -1).map((call) => `${indent}${call};`),
+      `${indent}return ${calls[calls.length - 1]};`,
+    ];
+  };
+
+  const renderNode = (node) => {
+    const modifiers = modifiersByTarget.get(node.id) || [];
+    const name = names.get(node.id);
+    const label = nodeLabel(node);
+    const notes = commentLines(node.data?.notes, "  ");
+    const uses = dataInputs(node.id).map((id) => names.get(id));
+    const usesLine = [
+      ...(uses.length ? [`  // Uses: ${uses.join(", ")}`] : []),
+      ...(reasons.get(node.id) || []).map(({ target, reason }) => `  // → ${names.get(target)}: ${reason}`),
+    ];
+
+    switch (codegenRoleOf(node)) {
+      case "data":
+        return renderBlock(node, [
+          `// Data: ${label}`,
+          ...commentLines(node.data?.notes),
+          `${exportKeyword}const ${name} = {};`,
+          ...exportLines(name),
+        ], modifiers);
+      case "event": {
+        const eventName = toKebabCase(label) || node.id;
+        return renderBlock(node, [
+          `// Event: ${label}`,
+          ...commentLines(node.data?.notes),
+          `${exportKeyword}function ${name}(input) {`,
+          ...usesLine,
+          ...renderCalls(callTargets(node.id), "  "),
+          "}",
+          ...exportLines(name),
+          `on(${JSON.stringify(eventName)}, ${name});`,
+        ], modifiers);
+      }
+      case "condition": {
+        const [thenId, ...elseIds] = callTargets(node.id);
+        const lines = [
+          `// Condition: ${label}`,
+          `${exportKeyword}function ${name}(input) {`,
+          ...notes,
+          ...usesLine,
+          "  const matches = Boolean(input);",
+        ];
+        if (!thenId) {
+          lines.push("  return matches;");
+        } else {
+          lines.push("  if (matches) {", `    return ${names.get(thenId)}(input);`);
+          if (elseIds.length) {
+            lines.push("  } else {", ...renderCalls(elseIds, "    "), "  }");
+          } else {
+            lines.push("  }", "  return undefined;");
+          }
+        }
+        lines.push("}", ...exportLines(name), ...entryLines(node));
+        return renderBlock(node, lines, modifiers);
+      }
+      case "output":
+        return renderBlock(node, [
+          `// Output: ${label}`,
+          `${exportKeyword}function ${name}(input) {`,
+          ...notes,
+          ...usesLine,
+          "  return input;",
+          "}",
+          ...exportLines(name),
+          ...entryLines(node),
+        ], modifiers);
+      default:
+        return renderBlock(node, [
+          `// Logic: ${label}`,
+          `${exportKeyword}function ${name}(input) {`,
+          ...notes,
+          ...usesLine,
+          ...renderCalls(callTargets(node.id), "  "),
+          "}",
+          ...exportLines(name),
+          ...entryLines(node),
+        ], modifiers);
+    }
+  };
+
+  const ordered = [
+    ...codeNodes.filter((node) => codegenRoleOf(node) === "data"),
+    ...codeNodes.filter((node) => !["data", "event"].includes(codegenRoleOf(node))),
+    ...codeNodes.filter((node) => codegenRoleOf(node) === "event"),
+  ];
+
+  const logic = [
+    "// Generated offline from the node graph. Sync again after editing nodes.",
+    "const listeners = new Map();",
+    "const entryPoints = [];",
+    "",
+    `${exportKeyword}function on(eventName, handler) {`,
+    "  listeners.set(eventName, [...(listeners.get(eventName) || []), handler]);",
+    "}",
+    "",
+    `${exportKeyword}function emit(eventName, payload) {`,
+    "  return (listeners.get(eventName) || []).map((handler) => handler(payload));",
+    "}",
+    "",
+    `${exportKeyword}function run(input) {`,
+    "  const results = Array.from(listeners.keys()).flatMap((eventName) => emit(eventName, input));",
+    "  entryPoints.forEach((entryPoint) => results.push(entryPoint(input)));",
+    "  return results;",
+    "}",
+    "",
+    ...(moduleStyle === "commonjs" ? ["module.exports = { on, emit, run };", ""] : []),
+    ...ordered.flatMap((node) => [renderNode(node), ""]),
+  ].join("\n");
+
+  const spec = [
+    "# Node specs",
+    "Generated offline (no LLM). Each code node has a NODE block in " +
+      `\`${ENTRY_PATH}\`; notes from descriptive nodes follow.`,
+    "",
+    ...descriptiveNodes.flatMap((node) => [
+      renderBlock(node, [`### ${nodeLabel(node)}`, node.data?.notes || ""], [], "markdown"),
+      "",
+    ]),
+  ].join("\n");
+
+  return {
+    files: [
+      { path: SPEC_PATH, contents: spec },
+      { path: ENTRY_PATH, contents: logic },
+    ],
+  };
+}
+
+// Smoke tests for the test pass: each node's function must be exported and
+// callable without throwing. Function names are read back from the node's
+// block, since the payload only carries the nodes that need tests.
+export function generateOfflineTests({ nodes = [], files = [], profile } = {}) {
+  const { moduleStyle } = normalizeCodegenProfile(profile);
+  const tests = [];
+
+  for (const node of nodes) {
+    let found = null;
+    for (const file of files) {
+      const block = findNodeBlocks(file?.contents ?? "").find(
+        (item) => item.nodeId === node.id
+      );
+      const name = block && /function\s+([A-Za-z_$][\w$]*)/.exec(block.text)?.[1];
+      if (name) {
+        found = { name, path: file.path };
+        break;
+      }
+    }
+    if (!found) continue;
+
+    const label = node.label || node.id;
+    const importPath = JSON.stringify(importPathFromTest(found.path));
+    const contents = [
+      moduleStyle === "commonjs"
+        ? `const { ${found.name} } = require(${importPath});`
+        : `import { ${found.name} } from ${importPath};`,
+      "",
+      `test(${JSON.stringify(`${label} is exported`)}, () => {`,
+      `  assert.equal(typeof ${found.name}, "function");`,
+      "});",
+      "",
+      `test(${JSON.stringify(`${label} runs without throwing`)}, () => {`,
+      `  ${found.name}({});`,
+      "});",
+      "",
+    ].join("\n");
+    tests.push({ nodeId: node.id, contents });
+  }
+
+  return { tests };
+}
+
+// Finds the codegen payload in a chat request (the first user message holding
+// a JSON object with a nodes array). Repair prompts are plain text and skipped.
+function findCodegenPayload(messages = []) {
+  for (const message of messages) {
+    if (message?.role !== "user" || typeof message.content !== "string") continue;
+    try {
+      const parsed = JSON.parse(message.content);
+      if (Array.isArray(parsed?.nodes)) return parsed;
+    } catch {
+      // not a JSON payload
+    }
+  }
+  return null;
+}
+
+function respond(messages) {
+  const payload = findCodegenPayload(messages);
+  if (!payload) {
+    throw new Error("The offline provider only supports code generation.");
+  }
+  return JSON.stringify(
+    payload.task === "tests"
+      ? generateOfflineTests(payload)
+      : generateOfflineFiles(payload)
+  );
+}
+
+// Provider adapter (see llm-providers.js) so the codegen routes can use it
+// unchanged. Only codegen and test-generation requests are supported.
+export function createOfflineCodegenClient() {
+  return {
+    name: "offline",
+    async complete({ messages } = {}) {
+      return { content: respond(messages), usage: null };
+    },
+    async *stream({ messages } = {}) {
+      const content = respond(messages);
+      for (let index = 0; index < content.length; index += STREAM_CHUNK_SIZE) {
+        yield { delta: content.slice(index, index + STREAM_CHUNK_SIZE) };
+      }
+    },
+  };
+}
@@ -0,0 +1,267 @@
+// sandbox-worker.js
+// Child-process side of sandbox.js, started under the permission model. It
+// receives { files, entry, input, mode } as its first IPC message, loads the
+// generated files into a fresh node:vm context that has no require, process,
+// fetch or timers, evaluates the
+// entry point and calls its exported run(input) if there is one. In "test"
+// mode the entry is a test file instead: it registers cases with the global
+// test(name, fn) and checks them with assert, and every case is reported.
+// Console output is posted to the parent as it happens so it survives a timeout.
+//
+// Host objects and functions are never handed to sandboxed code directly:
+// their constructors belong to this realm, where eval is allowed. The context
+// is built from a null-prototype object, so even its global has no host
+// prototype chain. Everything the code can touch is built inside the context
+// and talks to the host through the `bridge` closure, whose methods only ever
+// return primitives; each call is wrapped inside the context so that an error
+// thrown by host code (e.g. a stack overflow) is replaced by a context error.
+
+import path from "node:path";
+import util from "node:util";
+import vm from "node:vm";
+
+const { files, entry, input, mode } = await new Promise((resolve) => process.once("message", resolve));
+const sources = new Map(files.map((file) => [file.path, file.contents]));
+const ESM_PATTERN = /^\s*(import|export)\s/m;
+// showProxy keeps inspection from calling proxy traps with host arguments.
+const INSPECT_OPTIONS = { depth: 4, colors: false, customInspect: false, showProxy: true };
+const startedAt = Date.now();
+
+const send = (message) => process.send(message);
+
+const describeError = (err) => {
+  try {
+    return {
+      name: String(err?.name || "Error"),
+      message: String(err?.message ?? err),
+      stack: err?.stack ? String(err.stack) : null,
+    };
+  } catch {
+    return { name: "Error", message: "Unreadable exception", stack: null };
+  }
+};
+
+const finish = (ok, value, calledRun) =>
+  send({
+    type: "done",
+    calledRun,
+    result: ok && calledRun ? util.inspect(value, INSPECT_OPTIONS) : null,
+    error: ok ? null : describeError(value),
+    durationMs: Date.now() - startedAt,
+  });
+
+function resolveSpecifier(specifier, fromPath) {
+  if (!specifier.startsWith("./") && !specifier.startsWith("../")) return null;
+  const base = path.posix.join(path.posix.dirname(fromPath), specifier);
+  return (
+    [base, `${base}.js`, `${base}/index.js`].find((candidate) =>
+      sources.has(candidate)
+    ) || null
+  );
+}
+
+const bridge = {
+  write(stream, args) {
+    try {
+      send({ type: "output", stream, text: util.formatWithOptions(INSPECT_OPTIONS, ...args) });
+    } catch {
+      send({ type: "output", stream, text: "[unprintable value]" });
+    }
+  },
+  resolve: (specifier, fromPath) => resolveSpecifier(String(specifier), String(fromPath)),
+  source: (filePath) => sources.get(String(filePath)) ?? null,
+  finish: (ok, value, calledRun) => finish(Boolean(ok), value, Boolean(calledRun)),
+  finishTests: (json) => {
+    let tests;
+    try {
+      tests = JSON.parse(String(json));
+    } catch (err) {
+      finish(false, err, false);
+      return;
+    }
+    send({
+      type: "done",
+      calledRun: false,
+      result: null,
+      error: null,
+      tests,
+      durationMs: Date.now() - startedAt,
+    });
+  },
+};
+
+const context = vm.createContext(
+  Object.create(null),
+  { codeGeneration: { strings: false, wasm: false } }
+);
+
+// Runs inside the context: console, a CommonJS loader limited to the generated
+// files, the test harness, and the run(input) / test caller.
+const createRuntime = vm.runInContext(
+  `(function (hostBridge, mode) {
+    const bridge = {};
+    for (const name of ["write", "resolve", "source", "compile", "finish", "finishTests"]) {
+      bridge[name] = (...args) => {
+        try {
+          return hostBridge[name](...args);
+        } catch {
+          throw new Error("The sandbox could not complete that call.");
+        }
+      };
+    }
+    const stringify = JSON.stringify;
+
+    const write = (stream) => (...args) => { bridge.write(stream, args); };
+    globalThis.console = {
+      log: write("stdout"),
+      info: write("stdout"),
+      debug: write("stdout"),
+      warn: write("stderr"),
+      error: write("stderr"),
+    };
+
+    const cases = [];
+    if (mode === "test") {
+      const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+      const fail = (message, fallback) => {
+        const error = new Error(message || fallback);
+        error.name = "AssertionError";
+        throw error;
+      };
+      const assert = (value, message) => {
+        if (!value) fail(message, "Expected a truthy value, got " + String(value));
+      };
+      assert.ok = assert;
+      assert.equal = (actual, expected, message) => {
+        if (actual !== expected) fail(message, "Expected " + String(expected) + ", got " + String(actual));
+      };
+      assert.notEqual = (actual, expected, message) => {
+        if (actual === expected) fail(message, "Expected a value other than " + String(expected));
+      };
+      assert.deepEqual = (actual, expected, message) => {
+        if (!same(actual, expected)) {
+          fail(message, "Expected " + JSON.stringify(expected) + ", got " + JSON.stringify(actual));
+        }
+      };
+      assert.throws = (fn, message) => {
+        try {
+          fn();
+        } catch {
+          return;
+        }
+        fail(message, "Expected the function to throw");
+      };
+      globalThis.assert = assert;
+      globalThis.test = (name, fn) => {
+        cases.push({ name: String(name), fn });
+      };
+    }
+
+    const runCases = async () => {
+      const results = [];
+      for (const { name, fn } of cases) {
+        try {
+          await fn();
+          results.push({ name, ok: true, error: null });
+        } catch (error) {
+          results.push({ name, ok: false, error: String(error?.message ?? error) });
+        }
+      }
+      bridge.finishTests(stringify(results));
+    };
+
+    const cache = new Map();
+    const load = (filePath) => {
+      if (cache.has(filePath)) return cache.get(filePath).exports;
+      const module = { exports: {} };
+      cache.set(filePath, module);
+      const require = (specifier) => {
+        const resolved = bridge.resolve(specifier, filePath);
+        if (resolved === null) {
+          throw new Error('Cannot load "' + specifier + '" in the sandbox; only generated files are available.');
+        }
+        return load(resolved);
+      };
+      const factory = bridge.compile(filePath);
+      if (typeof factory === "string") throw new SyntaxError(factory);
+      factory(module, module.exports, require);
+      return module.exports;
+    };
+
+    const call = (exported, json) => {
+      if (mode === "test") {
+        runCases();
+        return;
+      }
+      const hasRun = typeof exported?.run === "function";
+      Promise.resolve()
+        .then(() => (hasRun ? exported.run(JSON.parse(json)) : undefined))
+        .then(
+          (value) => bridge.finish(true, value, hasRun),
+          (error) => bridge.finish(false, error, hasRun)
+        );
+    };
+
+    return { load, call };
+  })`,
+  context
+);
+
+// Dynamic import() gets a module that throws inside the context, so the
+// rejection never carries a host error object.
+const importModuleDynamically = async () => {
+  const module = new vm.SourceTextModule(
+    'throw new Error("Dynamic import is not available in the sandbox.");',
+    { context }
+  );
+  await module.link(() => {});
+  await module.evaluate();
+  return module;
+};
+
+// Returns the CommonJS wrapper, or the syntax error message as a string.
+bridge.compile = (filePath) => {
+  try {
+    return new vm.Script(
+      `(function (module, exports, require) {\n${bridge.source(filePath)}\n})`,
+      { filename: String(filePath), lineOffset: -1, importModuleDynamically }
+    ).runInContext(context);
+  } catch (err) {
+    return `${err.message} (${filePath})`;
+  }
+};
+
+const runtime = createRuntime(bridge, mode === "test" ? "test" : "run");
+
+const moduleCache = new Map();
+function loadEsm(filePath) {
+  if (moduleCache.has(filePath)) return moduleCache.get(filePath);
+  const module = new vm.SourceTextModule(sources.get(filePath), {
+    identifier: filePath,
+    context,
+    importModuleDynamically,
+  });
+  moduleCache.set(filePath, module);
+  return module;
+}
+
+try {
+  let exported;
+  if (ESM_PATTERN.test(sources.get(entry))) {
+    const module = loadEsm(entry);
+    await module.link((specifier, referencing) => {
+      const resolved = resolveSpecifier(specifier, referencing.identifier);
+      if (!resolved) {
+        throw new Error(`Cannot load "${specifier}" in the sandbox; only generated files are available.`);
+      }
+      return loadEsm(resolved);
+    });
+    await module.evaluate();
+    exported = module.namespace;
+  } else {
+    exported = runtime.load(entry);
+  }
+  runtime.call(exported, JSON.stringify(input ?? null));
+} catch (err) {
+  finish(false, err, false);
+}
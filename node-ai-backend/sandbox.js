@@ -0,0 +1,181 @@
+// sandbox.js
+// Runs generated JavaScript in a child process with a wall-clock limit, a heap
+// limit and an empty environment (so API keys never reach it). The process
+// runs under Node's permission model: it may read nothing but its own entry
+// file and may not write files, spawn processes, start workers or load
+// addons. Inside it, the code is evaluated in a node:vm context without
+// require, process or fetch; see sandbox-worker.js. node:vm alone is not a
+// security boundary, so the process is the real one. It does not limit
+// network access.
+
+import express from "express";
+import { fork } from "node:child_process";
+import { fileURLToPath } from "node:url";
+import { createWorkspace, isValidProjectId, normalizeWorkspacePath } from "./workspace.js";
+
+export const DEFAULT_ENTRY = "src/generated-logic.js";
+
+const readLimit = (name, fallback) => {
+  const parsed = Number.parseInt(process.env[name], 10);
+  return Number.isNaN(parsed) || parsed <= 0 ? fallback : parsed;
+};
+
+const MAX_OUTPUT_LINES = 1000;
+const MAX_LINE_LENGTH = 4000;
+const MAX_STDERR_LENGTH = 4000;
+const WORKER_PATH = fileURLToPath(new URL("./sandbox-worker.js", import.meta.url));
+// Node 20 only knows the experimental spelling.
+const PERMISSION_FLAG = process.allowedNodeEnvironmentFlags.has("--permission")
+  ? "--permission"
+  : "--experimental-permission";
+
+// Resolves with { ok, entry, output, result, calledRun, error, timedOut, durationMs }.
+// `output` keeps stdout/stderr lines in the order they were written. With
+// mode "test" the entry is a test file and the result also has `tests`, one
+// { name, ok, error } per registered case.
+export function runInSandbox({
+  files = [],
+  entry = DEFAULT_ENTRY,
+  input = null,
+  timeoutMs,
+  mode = "run",
+} = {}) {
+  const timeLimit = Math.min(
+    timeoutMs > 0 ? timeoutMs : Infinity,
+    readLimit("SANDBOX_TIMEOUT_MS", 3000)
+  );
+  const memoryLimit = readLimit("SANDBOX_MEMORY_MB", 64);
+  const startedAt = Date.now();
+
+  return new Promise((resolve) => {
+    const output = [];
+    let settled = false;
+    let truncated = false;
+    let stderr = "";
+
+    const child = fork(WORKER_PATH, {
+      env: {},
+      execArgv: [
+        PERMISSION_FLAG,
+        `--allow-fs-read=${WORKER_PATH}`,
+        "--experimental-vm-modules",
+        "--no-warnings",
+        `--max-old-space-size=${memoryLimit}`,
+        `--max-semi-space-size=${Math.max(1, Math.round(memoryLimit / 16))}`,
+      ],
+      stdio: ["ignore", "ignore", "pipe", "ipc"],
+    });
+
+    const settle = (outcome) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      child.kill("SIGKILL");
+      if (truncated) {
+        output.push({ stream: "stderr", text: `[output truncated after ${MAX_OUTPUT_LINES} lines]` });
+      }
+      resolve({
+        ok:
+          !outcome.error &&
+          !outcome.timedOut &&
+          (outcome.tests || []).every((test) => test.ok),
+        entry,
+        output,
+        result: null,
+        calledRun: false,
+        error: null,
+        timedOut: false,
+        durationMs: Date.now() - startedAt,
+        ...outcome,
+      });
+    };
+
+    const timer = setTimeout(
+      () =>
+        settle({
+          timedOut: true,
+          error: { name: "TimeoutError", message: `Execution exceeded ${timeLimit} ms.`, stack: null },
+        }),
+      timeLimit
+    );
+
+    child.stderr.on("data", (chunk) => {
+      if (stderr.length < MAX_STDERR_LENGTH) stderr += chunk.toString("utf8");
+    });
+    child.on("message", (message) => {
+      if (message?.type === "output") {
+        if (output.length >= MAX_OUTPUT_LINES) {
+          truncated = true;
+          return;
+        }
+        output.push({ stream: message.stream, text: String(message.text).slice(0, MAX_LINE_LENGTH) });
+      } else if (message?.type === "done") {
+        const { type: _type, ...outcome } = message;
+        settle(outcome);
+      }
+    });
+    child.on("error", (err) => {
+      settle({ error: { name: err?.name || "Error", message: err?.message || String(err), stack: null } });
+    });
+    child.on("exit", (code, signal) => {
+      if (/heap out of memory/i.test(stderr)) {
+        settle({
+          error: {
+            name: "MemoryLimitError",
+            message: `Execution exceeded the ${memoryLimit} MB memory limit.`,
+            stack: null,
+          },
+        });
+        return;
+      }
+      settle({
+        error: {
+          name: "Error",
+          message: `Sandbox exited unexpectedly (${signal ? `signal ${signal}` : `code ${code}`}).`,
+          stack: null,
+        },
+      });
+    });
+
+    child.send({ files, entry, input, mode }, (err) => {
+      if (err) settle({ error: { name: "Error", message: `Could not start the sandbox: ${err.message}`, stack: null } });
+    });
+  });
+}
+
+// POST /run { projectId, entry?, input? }
+// Runs the project's workspace from the last sync. Only files the server
+// generated and stored are ever run; the client cannot supply code.
+export function createRunRouter({ workspace } = {}) {
+  const store = workspace || createWorkspace();
+  const router = express.Router();
+
+  router.post("/run", async (req, res) => {
+    const { projectId, entry: rawEntry, input = null } = req.body || {};
+    const entry = normalizeWorkspacePath(rawEntry ?? DEFAULT_ENTRY);
+    if (!entry) {
+      return res.status(400).json({ error: "Invalid entry path." });
+    }
+    if (!isValidProjectId(projectId)) {
+      return res.status(400).json({ error: "Provide a valid projectId to run." });
+    }
+
+    try {
+      const files = await store.readFiles(projectId);
+      if (!files.some((file) => file.path === entry)) {
+        return res
+          .status(404)
+          .json({ error: `Entry point "${entry}" was not generated.` });
+      }
+
+      res.json(await runInSandbox({ files, entry, input }));
+    } catch (err) {
+      console.error("run error:", err);
+      res.status(500).json({ error: "Sandbox run failed" });
+    }
+  });
+
+  return router;
+}
+
+export default runInSandbox;
@@ -0,0 +1,121 @@
+// test/codegen-merge.test.js
+// mergeGeneratedFiles: only changed nodes' blocks come from the new output;
+// everything else in an existing file stays byte-identical.
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import { collectChangedNodeIds, mergeGeneratedFiles } from "../codegen-merge.js";
+import { nodeBlock } from "./helpers.js";
+
+const file = (path, ...blocks) => ({ path, contents: blocks.join("") });
+const nodeChange = (nodeId, changeType = "modified") => ({ kind: "node", nodeId, changeType });
+const edgeChange = (source, target) => ({
+  kind: "edge",
+  changeType: "added",
+  currentEdge: { id: `${source}-${target}`, source, target },
+});
+
+describe("collectChangedNodeIds", () => {
+  it("counts an edge change as a change to both endpoints", () => {
+    const { changed, removed } = collectChangedNodeIds([edgeChange("a", "b")]);
+    assert.deepEqual([...changed].sort(), ["a", "b"]);
+    assert.equal(removed.size, 0);
+  });
+
+  it("opens up a changed modifier's targets", () => {
+    const { changed } = collectChangedNodeIds([nodeChange("mod")], { mod: ["a", "b"] });
+    assert.deepEqual([...changed].sort(), ["a", "b", "mod"]);
+  });
+
+  it("keeps removed nodes out of the changed set", () => {
+    const { changed, removed } = collectChangedNodeIds([
+      edgeChange("a", "b"),
+      nodeChange("b", "removed"),
+    ]);
+    assert.deepEqual([...changed], ["a"]);
+    assert.deepEqual([...removed], ["b"]);
+  });
+});
+
+describe("mergeGeneratedFiles", () => {
+  const previousFiles = [
+    file(
+      "src/app.js",
+      "// header\n",
+      nodeBlock("a", "const a = 1;"),
+      "// between\n",
+      nodeBlock("b", "const b = 1;")
+    ),
+  ];
+
+  it("replaces changed blocks and keeps the rest of the file", () => {
+    const [merged] = mergeGeneratedFiles({
+      previousFiles,
+      nextFiles: [
+        file("src/app.js", "// new header\n", nodeBlock("a", "const a = 2;"), nodeBlock("b", "const b = 2;")),
+      ],
+      changes: [nodeChange("b")],
+    });
+    assert.equal(
+      merged.contents,
+      "// header\n" + nodeBlock("a", "const a = 1;") + "// between\n" + nodeBlock("b", "const b = 2;")
+    );
+  });
+
+  it("inserts a new block after the block that precedes it in the new output", () => {
+    const [merged] = mergeGeneratedFiles({
+      previousFiles,
+      nextFiles: [file("src/app.js", nodeBlock("a", "const a = 1;"), nodeBlock("c", "const c = 1;"))],
+      changes: [nodeChange("c", "added")],
+    });
+    assert.equal(
+      merged.contents,
+      "// header\n" +
+        nodeBlock("a", "const a = 1;") +
+        nodeBlock("c", "const c = 1;") +
+        "// between\n" +
+        nodeBlock("b", "const b = 1;")
+    );
+  });
+
+  it("drops removed nodes' blocks", () => {
+    const [merged] = mergeGeneratedFiles({
+      previousFiles,
+      nextFiles: [],
+      changes: [nodeChange("a", "removed")],
+    });
+    assert.equal(merged.contents, "// header\n// between\n" + nodeBlock("b", "const b = 1;"));
+  });
+
+  it("moves a changed block to the file the new output puts it in", () => {
+    const merged = mergeGeneratedFiles({
+      previousFiles,
+      nextFiles: [file("src/b.js", nodeBlock("b", "const b = 2;"))],
+      changes: [nodeChange("b")],
+    });
+    assert.deepEqual(merged, [
+      file("src/app.js", "// header\n", nodeBlock("a", "const a = 1;"), "// between\n"),
+      file("src/b.js", nodeBlock("b", "const b = 2;")),
+    ]);
+  });
+
+  it("drops a file that only held a moved block", () => {
+    const merged = mergeGeneratedFiles({
+      previousFiles: [file("src/b.js", nodeBlock("b", "const b = 1;"))],
+      nextFiles: [file("src/app.js", nodeBlock("b", "const b = 2;"))],
+      changes: [nodeChange("b")],
+    });
+    assert.deepEqual(merged.map((item) => item.path), ["src/app.js"]);
+  });
+
+  it("keeps the old block of a changed node the new output leaves out", () => {
+    const [merged] = mergeGeneratedFiles({
+      previousFiles,
+      nextFiles: [file("src/app.js", nodeBlock("a", "const a = 2;"))],
+      changes: [nodeChange("a"), nodeChange("b")],
+    });
+    assert.match(merged.contents, /const a = 2;/);
+    assert.match(merged.contents, /const b = 1;/);
+  });
+});
@@ -0,0 +1,24 @@
+// test/codegen-profile.test.js
+// normalizeCodegenProfile fills in the same defaults DEFAULT_CODEGEN_PROFILE
+// advertises.
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import { DEFAULT_CODEGEN_PROFILE, normalizeCodegenProfile } from "../codegen-profile.js";
+
+describe("normalizeCodegenProfile", () => {
+  it("returns the default profile for a missing one", () => {
+    assert.deepEqual(normalizeCodegenProfile(undefined), DEFAULT_CODEGEN_PROFILE);
+    assert.deepEqual(normalizeCodegenProfile({ runtime: "  " }), DEFAULT_CODEGEN_PROFILE);
+  });
+
+  it("leaves the runtime empty for another language without one", () => {
+    assert.deepEqual(normalizeCodegenProfile({ language: "Python", moduleStyle: "amd" }), {
+      language: "python",
+      runtime: "",
+      framework: "",
+      moduleStyle: DEFAULT_CODEGEN_PROFILE.moduleStyle,
+    });
+  });
+});
@@ -0,0 +1,133 @@
+// test/codegen.test.js
+// The codegen routes against scripted providers: marker validation, merging
+// into the previous sync, and request bodies with malformed entries.
+
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import { createMockProvider } from "../mock-provider.js";
+import { graphNode, makeTempDir, nodeBlock, removeDir, withApp } from "./helpers.js";
+
+const LOGIC_FILE = "src/generated-logic.js";
+const NODES = [graphNode("a"), graphNode("b")];
+
+const nodeChange = (nodeId, changeType = "modified") => ({ kind: "node", nodeId, changeType });
+
+let tmpDir;
+
+before(async () => {
+  tmpDir = await makeTempDir();
+});
+
+after(async () => {
+  await removeDir(tmpDir);
+});
+
+describe("POST /api/generate-code", () => {
+  it("merges a reply that only has the changed node's block without re-prompting", async () => {
+    const provider = createMockProvider([
+      {
+        json: {
+          files: [
+            { path: LOGIC_FILE, contents: nodeBlock("a", "const a = 1;") + nodeBlock("b", "const b = 1;") },
+          ],
+        },
+      },
+      { json: { files: [{ path: LOGIC_FILE, contents: nodeBlock("b", "const b = 2;") }] } },
+    ]);
+
+    await withApp({ provider, tmpDir }, async ({ post }) => {
+      const request = { projectId: "partial-sync", nodes: NODES, edges: [] };
+      const first = await post("generate-code", {
+        ...request,
+        changes: [nodeChange("a", "added"), nodeChange("b", "added")],
+      });
+      assert.equal(first.status, 200);
+
+      const { status, body } = await post("generate-code", {
+        ...request,
+        changes: [nodeChange("b")],
+      });
+      assert.equal(status, 200);
+      assert.deepEqual(body.warnings, []);
+      const merged = body.files.find((file) => file.path === LOGIC_FILE).contents;
+      assert.match(merged, /const a = 1;/);
+      assert.match(merged, /const b = 2;/);
+    });
+    assert.equal(provider.calls.length, 2);
+  });
+
+  it("re-prompts when the first sync's reply leaves a node without a block", async () => {
+    const provider = createMockProvider([
+      { json: { files: [{ path: LOGIC_FILE, contents: nodeBlock("a", "const a = 1;") }] } },
+      {
+        json: {
+          files: [
+            { path: LOGIC_FILE, contents: nodeBlock("a", "const a = 1;") + nodeBlock("b", "const b = 1;") },
+          ],
+        },
+      },
+    ]);
+
+    await withApp({ provider, tmpDir }, async ({ post }) => {
+      const { status, body } = await post("generate-code", {
+        projectId: "full-sync",
+        nodes: NODES,
+        edges: [],
+        changes: [nodeChange("a", "added"), nodeChange("b", "added")],
+      });
+      assert.equal(status, 200);
+      assert.deepEqual(body.warnings, []);
+    });
+    assert.equal(provider.calls.length, 2);
+    assert.match(provider.calls[1].request.messages.at(-1).content, /node "b"/);
+  });
+
+  it("asks for an output limit that fits a multi-file reply", async () => {
+    const provider = createMockProvider([
+      { json: { files: [{ path: LOGIC_FILE, contents: nodeBlock("a", "const a = 1;") }] } },
+    ]);
+    await withApp({ provider, tmpDir }, async ({ post }) => {
+      const { status } = await post("generate-code", { nodes: [graphNode("a")], edges: [] });
+      assert.equal(status, 200);
+    });
+    assert.equal(provider.calls[0].request.maxTokens, 16000);
+  });
+
+  it("ignores nodes, edges and changes that are not objects", async () => {
+    const provider = createMockProvider([
+      { json: { files: [{ path: LOGIC_FILE, contents: nodeBlock("a", "const a = 1;") }] } },
+    ]);
+    await withApp({ provider, tmpDir }, async ({ post }) => {
+      const { status, body } = await post("generate-code", {
+        nodes: [graphNode("a"), null, "b"],
+        edges: [null, 7],
+        changes: [null, nodeChange("a", "added")],
+      });
+      assert.equal(status, 200);
+      assert.deepEqual(body.warnings, []);
+    });
+  });
+});
+
+describe("POST /api/generate-code-stream", () => {
+  const readEvents = (text) => text.trim().split("\n").map((line) => JSON.parse(line));
+
+  it("ignores nodes, edges and changes that are not objects", async () => {
+    const provider = createMockProvider([
+      { json: { files: [{ path: LOGIC_FILE, contents: nodeBlock("a", "const a = 1;") }] } },
+    ]);
+    await withApp({ provider, tmpDir }, async ({ post }) => {
+      const { status, type, body } = await post("generate-code-stream", {
+        nodes: [graphNode("a"), null],
+        edges: [null],
+        changes: [null, nodeChange("a", "added")],
+      });
+      assert.equal(status, 200);
+      assert.match(type, /application\/x-ndjson/);
+      const events = readEvents(body);
+      assert.deepEqual(events.map((event) => event.type), ["start", "file", "done"]);
+      assert.deepEqual(events.at(-1).warnings, []);
+    });
+  });
+});
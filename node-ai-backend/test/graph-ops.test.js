@@ -0,0 +1,139 @@
+// test/graph-ops.test.js
+// Graph operations are replayed against the client's graph before they are
+// returned, and POST /api/generate-nodes re-prompts until they all apply.
+
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import { sanitizeGraph, validateGraphOperations } from "../graph-ops.js";
+import { JSON_RETRY_LIMIT } from "../llm-json.js";
+import { createMockProvider } from "../mock-provider.js";
+import { createNodeTypeRegistry } from "../node-types.js";
+import { graphNode, makeTempDir, removeDir, withApp } from "./helpers.js";
+
+const GRAPH = {
+  nodes: [graphNode("a", "logic", "Load"), graphNode("b", "output", "Show")],
+  edges: [{ id: "a-b", source: "a", target: "b" }],
+};
+
+const errorsFor = (operations) =>
+  validateGraphOperations(operations, sanitizeGraph(GRAPH, createNodeTypeRegistry())).errors.map(
+    (error) => error.message
+  );
+
+describe("sanitizeGraph", () => {
+  it("keeps ids, labels and types and drops dangling edges", () => {
+    const graph = sanitizeGraph(
+      {
+        nodes: [
+          ...GRAPH.nodes,
+          { id: "  " },
+          { id: "c", data: { label: "Odd", nodeType: "legacy-x" } },
+        ],
+        edges: [...GRAPH.edges, { source: "a", target: "missing" }],
+      },
+      createNodeTypeRegistry()
+    );
+    assert.deepEqual(graph.nodes, [
+      { id: "a", label: "Load", nodeType: "logic" },
+      { id: "b", label: "Show", nodeType: "output" },
+      { id: "c", label: "Odd", nodeType: "logic" },
+    ]);
+    assert.deepEqual(graph.edges, [{ id: "a-b", source: "a", target: "b" }]);
+  });
+});
+
+describe("validateGraphOperations", () => {
+  it("lets an operation use a node added earlier in the list", () => {
+    assert.deepEqual(
+      errorsFor([
+        { op: "addNode", id: "c", label: "Log" },
+        { op: "connect", source: "b", target: "c" },
+        { op: "setType", id: "c", nodeType: "output" },
+      ]),
+      []
+    );
+  });
+
+  it("reports operations on missing nodes and edges", () => {
+    assert.deepEqual(
+      errorsFor([
+        { op: "removeNode", id: "a" },
+        { op: "updateNode", id: "a", label: "Gone" },
+        { op: "disconnect", source: "a", target: "b" },
+        { op: "addNode", id: "b", label: "Again" },
+        { op: "connect", source: "b", target: "b" },
+      ]),
+      [
+        'updateNode: node "a" does not exist',
+        "disconnect: edge a -> b does not exist",
+        'addNode: node "b" already exists',
+        "connect: cannot connect a node to itself",
+      ]
+    );
+  });
+});
+
+describe("POST /api/generate-nodes", () => {
+  let tmpDir;
+
+  before(async () => {
+    tmpDir = await makeTempDir();
+  });
+
+  after(async () => {
+    await removeDir(tmpDir);
+  });
+
+  const BODY = { prompt: "Add a logging step after Show.", graph: GRAPH };
+  const ADD_LOG = [
+    { op: "addNode", id: "log", label: "Log" },
+    { op: "connect", source: "b", target: "log" },
+  ];
+
+  it("returns the operations and summary", async () => {
+    const provider = createMockProvider([{ json: { summary: "Added Log.", operations: ADD_LOG } }]);
+    await withApp({ provider, tmpDir }, async ({ post }) => {
+      const { status, body } = await post("generate-nodes", BODY);
+      assert.equal(status, 200);
+      assert.equal(body.summary, "Added Log.");
+      assert.deepEqual(body.operations, ADD_LOG);
+    });
+  });
+
+  it("sends operations that do not apply back to the model", async () => {
+    const provider = createMockProvider([
+      { json: { summary: "Added Log.", operations: [{ op: "connect", source: "b", target: "log" }] } },
+      { json: { summary: "Added Log.", operations: ADD_LOG } },
+    ]);
+    await withApp({ provider, tmpDir }, async ({ post }) => {
+      const { status, body } = await post("generate-nodes", BODY);
+      assert.equal(status, 200);
+      assert.equal(body.operations.length, 2);
+    });
+    assert.match(provider.calls[1].request.messages.at(-1).content, /target "log" does not exist/);
+  });
+
+  it("returns 502 when the operations never apply", async () => {
+    const bad = { json: { summary: "", operations: [{ op: "removeNode", id: "missing" }] } };
+    const provider = createMockProvider(Array(JSON_RETRY_LIMIT + 1).fill(bad));
+    await withApp({ provider, tmpDir }, async ({ post }) => {
+      const { status, body } = await post("generate-nodes", BODY);
+      assert.equal(status, 502);
+      assert.equal(body.attempts, JSON_RETRY_LIMIT + 1);
+      assert.deepEqual(body.details, [
+        { path: "operations[0]", message: 'removeNode: node "missing" does not exist' },
+      ]);
+    });
+  });
+
+  it("rejects an empty prompt without calling the model", async () => {
+    const provider = createMockProvider([]);
+    await withApp({ provider, tmpDir }, async ({ post }) => {
+      const { status, body } = await post("generate-nodes", { prompt: "  ", graph: GRAPH });
+      assert.equal(status, 400);
+      assert.equal(body.error, "Prompt is required and must be a non-empty string.");
+    });
+    assert.equal(provider.calls.length, 0);
+  });
+});
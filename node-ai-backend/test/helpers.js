@@ -0,0 +1,76 @@
+// test/helpers.js
+// Shared setup for the route tests: an app around scripted providers, with
+// its workspace, usage log and cache kept out of the repo.
+
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+
+import { createApp } from "../app.js";
+import { createResponseCache } from "../llm-cache.js";
+import { createUsageLedger } from "../llm-usage.js";
+import { createWorkspace } from "../workspace.js";
+
+export const makeTempDir = (prefix = "node-ai-backend-test-") =>
+  fs.mkdtemp(path.join(os.tmpdir(), prefix));
+
+export const removeDir = (dir) => fs.rm(dir, { recursive: true, force: true });
+
+// Starts createApp({ provider, ...options }) on a free port, runs
+// fn({ post, workspace, ledger }) and closes the server. The response cache is
+// off unless `responseCache` is passed.
+export async function withApp({ provider, budgets, tmpDir, ...options }, fn) {
+  const workspace = createWorkspace({ rootDir: path.join(tmpDir, "workspaces") });
+  const ledger = createUsageLedger({
+    logFile: path.join(tmpDir, `usage-${Date.now()}-${Math.random()}.ndjson`),
+    budgets: budgets ?? { defaultBudget: 0, overrides: {} },
+  });
+  const app = createApp({
+    provider,
+    workspace,
+    usageLedger: ledger,
+    responseCache: createResponseCache({ ttlMs: 0 }),
+    ...options,
+  });
+  const server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+
+  const request = async (method, route, body) => {
+    const response = await fetch(`${baseUrl}/${route}`, {
+      method,
+      headers: { "Content-Type": "application/json" },
+      ...(body === undefined ? {} : { body: JSON.stringify(body) }),
+    });
+    const text = await response.text();
+    const type = response.headers.get("content-type") || "";
+    return {
+      status: response.status,
+      type,
+      body: type.includes("application/json") ? JSON.parse(text) : text,
+    };
+  };
+
+  try {
+    return await fn({
+      post: (route, body) => request("POST", route, body),
+      get: (route) => request("GET", route),
+      workspace,
+      ledger,
+    });
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+}
+
+// A NODE block the way the codegen prompt asks for it.
+export const nodeBlock = (nodeId, body) =>
+  `// <NODE:${nodeId}:START>\n${body}\n// <NODE:${nodeId}:END>\n`;
+
+// A node as the frontend sends it.
+export const graphNode = (id, nodeType = "logic", label = id) => ({
+  id,
+  type: nodeType,
+  nodeType,
+  data: { label, notes: "", nodeType },
+});
@@ -0,0 +1,91 @@
+// test/llm-cache.test.js
+// withResponseCache: identical requests are answered from the cache, and only
+// replies worth replaying are stored.
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import { createResponseCache, responseCacheKey, withResponseCache } from "../llm-cache.js";
+import { createMockProvider } from "../mock-provider.js";
+
+const REQUEST = {
+  model: "test-model",
+  responseFormat: "json",
+  messages: [{ role: "user", content: "Hi" }],
+};
+
+const cached = (script, options) => {
+  const provider = createMockProvider(script);
+  const cache = createResponseCache({ ttlMs: 60000, maxEntries: 10, ...options });
+  return { provider, cache, llm: withResponseCache(provider, cache) };
+};
+
+const drain = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return chunks;
+};
+
+describe("withResponseCache", () => {
+  it("serves a repeated request from the cache", async () => {
+    const { provider, llm } = cached([{ json: { ok: true } }]);
+    assert.equal((await llm.complete(REQUEST)).cache, "miss");
+    const second = await llm.complete(REQUEST);
+    assert.deepEqual(second, { content: '{"ok":true}', usage: null, cache: "hit" });
+    assert.equal(provider.calls.length, 1);
+  });
+
+  it("calls the provider again with bypassCache and refreshes the entry", async () => {
+    const { provider, llm } = cached([{ json: { n: 1 } }, { json: { n: 2 } }]);
+    await llm.complete(REQUEST);
+    assert.equal((await llm.complete({ ...REQUEST, bypassCache: true })).cache, "bypass");
+    assert.equal((await llm.complete(REQUEST)).content, '{"n":2}');
+    assert.equal(provider.calls.length, 2);
+  });
+
+  it("does not store JSON replies that fail to parse or that cacheable rejects", async () => {
+    const { cache, llm } = cached(["not json", { json: { ok: false } }]);
+    await llm.complete(REQUEST);
+    await llm.complete({ ...REQUEST, cacheable: (content) => JSON.parse(content).ok });
+    assert.equal(cache.size, 0);
+  });
+
+  it("replays a stored stream as a single delta", async () => {
+    const { provider, llm } = cached([{ json: { ok: true }, chunks: ['{"ok"', ":true}"] }]);
+    await drain(llm.stream(REQUEST));
+    const replay = await drain(llm.stream(REQUEST));
+    assert.deepEqual(replay, [{ cache: "hit" }, { delta: '{"ok":true}' }]);
+    assert.equal(provider.calls.length, 1);
+  });
+
+  it("passes requests straight through when the cache is off", () => {
+    const provider = createMockProvider([]);
+    assert.equal(withResponseCache(provider, createResponseCache({ ttlMs: 0 })), provider);
+  });
+});
+
+describe("createResponseCache", () => {
+  it("evicts the least recently used entry past maxEntries", () => {
+    const cache = createResponseCache({ ttlMs: 60000, maxEntries: 2 });
+    cache.set("a", 1);
+    cache.set("b", 2);
+    cache.get("a");
+    cache.set("c", 3);
+    assert.equal(cache.get("b"), null);
+    assert.equal(cache.get("a"), 1);
+    assert.equal(cache.get("c"), 3);
+  });
+});
+
+describe("responseCacheKey", () => {
+  it("changes with the provider, model or messages", () => {
+    const key = responseCacheKey("mock", REQUEST);
+    assert.equal(responseCacheKey("mock", { ...REQUEST }), key);
+    assert.notEqual(responseCacheKey("other", REQUEST), key);
+    assert.notEqual(responseCacheKey("mock", { ...REQUEST, model: "other" }), key);
+    assert.notEqual(
+      responseCacheKey("mock", { ...REQUEST, messages: [{ role: "user", content: "Hello" }] }),
+      key
+    );
+  });
+});
@@ -0,0 +1,78 @@
+// test/llm-cassette.test.js
+// wrapWithCassette: recordings made in record mode replay without calling the
+// provider, and replay fails loudly for requests that were never recorded.
+
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import { CassetteMissError, cassetteKey, wrapWithCassette } from "../llm-cassette.js";
+import { createMockProvider } from "../mock-provider.js";
+import { makeTempDir, removeDir } from "./helpers.js";
+
+const REQUEST = {
+  model: "test-model",
+  responseFormat: "json",
+  messages: [{ role: "user", content: "Hi" }],
+};
+
+const drain = async (stream) => {
+  const deltas = [];
+  for await (const chunk of stream) if (chunk.delta) deltas.push(chunk.delta);
+  return deltas;
+};
+
+let dir;
+
+before(async () => {
+  dir = await makeTempDir("node-ai-backend-cassettes-");
+});
+
+after(async () => {
+  await removeDir(dir);
+});
+
+describe("wrapWithCassette", () => {
+  it("replays a recorded reply without calling the provider", async () => {
+    const recorder = wrapWithCassette(
+      createMockProvider([{ json: { ok: true }, usage: { promptTokens: 3, completionTokens: 2 } }]),
+      { mode: "record", dir }
+    );
+    await recorder.complete(REQUEST);
+
+    const provider = createMockProvider([]);
+    const player = wrapWithCassette(provider, { mode: "replay", dir });
+    assert.deepEqual(await player.complete(REQUEST), {
+      content: '{"ok":true}',
+      usage: { promptTokens: 3, completionTokens: 2 },
+    });
+    assert.equal(provider.calls.length, 0);
+  });
+
+  it("replays a recorded stream chunk by chunk", async () => {
+    const request = { ...REQUEST, messages: [{ role: "user", content: "Stream" }] };
+    const recorder = wrapWithCassette(createMockProvider([{ content: "abc", chunks: ["a", "bc"] }]), {
+      mode: "record",
+      dir,
+    });
+    await drain(recorder.stream(request));
+
+    const player = wrapWithCassette(createMockProvider([]), { mode: "replay", dir });
+    assert.deepEqual(await drain(player.stream(request)), ["a", "bc"]);
+  });
+
+  it("matches recordings regardless of line endings and surrounding whitespace", () => {
+    const crlf = { ...REQUEST, messages: [{ role: "user", content: "  line one\r\nline two\n" }] };
+    const lf = { ...REQUEST, messages: [{ role: "user", content: "line one\nline two" }] };
+    assert.equal(cassetteKey(crlf), cassetteKey(lf));
+  });
+
+  it("throws a CassetteMissError with the key for unrecorded requests", async () => {
+    const player = wrapWithCassette(createMockProvider([]), { mode: "replay", dir });
+    const request = { ...REQUEST, messages: [{ role: "user", content: "Never recorded" }] };
+    await assert.rejects(player.complete(request), (err) => {
+      assert.ok(err instanceof CassetteMissError);
+      assert.equal(err.key, cassetteKey(request));
+      return true;
+    });
+  });
+});
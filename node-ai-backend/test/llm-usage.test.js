@@ -0,0 +1,97 @@
+// test/llm-usage.test.js
+// withUsageTracking records every call in the ledger, including the ones that
+// fail or are aborted.
+
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import path from "node:path";
+
+import { createMockProvider } from "../mock-provider.js";
+import { createUsageLedger, withUsageTracking } from "../llm-usage.js";
+import { makeTempDir, removeDir } from "./helpers.js";
+
+const TAG = { projectId: "demo", route: "test" };
+const REQUEST = {
+  model: "test-model",
+  messages: [{ role: "user", content: "Write the code." }],
+  usage: TAG,
+};
+
+let tmpDir;
+
+before(async () => {
+  tmpDir = await makeTempDir("node-ai-backend-usage-");
+});
+
+after(async () => {
+  await removeDir(tmpDir);
+});
+
+const tracked = (script) => {
+  const ledger = createUsageLedger({
+    logFile: path.join(tmpDir, `usage-${Date.now()}-${Math.random()}.ndjson`),
+    budgets: { defaultBudget: 0, overrides: {} },
+  });
+  return { ledger, llm: withUsageTracking(createMockProvider(script), ledger) };
+};
+
+const lastEntry = (ledger) => ledger.project(TAG.projectId).recent[0];
+
+describe("withUsageTracking", () => {
+  it("records a successful call with the reported usage", async () => {
+    const { ledger, llm } = tracked([
+      { content: "ok", usage: { promptTokens: 5, completionTokens: 2 } },
+    ]);
+    await llm.complete(REQUEST);
+    const entry = lastEntry(ledger);
+    assert.equal(entry.status, "ok");
+    assert.equal(entry.totalTokens, 7);
+    assert.equal(entry.estimated, undefined);
+  });
+
+  it("records a failed call without guessing its tokens", async () => {
+    const { ledger, llm } = tracked([{ error: { message: "Service unavailable", status: 503 } }]);
+    await assert.rejects(llm.complete(REQUEST), /Service unavailable/);
+    const entry = lastEntry(ledger);
+    assert.equal(entry.status, "error");
+    assert.equal(entry.error, "Service unavailable");
+    assert.equal(entry.totalTokens, 0);
+    assert.equal(ledger.summary().totals.calls, 1);
+  });
+
+  it("records a call aborted by the caller", async () => {
+    const { ledger, llm } = tracked([{ delayMs: 1000, content: "late" }]);
+    const controller = new AbortController();
+    const pending = llm.complete({ ...REQUEST, signal: controller.signal });
+    controller.abort();
+    await assert.rejects(pending);
+    assert.equal(lastEntry(ledger).status, "aborted");
+  });
+
+  it("estimates the tokens of a stream that fails after producing output", async () => {
+    const { ledger, llm } = tracked([
+      {
+        content: "partial output",
+        chunks: ["partial ", "output"],
+        error: { message: "Connection reset" },
+      },
+    ]);
+    await assert.rejects(async () => {
+      for await (const chunk of llm.stream(REQUEST)) assert.ok(chunk);
+    }, /Connection reset/);
+    const entry = lastEntry(ledger);
+    assert.equal(entry.status, "error");
+    assert.equal(entry.estimated, true);
+    assert.ok(entry.promptTokens > 0 && entry.completionTokens > 0);
+  });
+
+  it("records a stream the caller stops reading as aborted", async () => {
+    const { ledger, llm } = tracked([{ content: "abc", chunks: ["a", "b", "c"] }]);
+    for await (const chunk of llm.stream(REQUEST)) {
+      if (chunk.delta) break;
+    }
+    const entry = lastEntry(ledger);
+    assert.equal(entry.status, "aborted");
+    assert.ok(entry.completionTokens > 0);
+  });
+});
@@ -0,0 +1,60 @@
+// test/modifier-scope.test.js
+// findScopeViolations: a sync that touches a modifier may only change the
+// blocks of changed nodes and of the modifier's targets.
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import { collectChangedModifierIds, findScopeViolations } from "../modifier-scope.js";
+import { nodeBlock } from "./helpers.js";
+
+const MODIFIER_TARGETS = { mod: ["a"] };
+const PREVIOUS = [
+  { path: "src/app.js", contents: "// header\n" + nodeBlock("a", "a();") + nodeBlock("b", "b();") },
+];
+
+const violationsFor = (nextFiles, modifierIds = new Set(["mod"])) =>
+  findScopeViolations({
+    previousFiles: PREVIOUS,
+    nextFiles,
+    editableNodeIds: new Set(["a"]),
+    modifierIds,
+  }).map(({ nodeId, path }) => `${nodeId}@${path}`);
+
+describe("collectChangedModifierIds", () => {
+  it("finds modifiers changed directly or through an outgoing edge", () => {
+    const ids = collectChangedModifierIds(
+      [
+        { kind: "node", nodeId: "mod", changeType: "modified" },
+        { kind: "node", nodeId: "gone", changeType: "removed" },
+        { kind: "edge", currentEdge: { source: "other", target: "b" } },
+      ],
+      { ...MODIFIER_TARGETS, gone: [], other: ["b"] }
+    );
+    assert.deepEqual([...ids].sort(), ["mod", "other"]);
+  });
+});
+
+describe("findScopeViolations", () => {
+  it("allows changes to the modifier's targets", () => {
+    const next = [
+      { path: "src/app.js", contents: "// header\n" + nodeBlock("a", "a(2);") + nodeBlock("b", "b();") },
+    ];
+    assert.deepEqual(violationsFor(next), []);
+  });
+
+  it("reports changed blocks outside the targets and changes outside the blocks", () => {
+    const next = [
+      { path: "src/app.js", contents: "// edited\n" + nodeBlock("a", "a();") + nodeBlock("b", "b(2);") },
+    ];
+    assert.deepEqual(violationsFor(next), ["b@src/app.js", "null@src/app.js"]);
+  });
+
+  it("reports a new file that holds no target's block", () => {
+    assert.deepEqual(violationsFor([{ path: "src/extra.js", contents: "x();\n" }]), ["null@src/extra.js"]);
+  });
+
+  it("checks nothing when no modifier changed", () => {
+    assert.deepEqual(violationsFor([{ path: "src/extra.js", contents: "x();\n" }], new Set()), []);
+  });
+});
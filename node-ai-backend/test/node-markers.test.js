@@ -0,0 +1,61 @@
+// test/node-markers.test.js
+// NODE marker parsing and the violations the codegen routes repair or report.
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import { findNodeBlocks, formatViolations, validateMarkers } from "../node-markers.js";
+import { nodeBlock } from "./helpers.js";
+
+// Descriptive nodes and modifiers never need a block of their own.
+const NODES = [
+  { id: "a" },
+  { id: "b" },
+  { id: "notes", isDescriptive: true },
+  { id: "mod", role: "modifier" },
+];
+
+const violationsOf = (contents, options) =>
+  validateMarkers([{ path: "src/app.js", contents }], NODES, options).map(
+    ({ type, nodeId }) => `${type}:${nodeId}`
+  );
+
+describe("findNodeBlocks", () => {
+  it("returns each block with its full marker lines", () => {
+    const htmlBlock = "<!-- <NODE:b:START> -->\ny\n<!-- <NODE:b:END> -->";
+    const contents = "// top\n" + nodeBlock("a", "x();") + htmlBlock;
+    const blocks = findNodeBlocks(contents);
+    assert.deepEqual(blocks.map((block) => block.nodeId), ["a", "b"]);
+    assert.equal(blocks[0].text, nodeBlock("a", "x();"));
+    assert.equal(contents.slice(blocks[1].start, blocks[1].end), htmlBlock);
+  });
+});
+
+describe("validateMarkers", () => {
+  it("accepts one block per code node", () => {
+    assert.deepEqual(violationsOf(nodeBlock("a", "") + nodeBlock("b", "")), []);
+  });
+
+  it("reports missing, duplicated and unknown blocks", () => {
+    assert.deepEqual(violationsOf(nodeBlock("a", "") + nodeBlock("a", "") + nodeBlock("zzz", "")), [
+      "unknown:zzz",
+      "duplicated:a",
+      "missing:b",
+    ]);
+  });
+
+  it("reports nested and unclosed blocks", () => {
+    const contents = "// <NODE:a:START>\n" + nodeBlock("b", "") + "// <NODE:a:END>\n// <NODE:b:START>\n";
+    assert.deepEqual(violationsOf(contents), ["nested:b", "unbalanced:b"]);
+  });
+
+  it("only requires blocks for requiredIds when they are given", () => {
+    assert.deepEqual(violationsOf(nodeBlock("b", ""), { requiredIds: new Set(["b"]) }), []);
+    assert.deepEqual(violationsOf("", { requiredIds: new Set(["b"]) }), ["missing:b"]);
+  });
+
+  it("formats violations as a bullet list for the repair prompt", () => {
+    const text = formatViolations(validateMarkers([], [{ id: "a" }]));
+    assert.equal(text, '- [missing] No marker block was generated for node "a".');
+  });
+});
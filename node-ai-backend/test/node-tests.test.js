@@ -0,0 +1,78 @@
+// test/node-tests.test.js
+// runNodeTests: model-written tests run in the same sandbox as generated code,
+// so they must not reach the host's process either.
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import { runNodeTests, testPathForNode } from "../node-tests.js";
+
+const CODE_FILE = {
+  path: "src/generated-logic.js",
+  contents: "module.exports.isAdult = (age) => age >= 18;",
+};
+const NODES = [{ id: "check-age", nodeType: "condition" }];
+
+const runTestFile = (contents) =>
+  runNodeTests({
+    files: [CODE_FILE, { path: testPathForNode("check-age"), contents }],
+    nodes: NODES,
+  });
+
+describe("runNodeTests", () => {
+  it("reports each case of a node's test file", async () => {
+    const [result] = await runTestFile(`
+const { isAdult } = require("../src/generated-logic.js");
+test("adults pass", () => assert.equal(isAdult(18), true));
+test("minors fail", () => assert.equal(isAdult(17), true));
+`);
+    assert.equal(result.status, "failed");
+    assert.deepEqual(
+      result.cases.map(({ name, ok }) => ({ name, ok })),
+      [
+        { name: "adults pass", ok: true },
+        { name: "minors fail", ok: false },
+      ]
+    );
+  });
+
+  it("reports a node without a test file as missing", async () => {
+    const [result] = await runNodeTests({ files: [CODE_FILE], nodes: NODES });
+    assert.equal(result.status, "missing");
+  });
+
+  it("keeps a generated test from reaching the host process", async () => {
+    const [result] = await runTestFile(`
+const leaks = (get) => {
+  try {
+    const leaked = get();
+    return typeof leaked?.pid === "number";
+  } catch {
+    return false;
+  }
+};
+test("no process global", () => assert.equal(typeof process, "undefined"));
+test("constructor chain", () =>
+  assert.equal(leaks(() => globalThis.constructor.constructor("return process")()), false));
+test("assert's constructor chain", () =>
+  assert.equal(leaks(() => assert.constructor.constructor("return process")()), false));
+test("host error from a stack overflow", () => {
+  let caught;
+  const dive = () => {
+    try {
+      assert.ok(true);
+      console.log("");
+      dive();
+    } catch (error) {
+      caught ??= error;
+    }
+  };
+  dive();
+  assert.equal(leaks(() => caught.constructor.constructor("return process")()), false);
+});
+`);
+    assert.equal(result.error, null);
+    assert.equal(result.status, "passed", JSON.stringify(result.cases));
+    assert.equal(result.cases.length, 4);
+  });
+});
@@ -0,0 +1,92 @@
+// test/offline-codegen.test.js
+// The offline generator's output runs as is, and keeps everything that depends
+// on the graph inside NODE blocks so later syncs merge into it correctly.
+
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import { createOfflineCodegenClient, generateOfflineFiles } from "../offline-codegen.js";
+import { runInSandbox } from "../sandbox.js";
+import { graphNode, makeTempDir, removeDir, withApp } from "./helpers.js";
+
+const LOGIC_FILE = "src/generated-logic.js";
+const SPEC_FILE = "generated/nodeSpecs.md";
+const COMMONJS = { language: "javascript", moduleStyle: "commonjs" };
+
+const START = graphNode("a", "logic", "Start");
+const CHECK = graphNode("b", "condition", "Is ready");
+const RETURN_VALUE = graphNode("c", "output", "Return value");
+const CONTEXT = {
+  ...graphNode("d", "descriptive", "Context"),
+  data: { label: "Context", notes: "Runs nightly.", nodeType: "descriptive" },
+};
+
+const edge = (source, target) => ({ id: `${source}-${target}`, source, target });
+const added = (nodeId) => ({ kind: "node", nodeId, changeType: "added" });
+const addedEdge = (source, target) => ({
+  kind: "edge",
+  edgeId: `${source}-${target}`,
+  changeType: "added",
+  currentEdge: edge(source, target),
+});
+
+const fileAt = (files, path) => files.find((file) => file.path === path)?.contents;
+
+let tmpDir;
+
+before(async () => {
+  tmpDir = await makeTempDir();
+});
+
+after(async () => {
+  await removeDir(tmpDir);
+});
+
+describe("generateOfflineFiles", () => {
+  it("generates a CommonJS module whose run() calls the entry points", async () => {
+    const { files } = generateOfflineFiles({
+      nodes: [START, CHECK, RETURN_VALUE].map((node) => ({ ...node, isDescriptive: false })),
+      edges: [edge("a", "b"), edge("b", "c")],
+      profile: COMMONJS,
+    });
+    const logic = fileAt(files, LOGIC_FILE);
+    assert.doesNotMatch(logic, /TODO/);
+
+    const result = await runInSandbox({ files, entry: LOGIC_FILE, input: 7 });
+    assert.equal(result.error, null);
+    assert.equal(result.result, "[ 7 ]");
+  });
+});
+
+describe("offline sync through POST /api/generate-code", () => {
+  it("adds a new node's export, entry point and spec on the next sync", async () => {
+    const provider = createOfflineCodegenClient();
+    await withApp({ provider, tmpDir }, async ({ post }) => {
+      const request = { projectId: "offline-sync", profile: COMMONJS };
+      const first = await post("generate-code", {
+        ...request,
+        nodes: [START, CHECK],
+        edges: [edge("a", "b")],
+        changes: [added("a"), added("b"), addedEdge("a", "b")],
+      });
+      assert.equal(first.status, 200);
+
+      const { status, body } = await post("generate-code", {
+        ...request,
+        nodes: [START, CHECK, RETURN_VALUE, CONTEXT],
+        edges: [edge("a", "b"), edge("b", "c")],
+        changes: [added("c"), added("d"), addedEdge("b", "c")],
+      });
+      assert.equal(status, 200);
+      assert.deepEqual(body.warnings, []);
+
+      const logic = fileAt(body.files, LOGIC_FILE);
+      assert.match(logic, /module\.exports\.returnValue = returnValue;/);
+      assert.match(fileAt(body.files, SPEC_FILE), /### Context\nRuns nightly\./);
+
+      const result = await runInSandbox({ files: body.files, entry: LOGIC_FILE, input: 7 });
+      assert.equal(result.error, null);
+      assert.equal(result.result, "[ 7 ]");
+    });
+  });
+});
@@ -0,0 +1,147 @@
+// test/routes.test.js
+// Drives createApp in-process with scripted providers (see mock-provider.js)
+// and checks the status and error body each LLM failure mode maps to.
+
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import path from "node:path";
+import express from "express";
+
+import { createAskAiRouter } from "../ask-ai.js";
+import { createMockProvider } from "../mock-provider.js";
+import { wrapWithCassette } from "../llm-cassette.js";
+import { JSON_RETRY_LIMIT } from "../llm-json.js";
+import { makeTempDir, removeDir, withApp } from "./helpers.js";
+
+const VALID_REPLY = {
+  reply: "Add a logging node.",
+  newNodes: [],
+  updatedNodes: [],
+  suggestedConnections: [],
+};
+
+const ASK_BODY = {
+  prompt: "What should come next?",
+  selectedNodes: [{ id: "start", label: "Start", nodeType: "logic" }],
+};
+
+let tmpDir;
+
+before(async () => {
+  tmpDir = await makeTempDir();
+});
+
+after(async () => {
+  await removeDir(tmpDir);
+});
+
+describe("POST /api/ask-ai", () => {
+  it("returns 502 with the parse errors when the reply never becomes JSON", async () => {
+    const provider = createMockProvider(Array(JSON_RETRY_LIMIT + 1).fill("not json {"));
+    await withApp({ provider, tmpDir }, async ({ post }) => {
+      const { status, body } = await post("ask-ai", ASK_BODY);
+      assert.equal(status, 502);
+      assert.equal(body.error, "The model's copilot response failed validation.");
+      assert.equal(body.attempts, JSON_RETRY_LIMIT + 1);
+      assert.equal(body.details[0].path, "(root)");
+      assert.match(body.details[0].message, /^invalid JSON/);
+    });
+    assert.equal(provider.remaining, 0);
+  });
+
+  it("repairs a malformed reply and answers 200", async () => {
+    const provider = createMockProvider(["not json {", { json: VALID_REPLY }]);
+    await withApp({ provider, tmpDir }, async ({ post }) => {
+      const { status, body } = await post("ask-ai", ASK_BODY);
+      assert.equal(status, 200);
+      assert.equal(body.reply, VALID_REPLY.reply);
+      assert.deepEqual(body.newNodes, []);
+    });
+    assert.equal(provider.calls.length, 2);
+    const repairPrompt = provider.calls[1].request.messages.at(-1).content;
+    assert.match(repairPrompt, /did not match the required JSON format/);
+  });
+
+  it("returns 502 with the schema errors once the repair budget runs out", async () => {
+    const provider = createMockProvider(Array(JSON_RETRY_LIMIT + 1).fill({ json: { reply: 42 } }));
+    await withApp({ provider, tmpDir }, async ({ post }) => {
+      const { status, body } = await post("ask-ai", ASK_BODY);
+      assert.equal(status, 502);
+      assert.equal(body.attempts, JSON_RETRY_LIMIT + 1);
+      assert.ok(body.details.length > 0);
+      assert.ok(body.details.every((detail) => detail.path && detail.message));
+    });
+    assert.equal(provider.remaining, 0);
+  });
+
+  it("returns 502 when the model times out", async () => {
+    const provider = createMockProvider([{ timeout: true, timeoutMs: 20 }]);
+    await withApp({ provider, tmpDir }, async ({ post }) => {
+      const { status, body } = await post("ask-ai", ASK_BODY);
+      assert.equal(status, 502);
+      assert.deepEqual(body, { error: "Something went wrong talking to the AI." });
+    });
+  });
+
+  it("passes an upstream error status through", async () => {
+    const provider = createMockProvider([{ error: { message: "Service unavailable", status: 503 } }]);
+    await withApp({ provider, tmpDir }, async ({ post }) => {
+      const { status, body } = await post("ask-ai", ASK_BODY);
+      assert.equal(status, 503);
+      assert.deepEqual(body, { error: "Something went wrong talking to the AI." });
+    });
+  });
+
+  it("returns 500 with the cassette key when replay has no recording", async () => {
+    const provider = wrapWithCassette(createMockProvider([]), {
+      mode: "replay",
+      dir: path.join(tmpDir, "cassettes"),
+    });
+    await withApp({ provider, tmpDir }, async ({ post }) => {
+      const { status, body } = await post("ask-ai", ASK_BODY);
+      assert.equal(status, 500);
+      assert.match(body.error, /^No cassette recording for this LLM request/);
+      assert.match(body.cassetteKey, /^[0-9a-f]{32}$/);
+    });
+  });
+
+  it("returns 429 with the project's usage once its budget is spent", async () => {
+    const provider = createMockProvider([
+      { json: VALID_REPLY, usage: { promptTokens: 60, completionTokens: 40 } },
+    ]);
+    const budgets = { defaultBudget: 0, overrides: { capped: 100 } };
+    await withApp({ provider, budgets, tmpDir }, async ({ post }) => {
+      const first = await post("ask-ai", { ...ASK_BODY, projectId: "capped" });
+      assert.equal(first.status, 200);
+
+      const { status, body } = await post("ask-ai", { ...ASK_BODY, projectId: "capped" });
+      assert.equal(status, 429);
+      assert.match(body.error, /has used 100 of its 100 token budget/);
+      assert.deepEqual(body.usage, { projectId: "capped", used: 100, budget: 100 });
+    });
+    assert.equal(provider.calls.length, 1);
+  });
+});
+
+describe("createAskAiRouter", () => {
+  it("still accepts the adapter under its old option name, client", async () => {
+    const client = createMockProvider([{ json: VALID_REPLY }]);
+    const app = express();
+    app.use(express.json());
+    app.use("/api", createAskAiRouter({ client, model: "test-model" }));
+    const server = app.listen(0);
+    await new Promise((resolve) => server.once("listening", resolve));
+    try {
+      const response = await fetch(`http://127.0.0.1:${server.address().port}/api/ask-ai`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(ASK_BODY),
+      });
+      assert.equal(response.status, 200);
+      assert.equal((await response.json()).reply, VALID_REPLY.reply);
+    } finally {
+      await new Promise((resolve) => server.close(resolve));
+    }
+    assert.equal(client.calls[0].request.model, "test-model");
+  });
+});
@@ -0,0 +1,151 @@
+// test/sandbox.test.js
+// runInSandbox and POST /api/run: generated code runs, and none of the known
+// ways out of a node:vm context reach the host's process.
+
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import express from "express";
+
+import { DEFAULT_ENTRY, createRunRouter, runInSandbox } from "../sandbox.js";
+import { createWorkspace } from "../workspace.js";
+
+// Each attempt evaluates to the leaked value, or throws.
+const ESCAPES = {
+  "the global's constructor chain": 'globalThis.constructor.constructor("return process")()',
+  "this at module level": 'this.constructor.constructor("return process")()',
+  "a host error from a stack overflow": `(() => {
+    let caught;
+    const dive = () => {
+      try {
+        console.log("");
+        dive();
+      } catch (error) {
+        caught ??= error;
+      }
+    };
+    dive();
+    return caught.constructor.constructor("return process")();
+  })()`,
+  "a stack trace's call sites": `(() => {
+    Error.prepareStackTrace = (_error, sites) => sites.map((site) => site.getFunction());
+    const fns = new Error().stack;
+    return fns.find((fn) => fn)?.constructor("return process")();
+  })()`,
+};
+
+const probe = (expression) => `
+let leaked = null;
+try {
+  leaked = ${expression};
+} catch {}
+module.exports.run = () => typeof leaked?.pid === "number" || typeof leaked?.getBuiltinModule === "function";
+`;
+
+const run = (contents, options = {}) =>
+  runInSandbox({ files: [{ path: DEFAULT_ENTRY, contents }], ...options });
+
+describe("runInSandbox", () => {
+  it("runs the entry point's run(input) and collects console output", async () => {
+    const result = await run(
+      'console.log("hello", { a: 1 });\nmodule.exports.run = (input) => input.n * 2;',
+      { input: { n: 21 } }
+    );
+    assert.equal(result.ok, true);
+    assert.equal(result.calledRun, true);
+    assert.equal(result.result, "42");
+    assert.deepEqual(result.output, [{ stream: "stdout", text: "hello { a: 1 }" }]);
+  });
+
+  it("stops code that runs past the time limit", async () => {
+    const result = await run("while (true) {}", { timeoutMs: 300 });
+    assert.equal(result.ok, false);
+    assert.equal(result.timedOut, true);
+    assert.equal(result.error.name, "TimeoutError");
+  });
+
+  for (const [name, expression] of Object.entries(ESCAPES)) {
+    it(`does not leak the host process through ${name}`, async () => {
+      const result = await run(probe(expression));
+      assert.equal(result.error, null);
+      assert.equal(result.result, "false");
+    });
+  }
+
+  it("has no built-in modules, process or eval", async () => {
+    const result = await run(`
+module.exports.run = () => {
+  let loaded = true;
+  let evaluated = false;
+  try {
+    require("child_process");
+  } catch {
+    loaded = false;
+  }
+  try {
+    evaluated = eval("1 + 1") === 2;
+  } catch {}
+  return [loaded, typeof process, typeof fetch, evaluated].join(",");
+};`);
+    assert.equal(result.result, "'false,undefined,undefined,false'");
+  });
+});
+
+describe("POST /api/run", () => {
+  let tmpDir;
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), "node-ai-backend-run-"));
+    const workspace = createWorkspace({ rootDir: tmpDir });
+    await workspace.writeFiles("demo", [
+      { path: DEFAULT_ENTRY, contents: 'module.exports.run = () => "from workspace";' },
+    ]);
+    const app = express();
+    app.use(express.json());
+    app.use("/api", createRunRouter({ workspace }));
+    server = app.listen(0);
+    await new Promise((resolve) => server.once("listening", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/run`;
+  });
+
+  after(async () => {
+    await new Promise((resolve) => server.close(resolve));
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  const post = async (body) => {
+    const response = await fetch(baseUrl, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  it("runs the project's stored files and ignores files sent by the client", async () => {
+    const { status, body } = await post({
+      projectId: "demo",
+      files: [{ path: DEFAULT_ENTRY, contents: 'module.exports.run = () => "from client";' }],
+    });
+    assert.equal(status, 200);
+    assert.equal(body.result, "'from workspace'");
+  });
+
+  it("rejects a request without a valid project id", async () => {
+    const { status, body } = await post({
+      files: [{ path: DEFAULT_ENTRY, contents: "module.exports.run = () => 1;" }],
+    });
+    assert.equal(status, 400);
+    assert.equal(body.error, "Provide a valid projectId to run.");
+  });
+
+  it("returns 404 when the entry point was never generated", async () => {
+    const { status, body } = await post({ projectId: "demo", entry: "src/missing.js" });
+    assert.equal(status, 404);
+    assert.equal(body.error, 'Entry point "src/missing.js" was not generated.');
+  });
+});
@@ -0,0 +1,109 @@
+// test/workspace.test.js
+// The workspace never reads or writes outside a project's folder, whatever
+// path the model or the client sends.
+
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import path from "node:path";
+import express from "express";
+
+import { createWorkspace, createWorkspaceRouter, normalizeWorkspacePath } from "../workspace.js";
+import { makeTempDir, removeDir } from "./helpers.js";
+
+const ESCAPING_PATHS = [
+  "../secret.txt",
+  "src/../../secret.txt",
+  "..\\secret.txt",
+  "/etc/passwd",
+  "C:/Windows/win.ini",
+  "src/a.js\0.txt",
+  "",
+];
+
+let tmpDir;
+let workspace;
+
+before(async () => {
+  tmpDir = await makeTempDir("node-ai-backend-workspace-");
+  workspace = createWorkspace({ rootDir: path.join(tmpDir, "workspaces") });
+  await fs.writeFile(path.join(tmpDir, "secret.txt"), "secret", "utf8");
+});
+
+after(async () => {
+  await removeDir(tmpDir);
+});
+
+describe("normalizeWorkspacePath", () => {
+  it("cleans relative paths", () => {
+    assert.equal(normalizeWorkspacePath("./src//a.js"), "src/a.js");
+    assert.equal(normalizeWorkspacePath("src\\lib\\..\\a.js"), "src/a.js");
+  });
+
+  for (const rawPath of ESCAPING_PATHS) {
+    it(`rejects ${JSON.stringify(rawPath)}`, () => {
+      assert.equal(normalizeWorkspacePath(rawPath), null);
+    });
+  }
+});
+
+describe("createWorkspace", () => {
+  it("writes safe paths and skips the ones that would escape the project", async () => {
+    const { written, skipped } = await workspace.writeFiles("demo", [
+      { path: "src/a.js", contents: "a();" },
+      { path: "../../escaped.txt", contents: "nope" },
+    ]);
+    assert.deepEqual(written, ["src/a.js"]);
+    assert.deepEqual(skipped, ["../../escaped.txt"]);
+    assert.deepEqual(await workspace.readFiles("demo"), [{ path: "src/a.js", contents: "a();" }]);
+    await assert.rejects(fs.access(path.join(tmpDir, "escaped.txt")));
+  });
+
+  it("rejects project ids that are not a single folder name", async () => {
+    await assert.rejects(workspace.writeFiles("../demo", []), /Invalid project id/);
+    assert.equal(await workspace.readFile("..", "secret.txt"), null);
+  });
+});
+
+describe("GET /api/workspaces", () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    const app = express();
+    app.use("/api", createWorkspaceRouter({ workspace }));
+    server = app.listen(0);
+    await new Promise((resolve) => server.once("listening", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/workspaces`;
+  });
+
+  after(async () => {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  const get = async (route) => {
+    const response = await fetch(`${baseUrl}/${route}`);
+    return { status: response.status, body: await response.json() };
+  };
+
+  it("returns a stored file", async () => {
+    await workspace.writeFiles("demo", [{ path: "src/a.js", contents: "a();" }]);
+    const { status, body } = await get("demo/file?path=src/a.js");
+    assert.equal(status, 200);
+    assert.deepEqual(body, { path: "src/a.js", contents: "a();" });
+  });
+
+  for (const rawPath of ["../../secret.txt", "/etc/passwd", "..%5C..%5Csecret.txt"]) {
+    it(`rejects the file path ${rawPath}`, async () => {
+      const { status, body } = await get(`demo/file?path=${rawPath}`);
+      assert.equal(status, 400);
+      assert.equal(body.error, "Invalid file path.");
+    });
+  }
+
+  it("rejects an encoded traversal in the project id", async () => {
+    const { status, body } = await get("..%2Fdemo/files");
+    assert.equal(status, 400);
+    assert.equal(body.error, "Invalid project id.");
+  });
+});
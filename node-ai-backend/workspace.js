@@ -0,0 +1,179 @@
+// workspace.js
+// Mirrors each project's generated files into a folder on disk so the output
+// survives panel closes, page refreshes and server restarts. Every path is
+// normalized against the project folder; anything that would escape it is
+// rejected instead of written.
+
+import express from "express";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const DEFAULT_ROOT = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "workspaces"
+);
+const PROJECT_ID_PATTERN = /^[A-Za-z0-9_-]{1,100}$/;
+
+export const isValidProjectId = (projectId) =>
+  typeof projectId === "string" && PROJECT_ID_PATTERN.test(projectId);
+
+// Returns a clean relative POSIX path, or null when the path is empty,
+// absolute, or climbs out of the workspace through "..".
+export function normalizeWorkspacePath(rawPath) {
+  if (typeof rawPath !== "string" || rawPath.includes("\0")) return null;
+  const slashed = rawPath.trim().replace(/\\/g, "/");
+  if (!slashed || slashed.startsWith("/") || /^[A-Za-z]:/.test(slashed)) {
+    return null;
+  }
+  const normalized = path.posix.normalize(slashed).replace(/\/+$/, "");
+  if (!normalized || normalized === "." || normalized === ".." || normalized.startsWith("../")) {
+    return null;
+  }
+  return normalized;
+}
+
+export function createWorkspace({ rootDir } = {}) {
+  const root = path.resolve(rootDir || process.env.CODEGEN_WORKSPACE_DIR || DEFAULT_ROOT);
+
+  const projectDir = (projectId) =>
+    isValidProjectId(projectId) ? path.join(root, projectId) : null;
+
+  // Absolute location of a file, checked once more after resolving so that
+  // nothing outside the project folder is ever touched.
+  const resolveFile = (projectId, filePath) => {
+    const dir = projectDir(projectId);
+    const relative = normalizeWorkspacePath(filePath);
+    if (!dir || !relative) return null;
+    const absolute = path.resolve(dir, relative);
+    return absolute.startsWith(dir + path.sep) ? { absolute, relative } : null;
+  };
+
+  async function listFiles(projectId) {
+    const dir = projectDir(projectId);
+    if (!dir) return [];
+    const entries = [];
+    const walk = async (current) => {
+      let items;
+      try {
+        items = await fs.readdir(current, { withFileTypes: true });
+      } catch (err) {
+        if (err.code === "ENOENT") return;
+        throw err;
+      }
+      for (const item of items) {
+        const absolute = path.join(current, item.name);
+        if (item.isDirectory()) {
+          await walk(absolute);
+        } else if (item.isFile()) {
+          const stats = await fs.stat(absolute);
+          entries.push({
+            path: path.relative(dir, absolute).split(path.sep).join("/"),
+            size: stats.size,
+            updatedAt: stats.mtime.toISOString(),
+          });
+        }
+      }
+    };
+    await walk(dir);
+    return entries.sort((a, b) => a.path.localeCompare(b.path));
+  }
+
+  async function readFile(projectId, filePath) {
+    const target = resolveFile(projectId, filePath);
+    if (!target) return null;
+    try {
+      return {
+        path: target.relative,
+        contents: await fs.readFile(target.absolute, "utf8"),
+      };
+    } catch (err) {
+      if (err.code === "ENOENT" || err.code === "EISDIR") return null;
+      throw err;
+    }
+  }
+
+  async function readFiles(projectId) {
+    const entries = await listFiles(projectId);
+    const files = await Promise.all(
+      entries.map((entry) => readFile(projectId, entry.path))
+    );
+    return files.filter(Boolean);
+  }
+
+  // Replaces the project folder with exactly `files`. Files with unsafe paths
+  // are skipped and returned so the caller can report them.
+  async function writeFiles(projectId, files = []) {
+    const dir = projectDir(projectId);
+    if (!dir) throw new Error(`Invalid project id: ${projectId}`);
+
+    const written = [];
+    const skipped = [];
+    const targets = [];
+    for (const file of files) {
+      const target = resolveFile(projectId, file?.path);
+      if (!target) {
+        skipped.push(file?.path ?? null);
+      } else {
+        targets.push({ ...target, contents: String(file.contents ?? "") });
+      }
+    }
+
+    await fs.rm(dir, { recursive: true, force: true });
+    await fs.mkdir(dir, { recursive: true });
+    for (const target of targets) {
+      await fs.mkdir(path.dirname(target.absolute), { recursive: true });
+      await fs.writeFile(target.absolute, target.contents, "utf8");
+      written.push(target.relative);
+    }
+    return { written, skipped };
+  }
+
+  return { root, listFiles, readFile, readFiles, writeFiles };
+}
+
+// GET /workspaces/:projectId/files[?contents=1]  -> { projectId, files }
+// GET /workspaces/:projectId/file?path=src/a.js  -> { path, contents }
+export function createWorkspaceRouter({ workspace } = {}) {
+  const store = workspace || createWorkspace();
+  const router = express.Router();
+
+  router.get("/workspaces/:projectId/files", async (req, res) => {
+    const { projectId } = req.params;
+    if (!isValidProjectId(projectId)) {
+      return res.status(400).json({ error: "Invalid project id." });
+    }
+    try {
+      const includeContents = ["1", "true"].includes(String(req.query.contents));
+      const files = includeContents
+        ? await store.readFiles(projectId)
+        : await store.listFiles(projectId);
+      res.json({ projectId, files });
+    } catch (err) {
+      console.error("workspace list error:", err);
+      res.status(500).json({ error: "Failed to read workspace." });
+    }
+  });
+
+  router.get("/workspaces/:projectId/file", async (req, res) => {
+    const { projectId } = req.params;
+    if (!isValidProjectId(projectId)) {
+      return res.status(400).json({ error: "Invalid project id." });
+    }
+    if (!normalizeWorkspacePath(req.query.path)) {
+      return res.status(400).json({ error: "Invalid file path." });
+    }
+    try {
+      const file = await store.readFile(projectId, req.query.path);
+      if (!file) return res.status(404).json({ error: "File not found." });
+      res.json(file);
+    } catch (err) {
+      console.error("workspace read error:", err);
+      res.status(500).json({ error: "Failed to read workspace file." });
+    }
+  });
+
+  return router;
+}
+
+export default createWorkspace;